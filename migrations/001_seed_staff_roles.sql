@@ -0,0 +1,7 @@
+-- Roles used by the authorize() route guard.
+INSERT INTO roles (name)
+SELECT r.name
+FROM (VALUES ('admin'), ('editor'), ('user')) AS r(name)
+WHERE NOT EXISTS (
+  SELECT 1 FROM roles WHERE roles.name = r.name AND roles.deleted_at IS NULL
+);
@@ -0,0 +1,2 @@
+-- Lets admins disable an account without deleting it.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
@@ -0,0 +1,18 @@
+-- Failed-attempt counters for brute-force protection.
+-- One row per (action, scope, key): scope is 'account' (key = lower-cased
+-- email) or 'ip' (key = client IP).
+CREATE TABLE IF NOT EXISTS auth_attempts (
+  action VARCHAR(50) NOT NULL,
+  scope VARCHAR(20) NOT NULL,
+  key VARCHAR(255) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (action, scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_last_attempt
+  ON auth_attempts (last_attempt_at);
+
+-- Wrong guesses against a single verification code
+ALTER TABLE verification_codes ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,34 @@
+-- TOTP two-factor authentication.
+
+-- Per-role enforcement: holders of these roles must pass a second factor
+-- before staff-only routes let them through.
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN NOT NULL DEFAULT FALSE;
+UPDATE roles SET mfa_required = TRUE WHERE name IN ('admin', 'editor');
+
+-- One authenticator per user. enabled_at stays NULL until the first code
+-- is confirmed; last_used_step blocks replaying a code within its window.
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  totp_secret VARCHAR(64) NOT NULL,
+  enabled_at TIMESTAMPTZ,
+  last_used_step BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One-time recovery codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user
+  ON mfa_recovery_codes (user_id)
+  WHERE used_at IS NULL;
+
+-- Authentication methods of the session (e.g. {pwd,otp}), carried into
+-- access tokens minted on refresh
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS amr TEXT[];
@@ -0,0 +1,3 @@
+-- Email change: the new address waits here until its code is confirmed,
+-- so the current email keeps working in the meantime.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255);
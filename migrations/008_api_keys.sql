@@ -0,0 +1,20 @@
+-- API keys for kiosks, tracking devices and partner integrations that
+-- can't use the email/password flow. Only the SHA-256 of a key is stored;
+-- key_prefix is kept in clear so admins can tell keys apart.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  -- requests per minute
+  rate_limit INTEGER NOT NULL DEFAULT 60,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip VARCHAR(64),
+  expires_at TIMESTAMPTZ,
+  rotated_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,22 @@
+-- Invitations that onboard staff (editors, guides, admins) with a role.
+-- Only the SHA-256 of the invite token is stored; the raw token is in
+-- the emailed link. An invitation is pending until it is accepted,
+-- revoked or expires.
+CREATE TABLE IF NOT EXISTS staff_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(255) NOT NULL,
+  -- role name, resolved when the invitation is accepted
+  role VARCHAR(50) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_invitations_email
+  ON staff_invitations (LOWER(email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
@@ -0,0 +1,18 @@
+-- Per-user settings for the mobile app. NULL columns fall back to the
+-- defaults in services/preferences_services.js, so a missing row and an
+-- empty row behave the same.
+CREATE TABLE IF NOT EXISTS user_preferences (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  -- id, en, ja or zh
+  language VARCHAR(5),
+  -- metric or imperial
+  units VARCHAR(10),
+  -- e.g. {wheelchair, low_vision}
+  accessibility TEXT[] NOT NULL DEFAULT '{}',
+  -- default `profile` for /temples/navigation/route
+  routing_profile VARCHAR(20),
+  -- opt-ins by topic, e.g. {"news": true, "events": false}
+  notifications JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
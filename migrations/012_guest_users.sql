@@ -0,0 +1,13 @@
+-- Anonymous guest accounts: a users row without email or password,
+-- holding the `guest` role. Guests that register or sign in with a
+-- provider are merged into the real account and deleted.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_guest BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_guests ON users (created_at) WHERE is_guest;
+
+INSERT INTO roles (name)
+SELECT 'guest'
+WHERE NOT EXISTS (
+  SELECT 1 FROM roles WHERE name = 'guest' AND deleted_at IS NULL
+);
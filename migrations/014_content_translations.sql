@@ -0,0 +1,68 @@
+-- Per-locale translations of news, articles, events and temple features.
+-- The base row stays the item in its `default_locale`, which is also what
+-- readers get when their language has no translation; a translation row
+-- holds the same text fields in one other locale (id, en, ja or zh).
+-- Translated slugs share one namespace with the base slugs of the same
+-- content type (checked in services/translation_services.js).
+ALTER TABLE news ADD COLUMN IF NOT EXISTS default_locale VARCHAR(5) NOT NULL DEFAULT 'id';
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS default_locale VARCHAR(5) NOT NULL DEFAULT 'id';
+ALTER TABLE events ADD COLUMN IF NOT EXISTS default_locale VARCHAR(5) NOT NULL DEFAULT 'id';
+ALTER TABLE temple_features ADD COLUMN IF NOT EXISTS default_locale VARCHAR(5) NOT NULL DEFAULT 'id';
+
+CREATE TABLE IF NOT EXISTS news_translations (
+  news_id INTEGER NOT NULL REFERENCES news(id) ON DELETE CASCADE,
+  locale VARCHAR(5) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  slug VARCHAR(255),
+  seo_metadata JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (news_id, locale)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_news_translations_slug
+  ON news_translations (slug) WHERE slug IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS article_translations (
+  article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+  locale VARCHAR(5) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  slug VARCHAR(255),
+  seo_metadata JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (article_id, locale)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_article_translations_slug
+  ON article_translations (slug) WHERE slug IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS event_translations (
+  event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+  locale VARCHAR(5) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  location VARCHAR(255),
+  slug VARCHAR(255),
+  seo_metadata JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (event_id, locale)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_event_translations_slug
+  ON event_translations (slug) WHERE slug IS NOT NULL;
+
+-- features have no slug and no editing endpoint; translations are loaded
+-- with SQL alongside the feature data
+CREATE TABLE IF NOT EXISTS temple_feature_translations (
+  feature_id INTEGER NOT NULL REFERENCES temple_features(id) ON DELETE CASCADE,
+  locale VARCHAR(5) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (feature_id, locale)
+);
@@ -0,0 +1,17 @@
+-- Scheduled publishing for news and articles. Items with status
+-- 'scheduled' go live (status 'published') once publication_date has
+-- passed, and published items with an unpublish_at are archived once it
+-- has passed; worker/publishingSchedulerWorker.js makes both moves.
+-- status stays a free VARCHAR; allowed values are checked by the API.
+ALTER TABLE news ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ;
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ;
+
+-- the scheduler only looks at these rows
+CREATE INDEX IF NOT EXISTS idx_news_scheduled
+  ON news (publication_date) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_news_unpublish_at
+  ON news (unpublish_at) WHERE status = 'published' AND unpublish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_articles_scheduled
+  ON articles (publication_date) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_articles_unpublish_at
+  ON articles (unpublish_at) WHERE status = 'published' AND unpublish_at IS NOT NULL;
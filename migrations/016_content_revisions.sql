@@ -0,0 +1,20 @@
+-- Revision history of news, articles and events. Every create, update and
+-- restore stores a full snapshot of the item (base row plus translations)
+-- as the next revision number of that item. Items that existed before this
+-- migration get their state before the first edit as revision 1
+-- ('baseline', no author).
+CREATE TABLE IF NOT EXISTS content_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  -- 'news', 'articles' or 'events'
+  content_type VARCHAR(20) NOT NULL,
+  content_id INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  -- 'baseline', 'create', 'update' or 'restore'
+  action VARCHAR(20) NOT NULL,
+  -- revision a 'restore' copied
+  restored_from INTEGER,
+  snapshot JSONB NOT NULL,
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (content_type, content_id, revision)
+);
@@ -0,0 +1,49 @@
+-- Editorial workflow for news, articles and events:
+--   draft -> in_review -> approved -> published -> archived
+-- with rejected (back to the writer, with a comment) and, for news and
+-- articles, scheduled (published with a future publication_date, see
+-- migration 015). News and articles keep the state in `status`; events
+-- already use `status` for their lifecycle (upcoming, in_progress, ...),
+-- so theirs goes in `workflow_status`. Allowed moves are checked in
+-- services/workflow_services.js and every move lands in
+-- workflow_transitions.
+
+-- Writers draft content and submit it; editors review and publish it.
+INSERT INTO roles (name)
+SELECT 'writer'
+WHERE NOT EXISTS (
+  SELECT 1 FROM roles WHERE name = 'writer' AND deleted_at IS NULL
+);
+
+-- existing events stay public; new ones start as drafts
+ALTER TABLE events ADD COLUMN IF NOT EXISTS workflow_status VARCHAR(20) NOT NULL DEFAULT 'published';
+ALTER TABLE events ALTER COLUMN workflow_status SET DEFAULT 'draft';
+
+-- who created the item; writers may only edit and submit their own
+ALTER TABLE news ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE articles ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS workflow_transitions (
+  id BIGSERIAL PRIMARY KEY,
+  -- 'news', 'articles' or 'events'
+  content_type VARCHAR(20) NOT NULL,
+  content_id INTEGER NOT NULL,
+  -- submit, withdraw, approve, reject, publish, archive or reopen
+  action VARCHAR(20) NOT NULL,
+  from_status VARCHAR(20) NOT NULL,
+  to_status VARCHAR(20) NOT NULL,
+  -- required when rejecting
+  comment TEXT,
+  -- null for moves made by the publishing scheduler
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_transitions_content
+  ON workflow_transitions (content_type, content_id, created_at DESC);
+
+-- the review queue
+CREATE INDEX IF NOT EXISTS idx_news_in_review ON news (updated_at) WHERE status = 'in_review';
+CREATE INDEX IF NOT EXISTS idx_articles_in_review ON articles (updated_at) WHERE status = 'in_review';
+CREATE INDEX IF NOT EXISTS idx_events_in_review ON events (updated_at) WHERE workflow_status = 'in_review';
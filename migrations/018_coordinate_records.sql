@@ -0,0 +1,13 @@
+-- Who sent each coordinate stored in Hyperbase. The Hyperbase record only
+-- holds the app's client_id, so this is what ties a record to a user or
+-- guest; guest rows are handed to the account the guest merges into.
+CREATE TABLE IF NOT EXISTS coordinate_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  client_id VARCHAR(255) NOT NULL,
+  -- _id of the record in the Hyperbase collection
+  record_id VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coordinate_records_user ON coordinate_records (user_id);
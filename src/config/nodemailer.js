@@ -74,6 +74,178 @@ class EmailService {
       throw error;
     }
   }
+
+  /**
+   * Send a passwordless sign-in email: a one-time code, a magic link, or both
+   * @param {Object} options
+   * @param {string} options.to
+   * @param {string} options.name
+   * @param {string} [options.code]
+   * @param {string} [options.link]
+   * @param {number} options.expiresInMinutes
+   */
+  async sendPasswordlessMail({ to, name, code, link, expiresInMinutes }) {
+    const mailOptions = {
+      from: `"Borobudur" <${process.env.GMAIL_USER}>`,
+      to,
+      subject: "Your Sign-In Link",
+      html: `
+        <h2>Hello, ${name || "there"}</h2>
+        ${
+          link
+            ? `<p>Click the button below to sign in:</p>
+        <p><a href="${link}" style="display:inline-block;padding:10px 20px;background:#2b6cb0;color:#fff;text-decoration:none;border-radius:4px;">Sign in</a></p>`
+            : `<p>Use the following code to sign in:</p>
+        <h1 style="letter-spacing: 4px;">${code}</h1>`
+        }
+        <p>This ${link ? "link" : "code"} will expire in ${expiresInMinutes} minutes and can only be used once.</p>
+        <br/>
+        <small>If you did not try to sign in, you can ignore this message.</small>
+      `,
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info("Passwordless sign-in email sent:", info.messageId);
+      return info;
+    } catch (error) {
+      logger.error("Failed to send passwordless sign-in email:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the code that confirms a new email address
+   * @param {Object} options
+   * @param {string} options.to - the new address
+   * @param {string} options.name
+   * @param {string} options.code
+   */
+  async sendEmailChangeCodeMail({ to, name, code }) {
+    const mailOptions = {
+      from: `"Borobudur" <${process.env.GMAIL_USER}>`,
+      to,
+      subject: "Confirm Your New Email Address",
+      html: `
+        <h2>Hello, ${name || "there"}</h2>
+        <p>Use the following code to confirm this as your new email address:</p>
+        <h1 style="letter-spacing: 4px;">${code}</h1>
+        <p>This code will expire in 10 minutes.</p>
+        <br/>
+        <small>If you did not request this change, you can ignore this message.</small>
+      `,
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info("Email change code sent:", info.messageId);
+      return info;
+    } catch (error) {
+      logger.error("Failed to send email change code:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the current address that an email change was requested or completed
+   * @param {Object} options
+   * @param {string} options.to - the old address
+   * @param {string} options.name
+   * @param {string} options.newEmail
+   * @param {boolean} [options.completed]
+   */
+  async sendEmailChangeNoticeMail({ to, name, newEmail, completed = false }) {
+    const mailOptions = {
+      from: `"Borobudur" <${process.env.GMAIL_USER}>`,
+      to,
+      subject: completed ? "Your Email Address Was Changed" : "Email Change Requested",
+      html: `
+        <h2>Hello, ${name || "there"}</h2>
+        ${
+          completed
+            ? `<p>The email address of your account was changed to <b>${newEmail}</b>. This address will no longer receive account emails.</p>`
+            : `<p>A request was made to change the email address of your account to <b>${newEmail}</b>. Your current address stays active until the new one is confirmed.</p>`
+        }
+        <br/>
+        <small>If this wasn't you, change your password and contact support right away.</small>
+      `,
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info("Email change notice sent:", info.messageId);
+      return info;
+    } catch (error) {
+      logger.error("Failed to send email change notice:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the owner that their account was temporarily locked
+   * @param {Object} options
+   * @param {string} options.to
+   * @param {string} options.name
+   * @param {Date} options.lockedUntil
+   * @param {string} [options.ipAddress] - IP the failed attempts came from
+   */
+  async sendAccountLockedMail({ to, name, lockedUntil, ipAddress }) {
+    const mailOptions = {
+      from: `"Borobudur" <${process.env.GMAIL_USER}>`,
+      to,
+      subject: "Your Account Has Been Temporarily Locked",
+      html: `
+        <h2>Hello, ${name}</h2>
+        <p>We detected several failed sign-in attempts on your account${ipAddress ? ` from IP <b>${ipAddress}</b>` : ""}.</p>
+        <p>For your security, sign-in is locked until <b>${lockedUntil.toUTCString()}</b>.</p>
+        <p>If this wasn't you, we recommend resetting your password once the lock expires.</p>
+      `,
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info("Account locked notice sent:", info.messageId);
+      return info;
+    } catch (error) {
+      logger.error("Failed to send account locked email:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invite someone to join the staff with a role
+   * @param {Object} options
+   * @param {string} options.to
+   * @param {string} options.role
+   * @param {string} [options.inviterName]
+   * @param {string} options.link - accept page carrying the invite token
+   * @param {Date} options.expiresAt
+   */
+  async sendStaffInvitationMail({ to, role, inviterName, link, expiresAt }) {
+    const mailOptions = {
+      from: `"Borobudur" <${process.env.GMAIL_USER}>`,
+      to,
+      subject: "You're Invited to Join the Borobudur Team",
+      html: `
+        <h2>Hello,</h2>
+        <p>${inviterName || "An administrator"} invited you to join Borobudur as <b>${role}</b>.</p>
+        <p>Click the button below to set a password or sign in with Google and accept:</p>
+        <p><a href="${link}" style="display:inline-block;padding:10px 20px;background:#2b6cb0;color:#fff;text-decoration:none;border-radius:4px;">Accept invitation</a></p>
+        <p>This invitation expires on <b>${expiresAt.toUTCString()}</b> and can only be used once.</p>
+        <br/>
+        <small>If you weren't expecting this invitation, you can ignore this message.</small>
+      `,
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.info("Staff invitation sent:", info.messageId);
+      return info;
+    } catch (error) {
+      logger.error("Failed to send staff invitation email:", error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,158 @@
+const apiKeysRepository = require("../../repositories/api_keys.repository");
+const apiKeyService = require("../../services/api_key_services");
+const CustomError = require("../../helpers/customError");
+const auditService = require("../../services/audit_services");
+
+const DEFAULT_RATE_LIMIT = 60;
+
+/**
+ * Strip the key hash from an api_keys row
+ */
+const toApiKeyView = (apiKey) => {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    key_prefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    rate_limit: apiKey.rate_limit,
+    created_by: apiKey.created_by,
+    last_used_at: apiKey.last_used_at,
+    last_used_ip: apiKey.last_used_ip,
+    expires_at: apiKey.expires_at,
+    rotated_at: apiKey.rotated_at,
+    revoked_at: apiKey.revoked_at,
+    created_at: apiKey.created_at,
+    updated_at: apiKey.updated_at,
+  };
+};
+
+class AdminApiKeysController {
+  /**
+   * List API keys (revoked ones only with include_revoked=true)
+   */
+  async listApiKeys(req) {
+    const includeRevoked = req.query.include_revoked === "true";
+    const apiKeys = await apiKeysRepository.findAll({ includeRevoked });
+    return apiKeys.map(toApiKeyView);
+  }
+
+  /**
+   * Create a key. The raw key is only returned here and on rotation.
+   */
+  async createApiKey(req) {
+    const { name, scopes, rate_limit, expires_at } = req.body;
+    const { key, key_prefix, key_hash } = apiKeyService.generateKey();
+
+    const apiKey = await apiKeysRepository.create({
+      name,
+      key_prefix,
+      key_hash,
+      scopes: [...new Set(scopes)],
+      rate_limit: rate_limit ? parseInt(rate_limit, 10) : DEFAULT_RATE_LIMIT,
+      created_by: req.user.sub,
+      expires_at: expires_at || null,
+    });
+
+    await auditService.record(req, {
+      action: "admin.api_key.create",
+      targetType: "api_key",
+      targetId: apiKey.id,
+      before: null,
+      after: toApiKeyView(apiKey),
+    });
+
+    return { ...toApiKeyView(apiKey), key };
+  }
+
+  /**
+   * Change name, scopes, rate limit or expiry
+   */
+  async updateApiKey(req) {
+    const { id } = req.params;
+    const { name, scopes, rate_limit, expires_at } = req.body;
+
+    const apiKey = await this._findActive(id);
+
+    const updated = await apiKeysRepository.update(apiKey.id, {
+      name,
+      scopes: scopes ? [...new Set(scopes)] : undefined,
+      rate_limit: rate_limit !== undefined ? parseInt(rate_limit, 10) : undefined,
+      expires_at,
+    });
+    apiKeyService.forget(apiKey.id);
+
+    await auditService.record(req, {
+      action: "admin.api_key.update",
+      targetType: "api_key",
+      targetId: apiKey.id,
+      before: toApiKeyView(apiKey),
+      after: toApiKeyView(updated),
+    });
+
+    return toApiKeyView(updated);
+  }
+
+  /**
+   * Issue a new secret for a key, keeping its id, scopes and limits.
+   * The previous secret stops working immediately.
+   */
+  async rotateApiKey(req) {
+    const { id } = req.params;
+    const apiKey = await this._findActive(id);
+
+    const { key, key_prefix, key_hash } = apiKeyService.generateKey();
+    const rotated = await apiKeysRepository.rotate(apiKey.id, key_prefix, key_hash);
+    apiKeyService.forget(apiKey.id);
+
+    await auditService.record(req, {
+      action: "admin.api_key.rotate",
+      targetType: "api_key",
+      targetId: apiKey.id,
+      before: toApiKeyView(apiKey),
+      after: toApiKeyView(rotated),
+    });
+
+    return { ...toApiKeyView(rotated), key };
+  }
+
+  async revokeApiKey(req) {
+    const { id } = req.params;
+
+    const revoked = await apiKeysRepository.revoke(id);
+    if (!revoked) {
+      throw new CustomError({
+        message: "API key not found",
+        statusCode: 404,
+      });
+    }
+    apiKeyService.forget(id);
+
+    await auditService.record(req, {
+      action: "admin.api_key.revoke",
+      targetType: "api_key",
+      targetId: id,
+      metadata: { name: revoked.name },
+    });
+
+    return toApiKeyView(revoked);
+  }
+
+  async _findActive(id) {
+    const apiKey = await apiKeysRepository.findById(id);
+    if (!apiKey) {
+      throw new CustomError({
+        message: "API key not found",
+        statusCode: 404,
+      });
+    }
+    if (apiKey.revoked_at) {
+      throw new CustomError({
+        message: "API key has been revoked",
+        statusCode: 409,
+      });
+    }
+    return apiKey;
+  }
+}
+
+module.exports = new AdminApiKeysController();
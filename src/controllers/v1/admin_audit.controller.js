@@ -0,0 +1,55 @@
+const auditEventsRepository = require("../../repositories/audit_events.repository");
+const CustomError = require("../../helpers/customError");
+
+const SEARCH_FILTERS = [
+  "actor_type",
+  "actor_id",
+  "action",
+  "target_type",
+  "target_id",
+  "ip_address",
+  "date_from",
+  "date_to",
+];
+
+class AdminAuditController {
+  /**
+   * Search the audit trail, newest first
+   * Query: actor_type, actor_id, action (exact, or a prefix ending in "*"),
+   * target_type, target_id, ip_address, date_from, date_to, page, limit
+   */
+  async searchEvents(req) {
+    const { page, limit } = req.query;
+
+    const filters = {};
+    for (const key of SEARCH_FILTERS) {
+      if (req.query[key]) filters[key] = req.query[key];
+    }
+
+    const pagination = {
+      page: page ? parseInt(page, 10) : 1,
+      limit: limit ? parseInt(limit, 10) : 50,
+    };
+
+    return auditEventsRepository.search(filters, pagination);
+  }
+
+  /**
+   * Get one audit event
+   */
+  async getEvent(req) {
+    const { id } = req.params;
+
+    const event = await auditEventsRepository.findById(id);
+    if (!event) {
+      throw new CustomError({
+        message: "Audit event not found",
+        statusCode: 404,
+      });
+    }
+
+    return event;
+  }
+}
+
+module.exports = new AdminAuditController();
@@ -0,0 +1,165 @@
+const staffInvitationsRepository = require("../../repositories/staff_invitations.repository");
+const usersRepository = require("../../repositories/users.repository");
+const rolesRepository = require("../../repositories/roles.repository");
+const staffInvitationService = require("../../services/staff_invitation_services");
+const auditService = require("../../services/audit_services");
+const emailService = require("../../config/nodemailer");
+const { withTransaction } = require("../../utils/db_transactions");
+const CustomError = require("../../helpers/customError");
+
+/**
+ * Strip the token hash from a staff_invitations row
+ */
+const toInvitationView = (invitation) => {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    status: staffInvitationService.getStatus(invitation),
+    invited_by: invitation.invited_by,
+    invited_by_email: invitation.invited_by_email || null,
+    expires_at: invitation.expires_at,
+    accepted_at: invitation.accepted_at,
+    accepted_by: invitation.accepted_by,
+    revoked_at: invitation.revoked_at,
+    created_at: invitation.created_at,
+    updated_at: invitation.updated_at,
+  };
+};
+
+class AdminInvitationsController {
+  /**
+   * List invitations
+   * Query: status (pending|accepted|revoked|expired), defaults to pending
+   */
+  async listInvitations(req) {
+    const { status = "pending" } = req.query;
+    const invitations = await staffInvitationsRepository.findAll({
+      status: status === "all" ? undefined : status,
+    });
+    return invitations.map(toInvitationView);
+  }
+
+  /**
+   * Invite an email with a staff role. A previous pending invitation for
+   * the same email stops working.
+   */
+  async createInvitation(req) {
+    const { email, role } = req.body;
+
+    if (role === "user") {
+      throw new CustomError({
+        message: "Invitations are for staff roles; anyone can sign up as a user",
+        statusCode: 400,
+      });
+    }
+
+    const { token, token_hash } = staffInvitationService.generateToken();
+    // fail before writing anything when the accept page isn't configured
+    const link = staffInvitationService.buildLink(token);
+    const expiresAt = new Date(
+      Date.now() + staffInvitationService.expiryHours * 60 * 60 * 1000
+    );
+
+    const { invitation, inviter } = await withTransaction(async (client) => {
+      const roleRecord = await rolesRepository.findByName(role, client);
+      if (!roleRecord) {
+        throw new CustomError({
+          message: "Role not found",
+          statusCode: 404,
+        });
+      }
+
+      const existingUser = await usersRepository.findByEmailInsensitive(email, client);
+      if (existingUser) {
+        throw new CustomError({
+          message: "A user with this email already exists. Assign the role from the user's page instead.",
+          statusCode: 409,
+          errors: { code: "account_exists", user_id: existingUser.id },
+        });
+      }
+
+      await staffInvitationsRepository.revokePendingByEmail(email, client);
+
+      const created = await staffInvitationsRepository.create(
+        {
+          email,
+          role: roleRecord.name,
+          token_hash,
+          invited_by: req.user.sub,
+          expires_at: expiresAt,
+        },
+        client
+      );
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.invitation.create",
+          targetType: "invitation",
+          targetId: created.id,
+          metadata: { email, role: roleRecord.name },
+        },
+        client
+      );
+
+      return {
+        invitation: created,
+        inviter: await usersRepository.findById(req.user.sub, client),
+      };
+    });
+
+    // send email after commit
+    await emailService.sendStaffInvitationMail({
+      to: invitation.email,
+      role: invitation.role,
+      inviterName: inviter?.name,
+      link,
+      expiresAt,
+    });
+
+    return toInvitationView(invitation);
+  }
+
+  /**
+   * Revoke a pending invitation; its link stops working immediately
+   */
+  async revokeInvitation(req) {
+    const { id } = req.params;
+
+    const revoked = await withTransaction(async (client) => {
+      const invitation = await staffInvitationsRepository.findById(id, client);
+      if (!invitation) {
+        throw new CustomError({
+          message: "Invitation not found",
+          statusCode: 404,
+        });
+      }
+
+      const updated = await staffInvitationsRepository.revoke(id, client);
+      if (!updated) {
+        throw new CustomError({
+          message: `Invitation has already been ${staffInvitationService.getStatus(invitation)}`,
+          statusCode: 409,
+        });
+      }
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.invitation.revoke",
+          targetType: "invitation",
+          targetId: id,
+          metadata: { email: invitation.email, role: invitation.role },
+        },
+        client
+      );
+
+      return updated;
+    });
+
+    return toInvitationView(revoked);
+  }
+}
+
+module.exports = new AdminInvitationsController();
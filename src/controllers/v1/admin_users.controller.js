@@ -0,0 +1,345 @@
+const usersRepository = require("../../repositories/users.repository");
+const rolesRepository = require("../../repositories/roles.repository");
+const userRolesRepository = require("../../repositories/user_roles.repository");
+const userProvidersRepository = require("../../repositories/user_providers.repository");
+const refreshTokensRepository = require("../../repositories/refresh_tokens.repository");
+const userMfaRepository = require("../../repositories/user_mfa.repository");
+const mfaRecoveryCodesRepository = require("../../repositories/mfa_recovery_codes.repository");
+const { withTransaction } = require("../../utils/db_transactions");
+const CustomError = require("../../helpers/customError");
+const { toUserView, toProviderView } = require("../../helpers/userViews");
+const auditService = require("../../services/audit_services");
+const tokenService = require("../../services/token_services");
+
+class AdminUsersController {
+  /**
+   * List users with search + pagination
+   * Query: q (email/name), role, status (active|disabled), page, limit
+   */
+  async listUsers(req) {
+    const { q, role, status, page, limit } = req.query;
+
+    const filters = {};
+    if (q) filters.q = q;
+    if (role) filters.role = role;
+    if (status) filters.status = status;
+
+    const pagination = {
+      page: page ? parseInt(page, 10) : 1,
+      limit: limit ? parseInt(limit, 10) : 20,
+    };
+
+    const result = await usersRepository.findAll(filters, pagination);
+
+    return {
+      data: result.data.map(toUserView),
+      pagination: result.pagination,
+    };
+  }
+
+  /**
+   * Get a user with their roles and linked providers
+   */
+  async getUserById(req) {
+    const { id } = req.params;
+
+    const user = await usersRepository.findById(id);
+    if (!user) {
+      throw new CustomError({
+        message: "User not found",
+        statusCode: 404,
+      });
+    }
+
+    const [roles, providers] = await Promise.all([
+      userRolesRepository.getUserRoles(id),
+      userProvidersRepository.getProvidersByUser(id),
+    ]);
+
+    return {
+      ...toUserView(user),
+      roles: roles.map((r) => r.name),
+      providers: providers.map(toProviderView),
+    };
+  }
+
+  /**
+   * Assign a role (by name) to a user
+   */
+  async assignRole(req) {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    return withTransaction(async (client) => {
+      const { user, roleRecord } = await this._findUserAndRole(id, role, client);
+
+      await userRolesRepository.assignRole(user.id, roleRecord.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.role_assign",
+          targetType: "user",
+          targetId: user.id,
+          metadata: { role: roleRecord.name },
+        },
+        client
+      );
+
+      const roles = await userRolesRepository.getUserRoles(user.id, client);
+      return { id: user.id, roles: roles.map((r) => r.name) };
+    });
+  }
+
+  /**
+   * Remove a role (by name) from a user
+   */
+  async removeRole(req) {
+    const { id, role } = req.params;
+
+    return withTransaction(async (client) => {
+      const { user, roleRecord } = await this._findUserAndRole(id, role, client);
+
+      if (user.id === req.user.sub && roleRecord.name === "admin") {
+        throw new CustomError({
+          message: "You cannot remove your own admin role",
+          statusCode: 400,
+        });
+      }
+
+      await userRolesRepository.removeRole(user.id, roleRecord.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.role_remove",
+          targetType: "user",
+          targetId: user.id,
+          metadata: { role: roleRecord.name },
+        },
+        client
+      );
+
+      const roles = await userRolesRepository.getUserRoles(user.id, client);
+      return { id: user.id, roles: roles.map((r) => r.name) };
+    });
+  }
+
+  /**
+   * Mark a user's email as verified without a code
+   */
+  async verifyEmail(req) {
+    const { id } = req.params;
+
+    return withTransaction(async (client) => {
+      const user = await this._findUser(id, client);
+      const updated = await usersRepository.verifyEmail(user.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.email_verify",
+          targetType: "user",
+          targetId: user.id,
+          before: toUserView(user),
+          after: toUserView(updated),
+        },
+        client
+      );
+
+      return toUserView(updated);
+    });
+  }
+
+  /**
+   * Disable an account and sign it out everywhere.
+   * Access tokens already issued stay valid until they expire, except on
+   * role-guarded routes, which check the account on every request.
+   */
+  async disableUser(req) {
+    const { id } = req.params;
+
+    if (id === req.user.sub) {
+      throw new CustomError({
+        message: "You cannot disable your own account",
+        statusCode: 400,
+      });
+    }
+
+    return withTransaction(async (client) => {
+      const user = await this._findUser(id, client);
+      const updated = await usersRepository.setDisabled(user.id, true, client);
+      await refreshTokensRepository.revokeAllForUser(user.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.disable",
+          targetType: "user",
+          targetId: user.id,
+          before: toUserView(user),
+          after: toUserView(updated),
+        },
+        client
+      );
+      return toUserView(updated);
+    });
+  }
+
+  /**
+   * Re-enable a disabled account
+   */
+  async enableUser(req) {
+    const { id } = req.params;
+
+    return withTransaction(async (client) => {
+      const user = await this._findUser(id, client);
+      const updated = await usersRepository.setDisabled(user.id, false, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.enable",
+          targetType: "user",
+          targetId: user.id,
+          before: toUserView(user),
+          after: toUserView(updated),
+        },
+        client
+      );
+      return toUserView(updated);
+    });
+  }
+
+  /**
+   * Revoke every refresh token of a user.
+   * Access tokens already issued stay valid until they expire.
+   */
+  async forceLogout(req) {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const user = await this._findUser(id, client);
+      await refreshTokensRepository.revokeAllForUser(user.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.force_logout",
+          targetType: "user",
+          targetId: user.id,
+        },
+        client
+      );
+    });
+
+    return { id, logged_out: true };
+  }
+
+  /**
+   * Remove a user's authenticator and recovery codes (lost device).
+   * The user is asked to enroll again on the next staff action.
+   */
+  async resetMfa(req) {
+    const { id } = req.params;
+
+    await withTransaction(async (client) => {
+      const user = await this._findUser(id, client);
+      await mfaRecoveryCodesRepository.deleteByUser(user.id, client);
+      await userMfaRepository.deleteByUser(user.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.mfa_reset",
+          targetType: "user",
+          targetId: user.id,
+        },
+        client
+      );
+    });
+
+    return { id, mfa_enabled: false };
+  }
+
+  /**
+   * Short-lived access token for seeing the app as a user does.
+   * The token carries an `act` claim naming the administrator, can't be
+   * refreshed, and is refused by account-security endpoints.
+   * Body: { reason }
+   */
+  async impersonateUser(req) {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (id === req.user.sub) {
+      throw new CustomError({
+        message: "You cannot impersonate yourself",
+        statusCode: 400,
+      });
+    }
+
+    return withTransaction(async (client) => {
+      const user = await this._findUser(id, client);
+
+      const roles = await userRolesRepository.getUserRoles(user.id, client);
+      if (roles.some((r) => r.name === "admin")) {
+        throw new CustomError({
+          message: "Administrators cannot be impersonated",
+          statusCode: 403,
+        });
+      }
+
+      const { accessToken, expiresAt } = await tokenService.signImpersonationToken(
+        user.id,
+        req.user.sub,
+        client
+      );
+
+      // the token is only handed out once its issue is on record
+      await auditService.record(
+        req,
+        {
+          action: "admin.user.impersonate",
+          targetType: "user",
+          targetId: user.id,
+          metadata: { reason, expires_at: expiresAt },
+        },
+        client
+      );
+
+      return {
+        user: toUserView(user),
+        access_token: accessToken,
+        expires_at: expiresAt,
+      };
+    });
+  }
+
+  async _findUser(id, client) {
+    const user = await usersRepository.findById(id, client);
+    if (!user) {
+      throw new CustomError({
+        message: "User not found",
+        statusCode: 404,
+      });
+    }
+    return user;
+  }
+
+  async _findUserAndRole(id, roleName, client) {
+    const user = await this._findUser(id, client);
+
+    const roleRecord = await rolesRepository.findByName(roleName, client);
+    if (!roleRecord) {
+      throw new CustomError({
+        message: "Role not found",
+        statusCode: 404,
+      });
+    }
+
+    return { user, roleRecord };
+  }
+}
+
+module.exports = new AdminUsersController();
@@ -2,6 +2,13 @@ const articlesRepository = require("../../repositories/articles.repository");
 const { withTransaction } = require("../../utils/db_transactions");
 const CustomError = require("../../helpers/customError");
 const imageService = require("../../services/image_services");
+const auditService = require("../../services/audit_services");
+const translationService = require("../../services/translation_services");
+const revisionService = require("../../services/revision_services");
+const workflowService = require("../../services/workflow_services");
+const publishingService = require("../../services/publishing_services");
+const preferencesService = require("../../services/preferences_services");
+const { DEFAULT_LANGUAGE } = preferencesService;
 const { resolveExt } = require("./helper/fileExt");
 
 class ArticlesController {
@@ -17,14 +24,22 @@ class ArticlesController {
     if (date_from) filters.date_from = date_from;
     if (date_to) filters.date_to = date_to;
     if (q) filters.q = q;
+    // editors also see drafts, articles in review and scheduled articles
+    filters.includeUnpublished = publishingService.canPreview(req);
 
     const pagination = {
       page: page ? parseInt(page, 10) : 1,
       limit: limit ? parseInt(limit, 10) : 10,
     };
 
+    const locale = await preferencesService.resolveLanguage(req);
+
     const result = await withTransaction(async (client) => {
-      return await articlesRepository.findAll(filters, pagination, client);
+      const found = await articlesRepository.findAll(filters, pagination, client);
+      return {
+        ...found,
+        data: await translationService.localize("articles", found.data, locale, client),
+      };
     });
 
     return result;
@@ -32,7 +47,7 @@ class ArticlesController {
 
   /**
    * Get article by slug
-   * Query: ?include_draft=true to allow drafts
+   * Query: ?include_draft=true lets editors see unpublished articles
    */
   async getArticleBySlug(req) {
     const { slug } = req.params;
@@ -45,10 +60,13 @@ class ArticlesController {
       });
     }
 
+    const includeUnpublished =
+      String(include_draft).toLowerCase() === "true" && publishingService.canPreview(req);
+
     const article = await withTransaction(async (client) => {
       const data = await articlesRepository.findBySlug(
         slug,
-        { includeDraft: String(include_draft).toLowerCase() === "true" },
+        { includeUnpublished },
         client
       );
       if (!data) {
@@ -57,7 +75,7 @@ class ArticlesController {
           statusCode: 404,
         });
       }
-      return data;
+      return translationService.localizeBySlug("articles", data, slug, req, client);
     });
 
     return article;
@@ -78,13 +96,16 @@ class ArticlesController {
 
     const article = await withTransaction(async (client) => {
       const data = await articlesRepository.findById(id, client);
-      if (!data) {
+      // unpublished ids 404 for readers, as if they didn't exist
+      const visible =
+        data && (publishingService.isLive("articles", data) || publishingService.canPreview(req));
+      if (!visible) {
         throw new CustomError({
           message: "Article not found",
           statusCode: 404,
         });
       }
-      return data;
+      return translationService.withTranslations("articles", data, client);
     });
 
     return article;
@@ -102,18 +123,19 @@ class ArticlesController {
       thumbnail_image_url,
       slug,
       author,
-      status,
       seo_metadata,
+      unpublish_at,
     } = req.body;
 
-    if (!title || !content || !publication_date || !author || !status) {
+    if (!title || !content || !publication_date || !author) {
       throw new CustomError({
-        message:
-          "title, content, publication_date, author, and status are required",
+        message: "title, content, publication_date, and author are required",
         statusCode: 400,
       });
     }
 
+    publishingService.assertValidSchedule({ publication_date, unpublish_at });
+
     if (typeof seo_metadata === "string") {
       try {
         seo_metadata = JSON.parse(seo_metadata);
@@ -150,12 +172,14 @@ class ArticlesController {
           : null);
     }
 
+    const translations = translationService.parse(req.body.translations);
+
     const newArticle = await withTransaction(async (client) => {
       // Check slug uniqueness if provided
       if (slug) {
         const existingSlug = await articlesRepository.findBySlug(
           slug,
-          { includeDraft: true },
+          { includeUnpublished: true },
           client
         );
         if (existingSlug) {
@@ -175,13 +199,33 @@ class ArticlesController {
           thumbnail_image_url: thumbnail_image_url || null,
           slug: slug || this.generateSlug(title),
           author,
-          status,
+          // new articles start as drafts; status then moves through the workflow
+          status: "draft",
           seo_metadata: seo_metadata ?? null,
+          default_locale: req.body.default_locale || DEFAULT_LANGUAGE,
+          unpublish_at: unpublish_at || null,
+          created_by: workflowService.ownerId(req),
+        },
+        client
+      );
+
+      await translationService.save("articles", created, translations, client);
+      await revisionService.record(req, "articles", created, "create", client);
+
+      await auditService.record(
+        req,
+        {
+          action: "article.create",
+          targetType: "article",
+          targetId: created.id,
+          before: null,
+          after: created,
+          ...(translations && { metadata: { translations: Object.keys(translations) } }),
         },
         client
       );
 
-      return created;
+      return translationService.withTranslations("articles", created, client);
     });
 
     return newArticle;
@@ -200,8 +244,8 @@ class ArticlesController {
       thumbnail_image_url,
       slug,
       author,
-      status,
       seo_metadata,
+      unpublish_at,
     } = req.body;
 
     if (!id) {
@@ -219,6 +263,8 @@ class ArticlesController {
       }
     }
 
+    const translations = translationService.parse(req.body.translations);
+
     const updatedArticle = await withTransaction(async (client) => {
       const existing = await articlesRepository.findById(id, client);
       if (!existing) {
@@ -228,11 +274,28 @@ class ArticlesController {
         });
       }
 
+      // writers only touch their own drafts and rejected items
+      workflowService.assertCanEdit(req, "articles", existing);
+
+      // items created before revision tracking get their current state as revision 1
+      await revisionService.ensureBaseline("articles", existing, client);
+
+      // Check the schedule as it will be saved
+      publishingService.assertValidSchedule({
+        status: existing.status,
+        publication_date:
+          typeof publication_date !== "undefined"
+            ? publication_date
+            : existing.publication_date,
+        unpublish_at:
+          typeof unpublish_at !== "undefined" ? unpublish_at : existing.unpublish_at,
+      });
+
       // Slug collision check if changed
       if (slug && slug !== existing.slug) {
         const existingSlug = await articlesRepository.findBySlug(
           slug,
-          { includeDraft: true },
+          { includeUnpublished: true },
           client
         );
         if (existingSlug) {
@@ -294,16 +357,34 @@ class ArticlesController {
           thumbnail_image_url: nextThumbUrl ?? null,
           slug: slugToUse,
           author: typeof author !== "undefined" ? author : existing.author,
-          status: typeof status !== "undefined" ? status : existing.status,
           seo_metadata:
             typeof seo_metadata !== "undefined"
               ? seo_metadata
               : existing.seo_metadata,
+          // "" clears the expiry
+          unpublish_at:
+            typeof unpublish_at !== "undefined" ? unpublish_at || null : undefined,
         },
         client
       );
 
-      return updated;
+      await translationService.save("articles", updated, translations, client);
+      await revisionService.record(req, "articles", updated, "update", client);
+
+      await auditService.record(
+        req,
+        {
+          action: "article.update",
+          targetType: "article",
+          targetId: id,
+          before: existing,
+          after: updated,
+          ...(translations && { metadata: { translations: Object.keys(translations) } }),
+        },
+        client
+      );
+
+      return translationService.withTranslations("articles", updated, client);
     });
 
     return updatedArticle;
@@ -358,11 +439,113 @@ class ArticlesController {
         });
       }
       await articlesRepository.deleteArticle(id, client);
+      await revisionService.removeAll("articles", id, client);
+      await workflowService.removeAll("articles", id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "article.delete",
+          targetType: "article",
+          targetId: id,
+          before: existing,
+          after: null,
+        },
+        client
+      );
     });
 
     return { id };
   }
 
+  /**
+   * List revisions of an article, newest first
+   */
+  async listRevisions(req) {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const pagination = {
+      page: page ? parseInt(page, 10) : 1,
+      limit: limit ? parseInt(limit, 10) : 20,
+    };
+
+    const revisions = await withTransaction((client) =>
+      revisionService.list("articles", id, pagination, client)
+    );
+
+    return revisions;
+  }
+
+  /**
+   * Get one revision with its full snapshot
+   */
+  async getRevision(req) {
+    const { id, revision } = req.params;
+
+    const found = await withTransaction((client) =>
+      revisionService.get("articles", id, parseInt(revision, 10), client)
+    );
+
+    return found;
+  }
+
+  /**
+   * Field-level diff between two revisions
+   * Query: from, to (revision numbers)
+   */
+  async diffRevisions(req) {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await withTransaction((client) =>
+      revisionService.diff("articles", id, parseInt(from, 10), parseInt(to, 10), client)
+    );
+
+    return diff;
+  }
+
+  /**
+   * Restore an older revision; the result is saved as a new revision
+   */
+  async restoreRevision(req) {
+    const { id, revision } = req.params;
+
+    const restored = await withTransaction((client) =>
+      revisionService.restore(req, "articles", id, parseInt(revision, 10), client)
+    );
+
+    return restored;
+  }
+
+  /**
+   * Move an article through the editorial workflow
+   * Body: action (submit, withdraw, approve, reject, publish, archive, reopen), comment
+   */
+  async transition(req) {
+    const { id } = req.params;
+    const { action, comment } = req.body;
+
+    const result = await withTransaction((client) =>
+      workflowService.transition(req, "articles", id, action, comment, client)
+    );
+
+    return result;
+  }
+
+  /**
+   * Current workflow state and transition history
+   */
+  async getWorkflow(req) {
+    const { id } = req.params;
+
+    const workflow = await withTransaction((client) =>
+      workflowService.history("articles", id, client)
+    );
+
+    return workflow;
+  }
+
   /**
    * Generate slug from title
    */
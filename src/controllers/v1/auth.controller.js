@@ -3,18 +3,35 @@ const rolesRepository = require("../../repositories/roles.repository");
 const userRolesRepository = require("../../repositories/user_roles.repository");
 const verificationCodeRepository = require("../../repositories/verification_codes.repository");
 const refreshTokensRepository = require("../../repositories/refresh_tokens.repository");
+const userProvidersRepository = require("../../repositories/user_providers.repository");
+const userMfaRepository = require("../../repositories/user_mfa.repository");
+const mfaRecoveryCodesRepository = require("../../repositories/mfa_recovery_codes.repository");
+const userPreferencesRepository = require("../../repositories/user_preferences.repository");
 const emailService = require("../../config/nodemailer");
+const tokenService = require("../../services/token_services");
+const bruteForceService = require("../../services/brute_force_services");
+const mfaService = require("../../services/mfa_services");
+const signingKeyService = require("../../services/signing_keys_services");
+const auditService = require("../../services/audit_services");
+const preferencesService = require("../../services/preferences_services");
+const guestService = require("../../services/guest_services");
+const { GUEST_SCOPES } = guestService;
+const imageService = require("../../services/image_services");
+const { resolveExt } = require("./helper/fileExt");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const {
   generateVerificationCode,
 } = require("../../helpers/generateVerificationCode");
 const { withTransaction } = require("../../utils/db_transactions");
+const { getRequestMetadata } = require("../../helpers/requestMetadata");
 const CustomError = require("../../helpers/customError");
-const crypto = require("crypto");
+const logger = require("../../config/logger");
+const { toUserView } = require("../../helpers/userViews");
 
-const ACCESS_TOKEN_EXP = process.env.JWT_ACCESS_EXP || "15m";
-const REFRESH_TOKEN_EXP_DAYS = process.env.JWT_REFRESH_EXP_DAYS || 30;
+const PASSWORDLESS_PURPOSE = "passwordless_login";
+const PASSWORDLESS_EXP_MINUTES = 10;
+const EMAIL_CHANGE_PURPOSE = "email_change";
+const EMAIL_CHANGE_EXP_MINUTES = 10;
 
 class UsersController {
   async register(req) {
@@ -62,6 +79,14 @@ class UsersController {
         client
       );
 
+      await auditService.record(
+        req,
+        { action: "auth.register", targetType: "user", targetId: newUser.id, actorId: newUser.id },
+        client
+      );
+
+      await guestService.mergeInto(req, newUser.id, client);
+
       return { user: newUser, code: rawCode };
     });
 
@@ -85,20 +110,459 @@ class UsersController {
     };
   }
 
-  async getUserById(req, res, next) {
+  /**
+   * Start an anonymous guest session. Guest tokens only work on routes
+   * that accept their scopes; registering or signing in with a provider
+   * while sending `guest_token` moves the guest's data to the account.
+   */
+  async createGuestSession(req) {
+    const metadata = getRequestMetadata(req);
+    const attemptKeys = { ip: metadata.ip_address };
+    await bruteForceService.assertAllowed("guest_session", attemptKeys);
+    await bruteForceService.recordAttempt("guest_session", attemptKeys);
+
+    const { guest, accessToken, refreshToken } = await withTransaction(async (client) => {
+      const role = await rolesRepository.findByName("guest", client);
+      if (!role) {
+        throw new CustomError({
+          message: "Guest sessions are not available",
+          statusCode: 503,
+        });
+      }
+
+      const newGuest = await usersRepository.createGuest(client);
+      await userRolesRepository.assignRole(newGuest.id, role.id, client);
+
+      const tokens = await tokenService.issueTokens(newGuest.id, metadata, client);
+      return { guest: newGuest, ...tokens };
+    });
+
+    return {
+      message: "Guest session started",
+      data: {
+        guest_id: guest.id,
+        scopes: Object.values(GUEST_SCOPES),
+        access_token: accessToken,
+        refresh_token: refreshToken,
+      },
+    };
+  }
+
+  async getUserById(req) {
+    const { id } = req.params;
+
+    if (!id) {
+      throw new CustomError({
+        message: "User ID is required",
+        statusCode: 400,
+      });
+    }
+
+    const user = await usersRepository.findById(id);
+    if (!user || user.disabled_at) {
+      throw new CustomError({
+        message: "User not found",
+        statusCode: 404,
+      });
+    }
+
+    // Public profile only; private fields are served by /me
+    return {
+      message: "User fetched successfully",
+      data: {
+        id: user.id,
+        name: user.name,
+        avatar_url: user.avatar_url,
+        created_at: user.created_at,
+      },
+    };
+  }
+
+  async updateProfile(req) {
+    const userId = req.user?.sub;
+    const { name } = req.body;
+    let { avatar_url } = req.body;
+
+    if (!userId) {
+      throw new CustomError({
+        message: "Unauthorized",
+        statusCode: 401,
+      });
+    }
+
+    // If a file was uploaded, push it to storage and use its URL
+    if (req.file && req.file.buffer) {
+      const ext = resolveExt(req.file.originalname, req.file.mimetype);
+      const uploaded = await imageService.uploadImage({
+        buffer: req.file.buffer,
+        filename: `avatar-${userId}${ext}`,
+        mimeType: req.file.mimetype,
+        public: true,
+      });
+      avatar_url = uploaded.url || imageService.getImageUrl(uploaded.id);
+    }
+
+    if (name === undefined && avatar_url === undefined) {
+      throw new CustomError({
+        message: "Nothing to update. Provide name or avatar_url",
+        statusCode: 400,
+      });
+    }
+
+    const user = await withTransaction(async (client) => {
+      const existing = await usersRepository.findById(userId, client);
+      if (!existing) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      const updated = await usersRepository.updateUser(
+        userId,
+        { name, avatar_url },
+        client
+      );
+
+      await auditService.record(
+        req,
+        {
+          action: "auth.profile_update",
+          targetType: "user",
+          targetId: userId,
+          before: toUserView(existing),
+          after: toUserView(updated),
+        },
+        client
+      );
+
+      return updated;
+    });
+
+    return {
+      message: "Profile updated successfully",
+      data: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        avatar_url: user.avatar_url,
+        is_email_verified: user.is_email_verified,
+        created_at: user.created_at,
+        updated_at: user.updated_at,
+      },
+    };
+  }
+
+  async changePassword(req) {
+    const userId = req.user?.sub;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      throw new CustomError({
+        message: "currentPassword and newPassword are required",
+        statusCode: 400,
+      });
+    }
+
+    await withTransaction(async (client) => {
+      const user = await usersRepository.findById(userId, client);
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      // Accounts created through a social provider have no password yet
+      if (!user.password_hash) {
+        throw new CustomError({
+          message:
+            "This account has no password. Use forgot-password to set one.",
+          statusCode: 400,
+        });
+      }
+
+      const validPassword = await bcrypt.compare(
+        currentPassword,
+        user.password_hash
+      );
+      if (!validPassword) {
+        throw new CustomError({
+          message: "Current password is incorrect",
+          statusCode: 401,
+        });
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await usersRepository.updateUser(
+        user.id,
+        { password_hash: hashedPassword },
+        client
+      );
+
+      await refreshTokensRepository.revokeAllForUser(user.id, client);
+
+      await auditService.record(
+        req,
+        { action: "auth.password_change", targetType: "user", targetId: user.id },
+        client
+      );
+    });
+
+    return {
+      message: "Password changed successfully. Please log in again.",
+      data: {
+        changed: true,
+      },
+    };
+  }
+
+  /**
+   * Start an email change: a code goes to the new address, a notice to the
+   * current one. The current email stays in use until the code is confirmed.
+   */
+  async requestEmailChange(req) {
+    const userId = req.user?.sub;
+    const { password } = req.body;
+    const newEmail = req.body.new_email?.trim();
+
+    if (!newEmail) {
+      throw new CustomError({
+        message: "new_email is required",
+        statusCode: 400,
+      });
+    }
+
+    const attemptKeys = { identifier: userId, ip: getRequestMetadata(req).ip_address };
+    await bruteForceService.assertAllowed("change_email", attemptKeys);
+
+    const result = await withTransaction(async (client) => {
+      const user = await usersRepository.findById(userId, client);
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      // Password accounts confirm with their password; accounts that only
+      // sign in with a provider (e.g. Google) rely on the new-address code
+      if (user.password_hash) {
+        const validPassword =
+          !!password && (await bcrypt.compare(password, user.password_hash));
+        if (!validPassword) {
+          return { failed: true };
+        }
+      }
+
+      if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+        throw new CustomError({
+          message: "The new email is the same as the current one",
+          statusCode: 400,
+        });
+      }
+
+      const existing = await usersRepository.findByEmailInsensitive(newEmail, client);
+      if (existing) {
+        throw new CustomError({
+          message: "Email already registered",
+          statusCode: 409,
+        });
+      }
+
+      await usersRepository.setPendingEmail(user.id, newEmail, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "auth.email_change_request",
+          targetType: "user",
+          targetId: user.id,
+          metadata: { new_email: newEmail },
+        },
+        client
+      );
+
+      // only the latest request can be confirmed
+      await verificationCodeRepository.invalidateCodesByUserAndPurpose(
+        user.id,
+        EMAIL_CHANGE_PURPOSE,
+        client
+      );
+
+      const rawCode = generateVerificationCode();
+      const expiresAt = new Date(Date.now() + EMAIL_CHANGE_EXP_MINUTES * 60 * 1000);
+
+      await verificationCodeRepository.createVerificationCode(
+        user.id,
+        rawCode,
+        EMAIL_CHANGE_PURPOSE,
+        expiresAt,
+        client
+      );
+
+      return { user, code: rawCode };
+    });
+
+    // every request counts, so the new address can't be flooded with codes
+    await bruteForceService.recordAttempt("change_email", attemptKeys);
+
+    if (result.failed) {
+      throw new CustomError({
+        message: "Password is incorrect",
+        statusCode: 401,
+      });
+    }
+
+    const { user, code } = result;
+
+    // send email after commit
+    await emailService.sendEmailChangeCodeMail({
+      to: newEmail,
+      name: user.name,
+      code,
+    });
+
     try {
-      // TODO: implement get user by id logic
+      await emailService.sendEmailChangeNoticeMail({
+        to: user.email,
+        name: user.name,
+        newEmail,
+      });
     } catch (err) {
-      next(err);
+      // the code is already on its way; the notice is best effort
+      logger.error("Failed to send email change notice:", err);
     }
+
+    return {
+      message: "A verification code has been sent to the new email address.",
+      data: {
+        email: user.email,
+        pending_email: newEmail,
+        expires_in: EMAIL_CHANGE_EXP_MINUTES * 60,
+      },
+    };
   }
 
-  async updateProfile(req, res, next) {
+  /**
+   * Finish an email change with the code sent to the new address
+   */
+  async confirmEmailChange(req) {
+    const userId = req.user?.sub;
+    const { code } = req.body;
+
+    if (!code) {
+      throw new CustomError({
+        message: "code is required",
+        statusCode: 400,
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const user = await usersRepository.findById(userId, client);
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      const verification = user.pending_email
+        ? await verificationCodeRepository.getValidCodeByUserAndPurpose(
+            user.id,
+            EMAIL_CHANGE_PURPOSE,
+            client
+          )
+        : null;
+
+      if (!verification) {
+        throw new CustomError({
+          message: "No pending email change or the code has expired",
+          statusCode: 400,
+        });
+      }
+
+      if (verification.code !== String(code).trim().toUpperCase()) {
+        // returned, not thrown, so the attempt count commits
+        const mismatch = await bruteForceService.registerCodeMismatch(
+          verification,
+          client
+        );
+        return { failed: true, ...mismatch };
+      }
+
+      await verificationCodeRepository.markCodeAsUsed(verification.id, client);
+
+      // the address may have been registered since the request
+      const existing = await usersRepository.findByEmailInsensitive(
+        user.pending_email,
+        client
+      );
+      if (existing && existing.id !== user.id) {
+        await usersRepository.setPendingEmail(user.id, null, client);
+        return { taken: true };
+      }
+
+      const updated = await usersRepository.confirmPendingEmail(user.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "auth.email_change",
+          targetType: "user",
+          targetId: user.id,
+          before: { email: user.email },
+          after: { email: updated.email },
+        },
+        client
+      );
+
+      return { oldEmail: user.email, user: updated };
+    });
+
+    if (result.failed) {
+      throw new CustomError({
+        message: result.exhausted
+          ? "Too many incorrect attempts. Please request a new code."
+          : "Invalid verification code",
+        statusCode: 400,
+        errors: { remaining_attempts: result.remaining },
+      });
+    }
+
+    if (result.taken) {
+      throw new CustomError({
+        message: "Email already registered",
+        statusCode: 409,
+      });
+    }
+
+    const { oldEmail, user } = result;
+
+    logger.warn("Security event: email changed", {
+      event: "email_changed",
+      user_id: user.id,
+    });
+
     try {
-      // TODO: implement update profile logic
+      await emailService.sendEmailChangeNoticeMail({
+        to: oldEmail,
+        name: user.name,
+        newEmail: user.email,
+        completed: true,
+      });
     } catch (err) {
-      next(err);
+      logger.error("Failed to send email change notice:", err);
     }
+
+    return {
+      message: "Email changed successfully",
+      data: {
+        id: user.id,
+        email: user.email,
+        is_email_verified: user.is_email_verified,
+      },
+    };
   }
 
   async login(req) {
@@ -111,25 +575,21 @@ class UsersController {
       });
     }
 
-    const { user, accessToken, refreshToken } = await withTransaction(
+    const metadata = getRequestMetadata(req);
+    const attemptKeys = { identifier: email, ip: metadata.ip_address };
+
+    await bruteForceService.assertAllowed("login", attemptKeys);
+
+    const result = await withTransaction(
       async (client) => {
         const user = await usersRepository.findByEmail(email, client);
-        if (!user) {
-          throw new CustomError({
-            message: "Invalid credentials",
-            statusCode: 401,
-          });
-        }
 
-        const validPassword = await bcrypt.compare(
-          password,
-          user.password_hash
-        );
+        // Accounts without a password (Google-only) can't log in here either
+        const validPassword =
+          user?.password_hash &&
+          (await bcrypt.compare(password, user.password_hash));
         if (!validPassword) {
-          throw new CustomError({
-            message: "Invalid credentials",
-            statusCode: 401,
-          });
+          return { failed: true, user };
         }
 
         if (!user.is_email_verified) {
@@ -139,169 +599,615 @@ class UsersController {
           });
         }
 
-        // create tokens
-        const accessToken = jwt.sign({ sub: user.id }, process.env.JWT_SECRET, {
-          expiresIn: ACCESS_TOKEN_EXP,
+        if (user.disabled_at) {
+          throw new CustomError({
+            message: "Account is disabled",
+            statusCode: 403,
+          });
+        }
+
+        // enrolled users get a challenge instead of tokens
+        if (await mfaService.isEnabled(user.id, client)) {
+          return { user, challenge: mfaService.buildChallenge(user, ["pwd"]) };
+        }
+
+        // open a new device session; other devices stay signed in
+        const { accessToken, refreshToken, sessionId } = await tokenService.issueTokens(
+          user.id,
+          metadata,
+          client,
+          ["pwd"]
+        );
+        const { mfa_required } = await tokenService.getRoleClaims(user.id, client);
+
+        await auditService.record(
+          req,
+          {
+            action: "auth.login",
+            targetType: "user",
+            targetId: user.id,
+            actorId: user.id,
+            metadata: { method: "password", session_id: sessionId },
+          },
+          client
+        );
+
+        return { user, accessToken, refreshToken, mfaSetupRequired: mfa_required };
+      }
+    );
+
+    // counted outside the transaction so the failure is persisted
+    if (result.failed) {
+      const { locked } = await bruteForceService.recordAttempt("login", {
+        ...attemptKeys,
+        user: result.user,
+      });
+      await this._auditLoginFailure(req, result.user, email, "password", locked);
+      throw new CustomError({
+        message: "Invalid credentials",
+        statusCode: 401,
+      });
+    }
+
+    await bruteForceService.reset("login", attemptKeys);
+
+    if (result.challenge) {
+      return {
+        message: "Two-factor authentication required",
+        data: result.challenge,
+      };
+    }
+
+    const { user, accessToken, refreshToken, mfaSetupRequired } = result;
+
+    return {
+      message: "Login successful",
+      data: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        // staff routes stay closed until MFA is set up via /v1/auth/mfa/setup
+        ...(mfaSetupRequired && { mfa_setup_required: true }),
+      },
+    };
+  }
+
+  async verifyEmail(req) {
+    const { email, code } = req.body;
+
+    if (!email || !code) {
+      throw new CustomError({
+        message: "email and code are required",
+        statusCode: 400,
+      });
+    }
+
+    const attemptKeys = { identifier: email, ip: getRequestMetadata(req).ip_address };
+
+    await bruteForceService.assertAllowed("verify_email", attemptKeys);
+
+    const result = await withTransaction(async (client) => {
+      const user = await usersRepository.findByEmail(email, client);
+
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      const verification =
+        await verificationCodeRepository.getValidCodeByUserAndPurpose(
+          user.id,
+          "email_verification",
+          client
+        );
+
+      if (!verification) {
+        throw new CustomError({
+          message: "Invalid or expired verification code",
+          statusCode: 400,
+        });
+      }
+      if (verification.code !== code) {
+        // returned, not thrown, so the attempt count commits
+        const mismatch = await bruteForceService.registerCodeMismatch(
+          verification,
+          client
+        );
+        return { failed: true, ...mismatch };
+      }
+
+      await verificationCodeRepository.markCodeAsUsed(verification.id, client);
+      await usersRepository.verifyEmail(user.id, client);
+
+      await auditService.record(
+        req,
+        { action: "auth.email_verify", targetType: "user", targetId: user.id, actorId: user.id },
+        client
+      );
+
+      return { failed: false };
+    });
+
+    if (result.failed) {
+      await bruteForceService.recordAttempt("verify_email", attemptKeys);
+      throw new CustomError({
+        message: result.exhausted
+          ? "Too many incorrect attempts. Please request a new verification code."
+          : "Invalid verification code",
+        statusCode: 400,
+        errors: { remaining_attempts: result.remaining },
+      });
+    }
+
+    await bruteForceService.reset("verify_email", attemptKeys);
+
+    return {
+      message: "Email verified successfully.",
+      data: {
+        email,
+        verified: true,
+      },
+    };
+  }
+
+  async resendVerification(req) {
+    const { email } = req.body;
+
+    if (!email) {
+      throw new CustomError({
+        message: "email is required",
+        statusCode: 400,
+      });
+    }
+
+    // every resend counts: each one issues a fresh code with a fresh
+    // attempt budget
+    const attemptKeys = { identifier: email, ip: getRequestMetadata(req).ip_address };
+    await bruteForceService.assertAllowed("resend_verification", attemptKeys);
+    await bruteForceService.recordAttempt("resend_verification", attemptKeys);
+
+    const { user, code } = await withTransaction(async (client) => {
+      const user = await usersRepository.findByEmail(email, client);
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
         });
+      }
+
+      if (user.is_email_verified) {
+        throw new CustomError({
+          message: "Email already verified",
+          statusCode: 400,
+        });
+      }
 
-        const rawRefreshToken = jwt.sign(
+      await verificationCodeRepository.deleteCodesByUser(user.id, client);
+
+      // Generate new code
+      const rawCode = generateVerificationCode();
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+
+      await verificationCodeRepository.createVerificationCode(
+        user.id,
+        rawCode,
+        "email_verification",
+        expiresAt,
+        client
+      );
+
+      return { user, code: rawCode };
+    });
+
+    // send email after commit
+    await emailService.sendRegisterMail({
+      to: email,
+      name: user.name,
+      code,
+    });
+
+    return {
+      message: "Verification code resent successfully.",
+      data: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        avatar_url: user.avatar_url,
+        created_at: user.created_at,
+        updated_at: user.updated_at,
+      },
+    };
+  }
+
+  /**
+   * Email a one-time sign-in code, or a signed magic link carrying it.
+   * The response is the same whether or not the email is registered.
+   */
+  async passwordlessStart(req) {
+    const { email, mode = "code" } = req.body;
+
+    if (!email) {
+      throw new CustomError({
+        message: "email is required",
+        statusCode: 400,
+      });
+    }
+
+    const linkBaseUrl = process.env.PASSWORDLESS_LINK_URL;
+    if (mode === "link" && !linkBaseUrl) {
+      throw new CustomError({
+        message: "Magic link sign-in is not configured",
+        statusCode: 503,
+      });
+    }
+
+    const attemptKeys = { identifier: email, ip: getRequestMetadata(req).ip_address };
+    await bruteForceService.assertAllowed("passwordless_start", attemptKeys);
+    await bruteForceService.recordAttempt("passwordless_start", attemptKeys);
+
+    const result = await withTransaction(async (client) => {
+      const user = await usersRepository.findByEmail(email, client);
+
+      // Do not reveal whether the email is registered
+      if (!user || user.disabled_at) return null;
+
+      // only the latest code/link works
+      await verificationCodeRepository.invalidateCodesByUserAndPurpose(
+        user.id,
+        PASSWORDLESS_PURPOSE,
+        client
+      );
+
+      const rawCode = generateVerificationCode();
+      const expiresAt = new Date(Date.now() + PASSWORDLESS_EXP_MINUTES * 60 * 1000);
+
+      await verificationCodeRepository.createVerificationCode(
+        user.id,
+        rawCode,
+        PASSWORDLESS_PURPOSE,
+        expiresAt,
+        client
+      );
+
+      return { user, code: rawCode };
+    });
+
+    // send email after commit
+    if (result) {
+      let link;
+      if (mode === "link") {
+        // the signature stops anyone from forging links for guessed codes;
+        // the code row keeps the link single-use
+        const token = signingKeyService.sign(
           {
-            sub: user.id,
-            jti: crypto.randomBytes(16).toString("hex"),
+            sub: result.user.id,
+            email: result.user.email,
+            code: result.code,
+            typ: "magic_link",
           },
-          process.env.JWT_REFRESH_SECRET,
           {
-            expiresIn: `${REFRESH_TOKEN_EXP_DAYS}d`,
+            secret: process.env.JWT_SECRET,
+            expiresIn: `${PASSWORDLESS_EXP_MINUTES}m`,
           }
         );
+        const url = new URL(linkBaseUrl);
+        url.searchParams.set("token", token);
+        link = url.toString();
+      }
+
+      await emailService.sendPasswordlessMail({
+        to: result.user.email,
+        name: result.user.name,
+        code: result.code,
+        link,
+        expiresInMinutes: PASSWORDLESS_EXP_MINUTES,
+      });
+    }
+
+    return {
+      message:
+        mode === "link"
+          ? "If the email is registered, a sign-in link has been sent."
+          : "If the email is registered, a sign-in code has been sent.",
+      data: null,
+    };
+  }
+
+  /**
+   * Finish passwordless sign-in with { email, code } or the magic link { token }.
+   * Issues the same tokens as login.
+   */
+  async passwordlessVerify(req) {
+    let { email, code } = req.body;
+    const { token } = req.body;
+    let userId = null;
+
+    if (token) {
+      let payload;
+      try {
+        payload = signingKeyService.verify(token, { secret: process.env.JWT_SECRET });
+      } catch {
+        payload = null;
+      }
+      if (payload?.typ !== "magic_link") {
+        throw new CustomError({
+          message: "Invalid or expired sign-in link",
+          statusCode: 400,
+        });
+      }
+      ({ email, code } = payload);
+      userId = payload.sub;
+    }
+
+    if (!email || !code) {
+      throw new CustomError({
+        message: "Either token, or email and code are required",
+        statusCode: 400,
+      });
+    }
+
+    const metadata = getRequestMetadata(req);
+    const attemptKeys = { identifier: email, ip: metadata.ip_address };
 
-        const expiresAt = new Date(
-          Date.now() + REFRESH_TOKEN_EXP_DAYS * 24 * 60 * 60 * 1000
+    await bruteForceService.assertAllowed("passwordless_verify", attemptKeys);
+
+    const result = await withTransaction(async (client) => {
+      const user = userId
+        ? await usersRepository.findById(userId, client)
+        : await usersRepository.findByEmail(email, client);
+
+      const verification =
+        user &&
+        (await verificationCodeRepository.getValidCodeByUserAndPurpose(
+          user.id,
+          PASSWORDLESS_PURPOSE,
+          client
+        ));
+
+      if (!verification) {
+        throw new CustomError({
+          message: "Invalid or expired sign-in code",
+          statusCode: 400,
+        });
+      }
+
+      if (verification.code !== String(code).trim().toUpperCase()) {
+        // returned, not thrown, so the attempt count commits
+        const mismatch = await bruteForceService.registerCodeMismatch(
+          verification,
+          client
         );
+        return { failed: true, user, ...mismatch };
+      }
+
+      await verificationCodeRepository.markCodeAsUsed(verification.id, client);
+
+      if (user.disabled_at) {
+        throw new CustomError({
+          message: "Account is disabled",
+          statusCode: 403,
+        });
+      }
+
+      // receiving the code proves the inbox belongs to the user
+      if (!user.is_email_verified) {
+        await usersRepository.verifyEmail(user.id, client);
+      }
+
+      if (await mfaService.isEnabled(user.id, client)) {
+        return { user, challenge: mfaService.buildChallenge(user, ["email"]) };
+      }
+
+      const { accessToken, refreshToken, sessionId } = await tokenService.issueTokens(
+        user.id,
+        metadata,
+        client,
+        ["email"]
+      );
+      await usersRepository.updateLastLogin(user.id, client);
+      const { mfa_required } = await tokenService.getRoleClaims(user.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "auth.login",
+          targetType: "user",
+          targetId: user.id,
+          actorId: user.id,
+          metadata: { method: "passwordless", session_id: sessionId },
+        },
+        client
+      );
+
+      return { user, accessToken, refreshToken, mfaSetupRequired: mfa_required };
+    });
+
+    if (result.failed) {
+      const { locked } = await bruteForceService.recordAttempt(
+        "passwordless_verify",
+        attemptKeys
+      );
+      await this._auditLoginFailure(req, result.user, email, "passwordless", locked);
+      throw new CustomError({
+        message: result.exhausted
+          ? "Too many incorrect attempts. Please request a new sign-in code."
+          : "Invalid or expired sign-in code",
+        statusCode: 400,
+        errors: { remaining_attempts: result.remaining },
+      });
+    }
+
+    await bruteForceService.reset("passwordless_verify", attemptKeys);
+
+    if (result.challenge) {
+      return {
+        message: "Two-factor authentication required",
+        data: result.challenge,
+      };
+    }
+
+    const { user, accessToken, refreshToken, mfaSetupRequired } = result;
+
+    return {
+      message: "Login successful",
+      data: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        ...(mfaSetupRequired && { mfa_setup_required: true }),
+      },
+    };
+  }
+
+  async forgotPassword(req) {
+    const { email } = req.body;
+
+    if (!email) {
+      throw new CustomError({
+        message: "email is required",
+        statusCode: 400,
+      });
+    }
+
+    // every request counts, registered or not: each one may send an email
+    // and replaces the previous code
+    const attemptKeys = { identifier: email, ip: getRequestMetadata(req).ip_address };
+    await bruteForceService.assertAllowed("forgot_password", attemptKeys);
+    await bruteForceService.recordAttempt("forgot_password", attemptKeys);
+
+    const result = await withTransaction(async (client) => {
+      const user = await usersRepository.findByEmail(email, client);
+
+      // Do not reveal whether the email is registered
+      if (!user) return null;
+
+      await verificationCodeRepository.invalidateCodesByUserAndPurpose(
+        user.id,
+        "password_reset",
+        client
+      );
+
+      const rawCode = generateVerificationCode();
+      const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+
+      await verificationCodeRepository.createVerificationCode(
+        user.id,
+        rawCode,
+        "password_reset",
+        expiresAt,
+        client
+      );
 
-        // revoke all old tokens for user (optional cleanup)
-        await refreshTokensRepository.revokeAllForUser(user.id, client);
+      await auditService.record(
+        req,
+        { action: "auth.password_reset_request", targetType: "user", targetId: user.id },
+        client
+      );
 
-        // Store plain token (your repository's createRefreshToken expects token_hash parameter)
-        await refreshTokensRepository.createRefreshToken(
-          user.id,
-          rawRefreshToken, // 👈 Pass plain token, it goes into token_hash column
-          expiresAt,
-          client
-        );
+      return { user, code: rawCode };
+    });
 
-        return { user, accessToken, refreshToken: rawRefreshToken };
-      }
-    );
+    // send email after commit
+    if (result) {
+      await emailService.sendResetPasswordMail({
+        to: result.user.email,
+        name: result.user.name,
+        code: result.code,
+      });
+    }
 
     return {
-      message: "Login successful",
-      data: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        access_token: accessToken,
-        refresh_token: refreshToken,
-      },
+      message:
+        "If the email is registered, a password reset code has been sent.",
+      data: null,
     };
   }
 
-  async verifyEmail(req) {
-    const { email, code } = req.body;
+  async resetPassword(req) {
+    const { email, code, newPassword } = req.body;
 
-    if (!email || !code) {
+    if (!email || !code || !newPassword) {
       throw new CustomError({
-        message: "email and code are required",
+        message: "email, code, and newPassword are required",
         statusCode: 400,
       });
     }
 
-    await withTransaction(async (client) => {
+    const result = await withTransaction(async (client) => {
       const user = await usersRepository.findByEmail(email, client);
-
       if (!user) {
         throw new CustomError({
-          message: "User not found",
-          statusCode: 404,
+          message: "Invalid or expired reset code",
+          statusCode: 400,
         });
       }
 
+      // Only unused, unexpired codes are returned
       const verification =
         await verificationCodeRepository.getValidCodeByUserAndPurpose(
           user.id,
-          "email_verification",
+          "password_reset",
           client
         );
 
       if (!verification) {
         throw new CustomError({
-          message: "Invalid or expired verification code",
+          message: "Invalid or expired reset code",
           statusCode: 400,
         });
       }
+
       if (verification.code !== code) {
-        console.log("Verification code mismatch", {
-          provided: code,
-          expected: verification.code,
-        });
-        throw new CustomError({
-          message: "Invalid verification code",
-          statusCode: 400,
-        });
+        // returned, not thrown, so the attempt count commits
+        const mismatch = await bruteForceService.registerCodeMismatch(
+          verification,
+          client
+        );
+        return { failed: true, ...mismatch };
       }
 
       await verificationCodeRepository.markCodeAsUsed(verification.id, client);
-      await usersRepository.verifyEmail(user.id, client);
-    });
-
-    return {
-      message: "Email verified successfully.",
-      data: {
-        email,
-        verified: true,
-      },
-    };
-  }
-
-  async resendVerification(req) {
-    const { email } = req.body;
-
-    if (!email) {
-      throw new CustomError({
-        message: "email is required",
-        statusCode: 400,
-      });
-    }
-
-    const { user, code } = await withTransaction(async (client) => {
-      const user = await usersRepository.findByEmail(email, client);
-      if (!user) {
-        throw new CustomError({
-          message: "User not found",
-          statusCode: 404,
-        });
-      }
 
-      if (user.is_email_verified) {
-        throw new CustomError({
-          message: "Email already verified",
-          statusCode: 400,
-        });
-      }
-
-      await verificationCodeRepository.deleteCodesByUser(user.id, client);
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await usersRepository.updateUser(
+        user.id,
+        { password_hash: hashedPassword },
+        client
+      );
 
-      // Generate new code
-      const rawCode = generateVerificationCode();
-      const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+      // Sign out every session that may have been opened with the old password
+      await refreshTokensRepository.revokeAllForUser(user.id, client);
 
-      await verificationCodeRepository.createVerificationCode(
-        user.id,
-        rawCode,
-        "email_verification",
-        expiresAt,
+      await auditService.record(
+        req,
+        { action: "auth.password_reset", targetType: "user", targetId: user.id, actorId: user.id },
         client
       );
 
-      return { user, code: rawCode };
+      return { failed: false };
     });
 
-    // send email after commit
-    await emailService.sendRegisterMail({
-      to: email,
-      name: user.name,
-      code,
-    });
+    if (result.failed) {
+      throw new CustomError({
+        message: result.exhausted
+          ? "Too many incorrect attempts. Please request a new reset code."
+          : "Invalid or expired reset code",
+        statusCode: 400,
+        errors: { remaining_attempts: result.remaining },
+      });
+    }
 
     return {
-      message: "Verification code resent successfully.",
+      message: "Password has been reset successfully.",
       data: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        avatar_url: user.avatar_url,
-        created_at: user.created_at,
-        updated_at: user.updated_at,
+        email,
+        reset: true,
       },
     };
   }
@@ -316,73 +1222,114 @@ class UsersController {
       });
     }
 
-    const { newAccessToken, newRefreshToken } = await withTransaction(
-      async (client) => {
-        // 1) Verify the incoming refresh token JWT
-        let payload;
-        try {
-          payload = jwt.verify(refresh_token, process.env.JWT_REFRESH_SECRET);
-        } catch {
-          throw new CustomError({
-            message: "Invalid refresh token",
-            statusCode: 401,
-          });
-        }
-        const userId = payload.sub;
+    const metadata = getRequestMetadata(req);
+
+    const result = await withTransaction(async (client) => {
+      // 1) Verify the incoming refresh token JWT
+      let payload;
+      try {
+        payload = signingKeyService.verify(refresh_token, {
+          secret: process.env.JWT_REFRESH_SECRET,
+        });
+      } catch {
+        throw new CustomError({
+          message: "Invalid refresh token",
+          statusCode: 401,
+        });
+      }
+      const userId = payload.sub;
 
-        // 2) Find the token directly using findValidToken
-        // This method does: WHERE token_hash = $1 AND revoked_at IS NULL
-        const storedToken = await refreshTokensRepository.findValidToken(
-          refresh_token, // 👈 Pass the plain token
+      // 2) Look the token up by hash, whatever its state
+      const storedToken =
+        await refreshTokensRepository.findByTokenHashForUpdate(
+          tokenService.hashToken(refresh_token),
           client
         );
 
-        if (!storedToken) {
-          throw new CustomError({
-            message: "Refresh token not found or expired",
-            statusCode: 401,
-          });
-        }
+      if (!storedToken || storedToken.user_id !== userId) {
+        throw new CustomError({
+          message: "Refresh token not found or expired",
+          statusCode: 401,
+        });
+      }
+
+      // 3) A token that was already rotated is being replayed: the token
+      // leaked, so kill the whole session. Returned (not thrown) so the
+      // revocation commits.
+      if (storedToken.rotated_at) {
+        const revokedCount = await refreshTokensRepository.revokeFamily(
+          storedToken.family_id,
+          client
+        );
+        return { reuse: { storedToken, revokedCount } };
+      }
+
+      if (storedToken.revoked_at || new Date(storedToken.expires_at) <= new Date()) {
+        throw new CustomError({
+          message: "Refresh token not found or expired",
+          statusCode: 401,
+        });
+      }
+
+      const user = await usersRepository.findById(userId, client);
+      if (!user || user.disabled_at) {
+        throw new CustomError({
+          message: "Account is disabled",
+          statusCode: 403,
+        });
+      }
 
-        // 3) Revoke the old token (rotation)
-        await refreshTokensRepository.revokeToken(storedToken.id, client);
+      // 4) Rotate: retire the old token, continue the same family
+      await refreshTokensRepository.markRotated(storedToken.id, client);
 
-        // 4) Generate new refresh token with unique JTI
-        const days = Number(REFRESH_TOKEN_EXP_DAYS) || 30;
-        const rawNewRefreshToken = jwt.sign(
+      const { refreshToken: newRefreshToken, session } =
+        await tokenService.createSession(
+          userId,
           {
-            sub: userId,
-            jti: crypto.randomBytes(16).toString("hex"),
+            ...metadata,
+            device_name: metadata.device_name || storedToken.device_name,
           },
-          process.env.JWT_REFRESH_SECRET,
-          { expiresIn: `${days}d` }
+          client,
+          { familyId: storedToken.family_id, amr: storedToken.amr }
         );
 
-        const newRtExpiresAt = new Date(
-          Date.now() + days * 24 * 60 * 60 * 1000
-        );
+      // 5) Generate new access token bound to the session
+      const newAccessToken = await tokenService.signAccessToken(
+        userId,
+        client,
+        {
+          sid: session.family_id,
+          ...(storedToken.amr && { amr: storedToken.amr }),
+        }
+      );
 
-        // 5) Store new plain token
-        await refreshTokensRepository.createRefreshToken(
-          userId,
-          rawNewRefreshToken, // 👈 Store plain token in token_hash column
-          newRtExpiresAt,
-          client
-        );
+      return { newAccessToken, newRefreshToken };
+    });
 
-        // 6) Generate new access token
-        const rawNewAccessToken = jwt.sign(
-          { sub: userId },
-          process.env.JWT_SECRET,
-          { expiresIn: ACCESS_TOKEN_EXP }
-        );
+    if (result.reuse) {
+      const { storedToken, revokedCount } = result.reuse;
+      logger.warn("Security event: refresh token reuse detected", {
+        event: "refresh_token_reuse",
+        user_id: storedToken.user_id,
+        family_id: storedToken.family_id,
+        token_id: storedToken.id,
+        revoked_tokens: revokedCount,
+        ip_address: metadata.ip_address,
+        user_agent: metadata.user_agent,
+      });
+      await auditService.record(req, {
+        action: "auth.refresh_token_reuse",
+        targetType: "session",
+        targetId: storedToken.family_id,
+        metadata: { user_id: storedToken.user_id, revoked_tokens: revokedCount },
+      });
+      throw new CustomError({
+        message: "Refresh token has already been used. Please log in again.",
+        statusCode: 401,
+      });
+    }
 
-        return {
-          newAccessToken: rawNewAccessToken,
-          newRefreshToken: rawNewRefreshToken,
-        };
-      }
-    );
+    const { newAccessToken, newRefreshToken } = result;
 
     return {
       message: "Token refreshed successfully",
@@ -400,7 +1347,9 @@ class UsersController {
       // 1) Verify the refresh token JWT
       let payload;
       try {
-        payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        payload = signingKeyService.verify(refreshToken, {
+          secret: process.env.JWT_REFRESH_SECRET,
+        });
       } catch {
         throw new CustomError({
           message: "Invalid refresh token",
@@ -409,7 +1358,7 @@ class UsersController {
       }
 
       const storedToken = await refreshTokensRepository.findValidToken(
-        refreshToken,
+        tokenService.hashToken(refreshToken),
         client
       );
 
@@ -420,8 +1369,19 @@ class UsersController {
         });
       }
 
-      // 3) Revoke this specific token
-      await refreshTokensRepository.revokeToken(storedToken.id, client);
+      // 3) End the whole session this token belongs to
+      await refreshTokensRepository.revokeFamily(storedToken.family_id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "auth.logout",
+          targetType: "session",
+          targetId: storedToken.family_id,
+          actorId: storedToken.user_id,
+        },
+        client
+      );
     });
 
     return {
@@ -432,6 +1392,110 @@ class UsersController {
     };
   }
 
+  async listSessions(req) {
+    const userId = req.user?.sub;
+
+    const sessions = await refreshTokensRepository.findAllValidByUser(userId);
+
+    return {
+      message: "Sessions fetched successfully",
+      data: sessions.map((session) => ({
+        id: session.family_id,
+        device_name: session.device_name,
+        user_agent: session.user_agent,
+        ip_address: session.ip_address,
+        last_used_at: session.last_used_at,
+        created_at: session.created_at,
+        expires_at: session.expires_at,
+        current: session.family_id === req.user?.sid,
+      })),
+    };
+  }
+
+  async revokeSession(req) {
+    const userId = req.user?.sub;
+    const { id } = req.params;
+
+    const revoked = await refreshTokensRepository.revokeSessionForUser(
+      id,
+      userId
+    );
+    if (!revoked) {
+      throw new CustomError({
+        message: "Session not found or already revoked",
+        statusCode: 404,
+      });
+    }
+
+    await auditService.record(req, {
+      action: "auth.session_revoke",
+      targetType: "session",
+      targetId: revoked.family_id,
+    });
+
+    return {
+      message: "Session revoked successfully",
+      data: {
+        id: revoked.family_id,
+        revoked: true,
+      },
+    };
+  }
+
+  async revokeOtherSessions(req) {
+    const userId = req.user?.sub;
+    const currentSessionId = req.user?.sid;
+
+    // Tokens issued before sessions existed don't know which session they belong to
+    if (!currentSessionId) {
+      throw new CustomError({
+        message: "Current session is unknown. Please log in again.",
+        statusCode: 400,
+      });
+    }
+
+    const revokedCount = await refreshTokensRepository.revokeAllForUserExcept(
+      userId,
+      currentSessionId
+    );
+
+    await auditService.record(req, {
+      action: "auth.session_revoke_others",
+      targetType: "user",
+      targetId: userId,
+      metadata: { revoked_count: revokedCount },
+    });
+
+    return {
+      message: "Signed out of all other sessions",
+      data: {
+        revoked_count: revokedCount,
+      },
+    };
+  }
+
+  /**
+   * Failed sign-in (and the lockout it may have caused) for the audit trail
+   * @param {object} req
+   * @param {object|null} user - matching account, if any
+   * @param {string} email - as typed
+   * @param {string} method - "password" or "passwordless"
+   * @param {boolean} locked
+   */
+  async _auditLoginFailure(req, user, email, method, locked) {
+    // no actorId: whoever typed the credentials hasn't proven who they are
+    const event = {
+      targetType: "user",
+      targetId: user?.id,
+      metadata: { method, email },
+    };
+
+    await auditService.record(req, { ...event, action: "auth.login_failed" });
+    if (locked) {
+      await auditService.record(req, { ...event, action: "auth.lockout" });
+    }
+  }
+
   async getCurrentUser(req) {
     const userId = req.user?.sub;
     if (!userId) {
@@ -457,18 +1521,116 @@ class UsersController {
         name: user.name,
         avatar_url: user.avatar_url,
         is_email_verified: user.is_email_verified,
+        pending_email: user.pending_email || null,
         created_at: user.created_at,
         updated_at: user.updated_at,
+        impersonation: await this._impersonationView(req.user),
       },
     };
   }
 
-  async deleteUser(req, res, next) {
-    try {
-      // TODO: implement delete user logic
-    } catch (err) {
-      next(err);
-    }
+  /**
+   * Who is acting as the user when the access token came from admin
+   * impersonation, so clients can show a banner; null otherwise
+   */
+  async _impersonationView(claims) {
+    if (!claims.act?.sub) return null;
+
+    const actor = await usersRepository.findById(claims.act.sub);
+    return {
+      active: true,
+      actor_id: claims.act.sub,
+      actor_email: actor?.email || null,
+      expires_at: new Date(claims.exp * 1000),
+    };
+  }
+
+  async getPreferences(req) {
+    const row = await userPreferencesRepository.findByUser(req.user.sub);
+
+    return {
+      message: "Preferences fetched successfully",
+      data: preferencesService.toView(row),
+    };
+  }
+
+  /**
+   * Save language, units, accessibility needs, routing profile and
+   * notification opt-ins. Fields left out keep their saved value;
+   * notifications only change the topics given.
+   */
+  async updatePreferences(req) {
+    const { language, units, accessibility, routing_profile, notifications } = req.body;
+
+    const row = await userPreferencesRepository.upsert(req.user.sub, {
+      language,
+      units,
+      accessibility: accessibility ? [...new Set(accessibility)] : undefined,
+      routing_profile,
+      notifications,
+    });
+
+    return {
+      message: "Preferences updated successfully",
+      data: preferencesService.toView(row),
+    };
+  }
+
+  async deleteUser(req) {
+    const userId = req.user?.sub;
+    const { password } = req.body;
+
+    await withTransaction(async (client) => {
+      const user = await usersRepository.findById(userId, client);
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      // Password accounts must confirm deletion with their password
+      if (user.password_hash) {
+        const validPassword =
+          !!password && (await bcrypt.compare(password, user.password_hash));
+        if (!validPassword) {
+          throw new CustomError({
+            message: "Password is incorrect",
+            statusCode: 401,
+          });
+        }
+      }
+
+      // Remove every personal record tied to the account before the user row
+      await refreshTokensRepository.deleteAllForUser(user.id, client);
+      await verificationCodeRepository.deleteCodesByUser(user.id, client);
+      await userProvidersRepository.deleteProvidersByUser(user.id, client);
+      await mfaRecoveryCodesRepository.deleteByUser(user.id, client);
+      await userMfaRepository.deleteByUser(user.id, client);
+      await userPreferencesRepository.deleteByUser(user.id, client);
+      await userRolesRepository.removeAllRoles(user.id, client);
+      await usersRepository.deleteUser(user.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "auth.account_delete",
+          targetType: "user",
+          targetId: user.id,
+          before: toUserView(user),
+          after: null,
+        },
+        client
+      );
+    });
+
+    return {
+      message: "Account deleted successfully",
+      data: {
+        id: userId,
+        deleted: true,
+      },
+    };
   }
 }
 
@@ -1,5 +1,6 @@
 const axios = require("axios");
 const CustomError = require("../../helpers/customError");
+const coordinateRecordsRepository = require("../../repositories/coordinate_records.repository");
 const { getAuthToken } = require("../../worker/hyperbaseAuthWorker"); 
 
 const HYPERBASE_HOST = process.env.HYPERBASE_HOST; // e.g., https://api.hyperbase.io
@@ -11,6 +12,8 @@ class CoordinatesController {
    * POST /api/coordinates
    * Body: { client_id: string, latitude: number, longitude: number }
    * Returns: created record from Hyperbase
+   * Records sent with an access token (users and guests) are tied to the
+   * sender so a guest's coordinates follow them to their account.
    */
   async sendCoordinate(req) {
     const { client_id, latitude, longitude } = req.body;
@@ -46,6 +49,7 @@ class CoordinatesController {
       longitude,
     };
 
+    let created;
     try {
       const resp = await axios.post(url, payload, {
         headers: {
@@ -56,7 +60,7 @@ class CoordinatesController {
       });
 
       // normalize the response shape
-      const created = resp.data?.data || resp.data;
+      created = resp.data?.data || resp.data;
       if (!created) {
         throw new CustomError({
           message: "Unexpected Hyperbase response",
@@ -64,8 +68,6 @@ class CoordinatesController {
           details: { raw: resp.data },
         });
       }
-
-      return created;
     } catch (err) {
       // Axios error formatting
       const status = err.response?.status || 500;
@@ -76,6 +78,17 @@ class CoordinatesController {
         details,
       });
     }
+
+    // API keys (kiosks, trackers) have no user to tie the record to
+    if (req.user) {
+      await coordinateRecordsRepository.create(
+        req.user.sub,
+        client_id,
+        created._id ?? created.id ?? null
+      );
+    }
+
+    return created;
   }
 }
 
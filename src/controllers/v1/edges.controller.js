@@ -3,6 +3,7 @@
 const edgesRepository = require("../../repositories/edges.repository");
 const { withTransaction } = require("../../utils/db_transactions");
 const CustomError = require("../../helpers/customError");
+const auditService = require("../../services/audit_services");
 
 class EdgesController {
   /**
@@ -63,6 +64,19 @@ class EdgesController {
         { source, target, cost, geom },
         client
       );
+
+      await auditService.record(
+        req,
+        {
+          action: "edge.create",
+          targetType: "edge",
+          targetId: created.id,
+          before: null,
+          after: created,
+        },
+        client
+      );
+
       return created;
     });
 
@@ -97,6 +111,19 @@ class EdgesController {
         { source, target, cost, geom },
         client
       );
+
+      await auditService.record(
+        req,
+        {
+          action: "edge.update",
+          targetType: "edge",
+          targetId: id,
+          before: existing,
+          after: updated,
+        },
+        client
+      );
+
       return updated;
     });
 
@@ -124,6 +151,18 @@ class EdgesController {
         });
       }
       await edgesRepository.remove(id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "edge.delete",
+          targetType: "edge",
+          targetId: id,
+          before: existing,
+          after: null,
+        },
+        client
+      );
     });
 
     return { id };
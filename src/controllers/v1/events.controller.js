@@ -2,6 +2,13 @@ const eventsRepository = require("../../repositories/events.repository");
 const { withTransaction } = require("../../utils/db_transactions");
 const CustomError = require("../../helpers/customError");
 const imageService = require("../../services/image_services");
+const auditService = require("../../services/audit_services");
+const translationService = require("../../services/translation_services");
+const publishingService = require("../../services/publishing_services");
+const revisionService = require("../../services/revision_services");
+const workflowService = require("../../services/workflow_services");
+const preferencesService = require("../../services/preferences_services");
+const { DEFAULT_LANGUAGE } = preferencesService;
 const path = require("path");
 const { resolveExt } = require("./helper/fileExt");
 
@@ -10,23 +17,32 @@ class EventsController {
    * Get all events
    */
   async getAllEvents(req) {
-    const { status, type, location, start_date, end_date, page, limit } =
+    const { status, workflow_status, type, location, start_date, end_date, page, limit } =
       req.query;
 
     const filters = {};
     if (status) filters.status = status;
+    if (workflow_status) filters.workflow_status = workflow_status;
     if (type) filters.type = type;
     if (location) filters.location = location;
     if (start_date) filters.start_date = start_date;
     if (end_date) filters.end_date = end_date;
+    // editors also see drafts and events in review
+    filters.includeUnpublished = publishingService.canPreview(req);
 
     const pagination = {
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 10,
     };
 
+    const locale = await preferencesService.resolveLanguage(req);
+
     const events = await withTransaction(async (client) => {
-      return await eventsRepository.findAll(filters, pagination, client);
+      const found = await eventsRepository.findAll(filters, pagination, client);
+      return {
+        ...found,
+        data: await translationService.localize("events", found.data, locale, client),
+      };
     });
 
     return events;
@@ -46,14 +62,14 @@ class EventsController {
     }
 
     const event = await withTransaction(async (client) => {
-      const data = await eventsRepository.findBySlug(slug, client);
+      const data = await eventsRepository.findBySlug(slug, {}, client);
       if (!data) {
         throw new CustomError({
           message: "Event not found",
           statusCode: 404,
         });
       }
-      return data;
+      return translationService.localizeBySlug("events", data, slug, req, client);
     });
 
     return event;
@@ -74,13 +90,16 @@ class EventsController {
 
     const event = await withTransaction(async (client) => {
       const data = await eventsRepository.findById(id, client);
-      if (!data) {
+      // unpublished ids 404 for readers, as if they didn't exist
+      const visible =
+        data && (publishingService.isLive("events", data) || publishingService.canPreview(req));
+      if (!visible) {
         throw new CustomError({
           message: "Event not found",
           statusCode: 404,
         });
       }
-      return data;
+      return translationService.withTranslations("events", data, client);
     });
 
     return event;
@@ -155,9 +174,15 @@ class EventsController {
           : null);
     }
 
+    const translations = translationService.parse(req.body.translations);
+
     const newEvent = await withTransaction(async (client) => {
       if (slug) {
-        const existingSlug = await eventsRepository.findBySlug(slug, client);
+        const existingSlug = await eventsRepository.findBySlug(
+          slug,
+          { includeUnpublished: true },
+          client
+        );
         if (existingSlug) {
           throw new CustomError({
             message: "Slug already exists",
@@ -179,11 +204,31 @@ class EventsController {
           slug: slug || this.generateSlug(name),
           status,
           seo_metadata: seo_metadata ?? null,
+          default_locale: req.body.default_locale || DEFAULT_LANGUAGE,
+          // new events start as drafts and go public through the workflow
+          workflow_status: "draft",
+          created_by: workflowService.ownerId(req),
+        },
+        client
+      );
+
+      await translationService.save("events", created, translations, client);
+      await revisionService.record(req, "events", created, "create", client);
+
+      await auditService.record(
+        req,
+        {
+          action: "event.create",
+          targetType: "event",
+          targetId: created.id,
+          before: null,
+          after: created,
+          ...(translations && { metadata: { translations: Object.keys(translations) } }),
         },
         client
       );
 
-      return created;
+      return translationService.withTranslations("events", created, client);
     });
 
     return newEvent;
@@ -230,6 +275,8 @@ class EventsController {
       }
     }
 
+    const translations = translationService.parse(req.body.translations);
+
     const updatedEvent = await withTransaction(async (client) => {
       const existing = await eventsRepository.findById(id, client);
       if (!existing) {
@@ -239,8 +286,18 @@ class EventsController {
         });
       }
 
+      // writers only touch their own drafts and rejected items
+      workflowService.assertCanEdit(req, "events", existing);
+
+      // items created before revision tracking get their current state as revision 1
+      await revisionService.ensureBaseline("events", existing, client);
+
       if (slug && slug !== existing.slug) {
-        const existingSlug = await eventsRepository.findBySlug(slug, client);
+        const existingSlug = await eventsRepository.findBySlug(
+          slug,
+          { includeUnpublished: true },
+          client
+        );
         if (existingSlug) {
           throw new CustomError({
             message: "Slug already exists",
@@ -316,7 +373,23 @@ class EventsController {
         client
       );
 
-      return updated;
+      await translationService.save("events", updated, translations, client);
+      await revisionService.record(req, "events", updated, "update", client);
+
+      await auditService.record(
+        req,
+        {
+          action: "event.update",
+          targetType: "event",
+          targetId: id,
+          before: existing,
+          after: updated,
+          ...(translations && { metadata: { translations: Object.keys(translations) } }),
+        },
+        client
+      );
+
+      return translationService.withTranslations("events", updated, client);
     });
 
     return updatedEvent;
@@ -373,11 +446,113 @@ class EventsController {
         });
       }
       await eventsRepository.deleteEvent(id, client);
+      await revisionService.removeAll("events", id, client);
+      await workflowService.removeAll("events", id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "event.delete",
+          targetType: "event",
+          targetId: id,
+          before: existing,
+          after: null,
+        },
+        client
+      );
     });
 
     return { id };
   }
 
+  /**
+   * List revisions of an event, newest first
+   */
+  async listRevisions(req) {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const pagination = {
+      page: page ? parseInt(page, 10) : 1,
+      limit: limit ? parseInt(limit, 10) : 20,
+    };
+
+    const revisions = await withTransaction((client) =>
+      revisionService.list("events", id, pagination, client)
+    );
+
+    return revisions;
+  }
+
+  /**
+   * Get one revision with its full snapshot
+   */
+  async getRevision(req) {
+    const { id, revision } = req.params;
+
+    const found = await withTransaction((client) =>
+      revisionService.get("events", id, parseInt(revision, 10), client)
+    );
+
+    return found;
+  }
+
+  /**
+   * Field-level diff between two revisions
+   * Query: from, to (revision numbers)
+   */
+  async diffRevisions(req) {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await withTransaction((client) =>
+      revisionService.diff("events", id, parseInt(from, 10), parseInt(to, 10), client)
+    );
+
+    return diff;
+  }
+
+  /**
+   * Restore an older revision; the result is saved as a new revision
+   */
+  async restoreRevision(req) {
+    const { id, revision } = req.params;
+
+    const restored = await withTransaction((client) =>
+      revisionService.restore(req, "events", id, parseInt(revision, 10), client)
+    );
+
+    return restored;
+  }
+
+  /**
+   * Move an event through the editorial workflow
+   * Body: action (submit, withdraw, approve, reject, publish, archive, reopen), comment
+   */
+  async transition(req) {
+    const { id } = req.params;
+    const { action, comment } = req.body;
+
+    const result = await withTransaction((client) =>
+      workflowService.transition(req, "events", id, action, comment, client)
+    );
+
+    return result;
+  }
+
+  /**
+   * Current workflow state and transition history
+   */
+  async getWorkflow(req) {
+    const { id } = req.params;
+
+    const workflow = await withTransaction((client) =>
+      workflowService.history("events", id, client)
+    );
+
+    return workflow;
+  }
+
   /**
    * Generate slug from name
    */
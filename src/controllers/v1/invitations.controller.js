@@ -0,0 +1,199 @@
+const staffInvitationsRepository = require("../../repositories/staff_invitations.repository");
+const usersRepository = require("../../repositories/users.repository");
+const rolesRepository = require("../../repositories/roles.repository");
+const userRolesRepository = require("../../repositories/user_roles.repository");
+const userProvidersRepository = require("../../repositories/user_providers.repository");
+const staffInvitationService = require("../../services/staff_invitation_services");
+const providerRegistry = require("../../services/auth_providers");
+const auditService = require("../../services/audit_services");
+const bcrypt = require("bcrypt");
+const { withTransaction } = require("../../utils/db_transactions");
+const CustomError = require("../../helpers/customError");
+const { toUserView } = require("../../helpers/userViews");
+
+const invitationNotFound = () =>
+  new CustomError({
+    message: "Invitation not found, expired or already used",
+    statusCode: 404,
+  });
+
+class InvitationsController {
+  /**
+   * What an invite link is for, so the accept page can show the email and
+   * role before the invitee commits to anything
+   */
+  async getInvitation(req) {
+    const invitation = await staffInvitationsRepository.findPendingByHash(
+      staffInvitationService.hashToken(req.params.token)
+    );
+    if (!invitation) throw invitationNotFound();
+
+    return {
+      message: "Invitation fetched successfully",
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at,
+      },
+    };
+  }
+
+  /**
+   * Accept an invitation by creating the staff account, either with a
+   * password or with a provider account (e.g. Google) whose verified email
+   * matches the invitation. The invitee signs in normally afterwards, so
+   * MFA enrollment for staff roles is handled by the login flow.
+   *
+   * Body: { token, name, password }
+   *    or { token, provider, id_token, nonce? }
+   *    or { token, provider, code, redirect_uri, code_verifier?, client_id? }
+   */
+  async acceptInvitation(req) {
+    const { token, name, password, provider: providerName } = req.body;
+    const tokenHash = staffInvitationService.hashToken(token);
+
+    const pending = await staffInvitationsRepository.findPendingByHash(tokenHash);
+    if (!pending) throw invitationNotFound();
+
+    let provider = null;
+    let profile = null;
+    let providerRefreshToken = null;
+
+    if (providerName) {
+      provider = providerRegistry.get(providerName);
+      ({ profile, providerRefreshToken } = await this._resolveProfile(provider, req.body));
+
+      if (
+        !profile.email ||
+        !profile.email_verified ||
+        profile.email.toLowerCase() !== pending.email.toLowerCase()
+      ) {
+        throw new CustomError({
+          message: `Sign in to ${provider.displayName} with ${pending.email} to accept this invitation`,
+          statusCode: 403,
+        });
+      }
+    } else if (!password || !name) {
+      throw new CustomError({
+        message: "Provide name and password, or a provider to sign in with",
+        statusCode: 400,
+      });
+    }
+
+    const passwordHash = password && !provider ? await bcrypt.hash(password, 10) : null;
+
+    const { user, roles } = await withTransaction(async (client) => {
+      // locked until commit, so a link can't create two accounts
+      const invitation = await staffInvitationsRepository.findPendingByHash(
+        tokenHash,
+        client
+      );
+      if (!invitation) throw invitationNotFound();
+
+      const existingUser = await usersRepository.findByEmailInsensitive(
+        invitation.email,
+        client
+      );
+      if (existingUser) {
+        throw new CustomError({
+          message: "An account with this email already exists. Ask an administrator to assign the role to it.",
+          statusCode: 409,
+          errors: { code: "account_exists" },
+        });
+      }
+
+      if (provider) {
+        const linked = await userProvidersRepository.findByProvider(
+          provider.name,
+          profile.sub,
+          client
+        );
+        if (linked) {
+          throw new CustomError({
+            message: `This ${provider.displayName} account is linked to another user`,
+            statusCode: 409,
+          });
+        }
+      }
+
+      const roleRecord = await rolesRepository.findByName(invitation.role, client);
+      if (!roleRecord) {
+        throw new CustomError({
+          message: "The invited role no longer exists",
+          statusCode: 409,
+        });
+      }
+
+      // the invite link proved the invitee controls the address
+      const newUser = await usersRepository.createUser(
+        invitation.email,
+        name || profile?.name || null,
+        profile?.picture || null,
+        passwordHash,
+        true,
+        client
+      );
+
+      const userRole = await rolesRepository.findByName("user", client);
+      if (userRole) {
+        await userRolesRepository.assignRole(newUser.id, userRole.id, client);
+      }
+      await userRolesRepository.assignRole(newUser.id, roleRecord.id, client);
+
+      if (provider) {
+        await userProvidersRepository.createProvider(
+          newUser.id,
+          provider.name,
+          profile.sub,
+          providerRefreshToken,
+          profile.scope,
+          client
+        );
+      }
+
+      await staffInvitationsRepository.markAccepted(invitation.id, newUser.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "invitation.accept",
+          targetType: "invitation",
+          targetId: invitation.id,
+          actorId: newUser.id,
+          metadata: {
+            user_id: newUser.id,
+            role: roleRecord.name,
+            method: provider ? provider.name : "password",
+          },
+        },
+        client
+      );
+
+      const userRoles = await userRolesRepository.getUserRoles(newUser.id, client);
+      return { user: newUser, roles: userRoles.map((r) => r.name) };
+    });
+
+    return {
+      message: "Invitation accepted. You can now sign in.",
+      data: { ...toUserView(user), roles },
+    };
+  }
+
+  /**
+   * Verified profile from an ID token (native) or an authorization code (web)
+   */
+  async _resolveProfile(provider, body) {
+    if (body.id_token) {
+      return { profile: await provider.verifyIdToken(body), providerRefreshToken: null };
+    }
+    if (body.code && body.redirect_uri) {
+      return provider.exchangeCode(body);
+    }
+    throw new CustomError({
+      message: "Provide either id_token, or code and redirect_uri",
+      statusCode: 400,
+    });
+  }
+}
+
+module.exports = new InvitationsController();
@@ -0,0 +1,333 @@
+const usersRepository = require("../../repositories/users.repository");
+const userMfaRepository = require("../../repositories/user_mfa.repository");
+const mfaRecoveryCodesRepository = require("../../repositories/mfa_recovery_codes.repository");
+const tokenService = require("../../services/token_services");
+const mfaService = require("../../services/mfa_services");
+const bruteForceService = require("../../services/brute_force_services");
+const auditService = require("../../services/audit_services");
+const guestService = require("../../services/guest_services");
+const totp = require("../../helpers/totp");
+const { withTransaction } = require("../../utils/db_transactions");
+const { getRequestMetadata } = require("../../helpers/requestMetadata");
+const CustomError = require("../../helpers/customError");
+
+class MfaController {
+  /**
+   * Two-factor status of the current user
+   */
+  async getStatus(req) {
+    const userId = req.user.sub;
+
+    const [mfa, roleClaims] = await Promise.all([
+      userMfaRepository.findByUser(userId),
+      tokenService.getRoleClaims(userId),
+    ]);
+
+    const enabled = Boolean(mfa?.enabled_at);
+
+    return {
+      message: "MFA status fetched",
+      data: {
+        enabled,
+        enabled_at: mfa?.enabled_at || null,
+        required: roleClaims.mfa_required,
+        recovery_codes_remaining: enabled
+          ? await mfaRecoveryCodesRepository.countUnused(userId)
+          : 0,
+      },
+    };
+  }
+
+  /**
+   * Start enrollment: create a pending secret and return its otpauth URI.
+   * Calling it again before confirming replaces the pending secret.
+   */
+  async setup(req) {
+    const userId = req.user.sub;
+
+    const { user, secret } = await withTransaction(async (client) => {
+      const user = await usersRepository.findById(userId, client);
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      if (await mfaService.isEnabled(userId, client)) {
+        throw new CustomError({
+          message: "Two-factor authentication is already enabled",
+          statusCode: 409,
+        });
+      }
+
+      const secret = totp.generateSecret();
+      await userMfaRepository.upsertPendingSecret(userId, secret, client);
+
+      return { user, secret };
+    });
+
+    return {
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      data: {
+        secret,
+        otpauth_url: totp.buildOtpauthUri({
+          secret,
+          accountName: user.email,
+        }),
+      },
+    };
+  }
+
+  /**
+   * Finish enrollment with a first code from the app.
+   * Returns the recovery codes; they are not retrievable later.
+   */
+  async confirm(req) {
+    const userId = req.user.sub;
+    const { code } = req.body;
+    const attemptKeys = this._attemptKeys(req);
+
+    await bruteForceService.assertAllowed("mfa_verify", attemptKeys);
+
+    const recoveryCodes = await withTransaction(async (client) => {
+      const mfa = await userMfaRepository.findByUser(userId, client);
+      if (!mfa) {
+        throw new CustomError({
+          message: "Start two-factor setup first",
+          statusCode: 400,
+        });
+      }
+      if (mfa.enabled_at) {
+        throw new CustomError({
+          message: "Two-factor authentication is already enabled",
+          statusCode: 409,
+        });
+      }
+
+      const step = totp.verifyCode(mfa.totp_secret, code);
+      if (step === null) return null;
+
+      await userMfaRepository.enable(userId, step, client);
+      await auditService.record(
+        req,
+        { action: "mfa.enable", targetType: "user", targetId: userId },
+        client
+      );
+      return mfaService.issueRecoveryCodes(userId, client);
+    });
+
+    if (!recoveryCodes) await this._rejectCode(req, attemptKeys);
+    await bruteForceService.reset("mfa_verify", attemptKeys);
+
+    return {
+      message: "Two-factor authentication enabled. Store the recovery codes somewhere safe.",
+      data: {
+        enabled: true,
+        recovery_codes: recoveryCodes,
+      },
+    };
+  }
+
+  /**
+   * Second login step: trade the challenge token and a TOTP (or recovery)
+   * code for the usual access/refresh pair. A `guest_token` held back from
+   * the first step is merged here.
+   */
+  async verifyLogin(req) {
+    const { mfa_token, code } = req.body;
+
+    const challenge = mfaService.verifyChallengeToken(mfa_token);
+    const metadata = getRequestMetadata(req);
+    const attemptKeys = { identifier: challenge.sub, ip: metadata.ip_address };
+
+    await bruteForceService.assertAllowed("mfa_verify", attemptKeys);
+
+    const result = await withTransaction(async (client) => {
+      const user = await usersRepository.findById(challenge.sub, client);
+      if (!user || user.disabled_at) {
+        throw new CustomError({
+          message: "Account is disabled",
+          statusCode: 403,
+        });
+      }
+
+      const method = await mfaService.verifySecondFactor(user.id, code, client);
+      // returned, not thrown, so a burned step/recovery code stays burned
+      if (!method) return { failed: true };
+
+      const amr = [...(challenge.amr || []), ...(method === "otp" ? ["otp"] : []), "mfa"];
+      const { accessToken, refreshToken, sessionId } = await tokenService.issueTokens(
+        user.id,
+        metadata,
+        client,
+        amr
+      );
+
+      await auditService.record(
+        req,
+        {
+          action: "auth.login",
+          targetType: "user",
+          targetId: user.id,
+          actorId: user.id,
+          metadata: { method: "mfa", second_factor: method, amr, session_id: sessionId },
+        },
+        client
+      );
+
+      await guestService.mergeInto(req, user.id, client);
+
+      const recoveryCodesRemaining =
+        method === "recovery"
+          ? await mfaRecoveryCodesRepository.countUnused(user.id, client)
+          : undefined;
+
+      return { user, accessToken, refreshToken, recoveryCodesRemaining };
+    });
+
+    if (result.failed) {
+      const { locked } = await bruteForceService.recordAttempt("mfa_verify", attemptKeys);
+      await auditService.record(req, {
+        action: "mfa.verify_failed",
+        targetType: "user",
+        targetId: challenge.sub,
+        metadata: { locked },
+      });
+      throw new CustomError({
+        message: "Invalid authentication code",
+        statusCode: 401,
+      });
+    }
+
+    await bruteForceService.reset("mfa_verify", attemptKeys);
+
+    const { user, accessToken, refreshToken, recoveryCodesRemaining } = result;
+
+    return {
+      message: "Login successful",
+      data: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        ...(recoveryCodesRemaining !== undefined && {
+          recovery_codes_remaining: recoveryCodesRemaining,
+        }),
+      },
+    };
+  }
+
+  /**
+   * Replace the recovery codes; needs a current code
+   */
+  async regenerateRecoveryCodes(req) {
+    const userId = req.user.sub;
+    const { code } = req.body;
+
+    const attemptKeys = this._attemptKeys(req);
+
+    await bruteForceService.assertAllowed("mfa_verify", attemptKeys);
+
+    const recoveryCodes = await withTransaction(async (client) => {
+      if (!(await this._checkSecondFactor(userId, code, client))) return null;
+      await auditService.record(
+        req,
+        { action: "mfa.recovery_codes_regenerate", targetType: "user", targetId: userId },
+        client
+      );
+      return mfaService.issueRecoveryCodes(userId, client);
+    });
+
+    if (!recoveryCodes) await this._rejectCode(req, attemptKeys);
+    await bruteForceService.reset("mfa_verify", attemptKeys);
+
+    return {
+      message: "Recovery codes regenerated",
+      data: { recovery_codes: recoveryCodes },
+    };
+  }
+
+  /**
+   * Turn two-factor off; not allowed while a role of the user requires it
+   */
+  async disable(req) {
+    const userId = req.user.sub;
+    const { code } = req.body;
+
+    const roleClaims = await tokenService.getRoleClaims(userId);
+    if (roleClaims.mfa_required) {
+      throw new CustomError({
+        message: "Two-factor authentication is required for your role and cannot be disabled",
+        statusCode: 403,
+      });
+    }
+
+    const attemptKeys = this._attemptKeys(req);
+    await bruteForceService.assertAllowed("mfa_verify", attemptKeys);
+
+    const disabled = await withTransaction(async (client) => {
+      if (!(await this._checkSecondFactor(userId, code, client))) return false;
+      await mfaRecoveryCodesRepository.deleteByUser(userId, client);
+      await userMfaRepository.deleteByUser(userId, client);
+      await auditService.record(
+        req,
+        { action: "mfa.disable", targetType: "user", targetId: userId },
+        client
+      );
+      return true;
+    });
+
+    if (!disabled) await this._rejectCode(req, attemptKeys);
+    await bruteForceService.reset("mfa_verify", attemptKeys);
+
+    return {
+      message: "Two-factor authentication disabled",
+      data: { enabled: false },
+    };
+  }
+
+  /**
+   * Check a current code of an enrolled user. A wrong code is returned as
+   * null rather than thrown so the caller can count it outside the transaction.
+   * @returns {Promise<"otp"|"recovery"|null>}
+   */
+  async _checkSecondFactor(userId, code, client) {
+    if (!(await mfaService.isEnabled(userId, client))) {
+      throw new CustomError({
+        message: "Two-factor authentication is not enabled",
+        statusCode: 400,
+      });
+    }
+
+    return mfaService.verifySecondFactor(userId, code, client);
+  }
+
+  /**
+   * Counters for codes entered by a signed-in user; shared with verifyLogin
+   * so guesses can't be spread across the endpoints
+   */
+  _attemptKeys(req) {
+    return { identifier: req.user.sub, ip: getRequestMetadata(req).ip_address };
+  }
+
+  /**
+   * Count a wrong code against mfa_verify and reject it
+   */
+  async _rejectCode(req, attemptKeys) {
+    const { locked } = await bruteForceService.recordAttempt("mfa_verify", attemptKeys);
+    await auditService.record(req, {
+      action: "mfa.verify_failed",
+      targetType: "user",
+      targetId: req.user.sub,
+      metadata: { locked },
+    });
+    throw new CustomError({
+      message: "Invalid authentication code",
+      statusCode: 400,
+    });
+  }
+}
+
+module.exports = new MfaController();
@@ -2,6 +2,13 @@ const newsRepository = require("../../repositories/news.repository");
 const { withTransaction } = require("../../utils/db_transactions");
 const CustomError = require("../../helpers/customError");
 const imageService = require("../../services/image_services");
+const auditService = require("../../services/audit_services");
+const translationService = require("../../services/translation_services");
+const revisionService = require("../../services/revision_services");
+const workflowService = require("../../services/workflow_services");
+const publishingService = require("../../services/publishing_services");
+const preferencesService = require("../../services/preferences_services");
+const { DEFAULT_LANGUAGE } = preferencesService;
 const path = require("path");
 const { resolveExt } = require("./helper/fileExt");
 
@@ -15,14 +22,22 @@ class NewsController {
     const filters = {};
     if (status) filters.status = status;
     if (author) filters.author = author;
+    // editors also see drafts, news in review and scheduled news
+    filters.includeUnpublished = publishingService.canPreview(req);
 
     const pagination = {
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 10,
     };
 
+    const locale = await preferencesService.resolveLanguage(req);
+
     const news = await withTransaction(async (client) => {
-      return await newsRepository.findAll(filters, pagination, client);
+      const found = await newsRepository.findAll(filters, pagination, client);
+      return {
+        ...found,
+        data: await translationService.localize("news", found.data, locale, client),
+      };
     });
 
     return news;
@@ -42,14 +57,14 @@ class NewsController {
     }
 
     const news = await withTransaction(async (client) => {
-      const data = await newsRepository.findBySlug(slug, client);
+      const data = await newsRepository.findBySlug(slug, {}, client);
       if (!data) {
         throw new CustomError({
           message: "News not found",
           statusCode: 404,
         });
       }
-      return data;
+      return translationService.localizeBySlug("news", data, slug, req, client);
     });
 
     return news;
@@ -70,13 +85,16 @@ class NewsController {
 
     const news = await withTransaction(async (client) => {
       const data = await newsRepository.findById(id, client);
-      if (!data) {
+      // unpublished ids 404 for readers, as if they didn't exist
+      const visible =
+        data && (publishingService.isLive("news", data) || publishingService.canPreview(req));
+      if (!visible) {
         throw new CustomError({
           message: "News not found",
           statusCode: 404,
         });
       }
-      return data;
+      return translationService.withTranslations("news", data, client);
     });
 
     return news;
@@ -86,19 +104,20 @@ class NewsController {
    * Create a new news
    */
   async createNews(req) {
-    const { title, content, publication_date, slug, author, status } = req.body;
+    const { title, content, publication_date, slug, author, unpublish_at } = req.body;
 
     let { image_url, thumbnail_image_url, seo_metadata } = req.body;
 
     // Basic required validation
-    if (!title || !content || !publication_date || !author || !status) {
+    if (!title || !content || !publication_date || !author) {
       throw new CustomError({
-        message:
-          "title, content, publication_date, author, and status are required",
+        message: "title, content, publication_date, and author are required",
         statusCode: 400,
       });
     }
 
+    publishingService.assertValidSchedule({ publication_date, unpublish_at });
+
     // Parse SEO metadata if it’s a JSON string
     if (typeof seo_metadata === "string") {
       try {
@@ -134,10 +153,16 @@ class NewsController {
           : null);
     }
 
+    const translations = translationService.parse(req.body.translations);
+
     // Transactional create (keeps your slug uniqueness check)
     const newNews = await withTransaction(async (client) => {
       if (slug) {
-        const existingSlug = await newsRepository.findBySlug(slug, client);
+        const existingSlug = await newsRepository.findBySlug(
+          slug,
+          { includeUnpublished: true },
+          client
+        );
         if (existingSlug) {
           throw new CustomError({
             message: "Slug already exists",
@@ -155,13 +180,33 @@ class NewsController {
           thumbnail_image_url: thumbnail_image_url || null,
           slug: slug || this.generateSlug(title),
           author,
-          status,
+          // new news starts as a draft; status then moves through the workflow
+          status: "draft",
           seo_metadata: seo_metadata ?? null,
+          default_locale: req.body.default_locale || DEFAULT_LANGUAGE,
+          unpublish_at: unpublish_at || null,
+          created_by: workflowService.ownerId(req),
         },
         client
       );
 
-      return created;
+      await translationService.save("news", created, translations, client);
+      await revisionService.record(req, "news", created, "create", client);
+
+      await auditService.record(
+        req,
+        {
+          action: "news.create",
+          targetType: "news",
+          targetId: created.id,
+          before: null,
+          after: created,
+          ...(translations && { metadata: { translations: Object.keys(translations) } }),
+        },
+        client
+      );
+
+      return translationService.withTranslations("news", created, client);
     });
 
     return newNews;
@@ -185,8 +230,8 @@ class NewsController {
       thumbnail_image_url, // optional manual override
       slug,
       author,
-      status,
       seo_metadata,
+      unpublish_at,
     } = req.body;
 
     if (!id) {
@@ -205,6 +250,8 @@ class NewsController {
       }
     }
 
+    const translations = translationService.parse(req.body.translations);
+
     const updatedNews = await withTransaction(async (client) => {
       // 1) Ensure the record exists
       const existing = await newsRepository.findById(id, client);
@@ -215,9 +262,30 @@ class NewsController {
         });
       }
 
+      // writers only touch their own drafts and rejected items
+      workflowService.assertCanEdit(req, "news", existing);
+
+      // items created before revision tracking get their current state as revision 1
+      await revisionService.ensureBaseline("news", existing, client);
+
+      // Check the schedule as it will be saved
+      publishingService.assertValidSchedule({
+        status: existing.status,
+        publication_date:
+          typeof publication_date !== "undefined"
+            ? publication_date
+            : existing.publication_date,
+        unpublish_at:
+          typeof unpublish_at !== "undefined" ? unpublish_at : existing.unpublish_at,
+      });
+
       // 2) Slug uniqueness check when slug changes
       if (slug && slug !== existing.slug) {
-        const existingSlug = await newsRepository.findBySlug(slug, client);
+        const existingSlug = await newsRepository.findBySlug(
+          slug,
+          { includeUnpublished: true },
+          client
+        );
         if (existingSlug) {
           throw new CustomError({
             message: "Slug already exists",
@@ -281,16 +349,34 @@ class NewsController {
           thumbnail_image_url: nextThumbUrl ?? null,
           slug: slugToUse,
           author: typeof author !== "undefined" ? author : existing.author,
-          status: typeof status !== "undefined" ? status : existing.status,
           seo_metadata:
             typeof seo_metadata !== "undefined"
               ? seo_metadata
               : existing.seo_metadata,
+          // "" clears the expiry
+          unpublish_at:
+            typeof unpublish_at !== "undefined" ? unpublish_at || null : undefined,
         },
         client
       );
 
-      return updated;
+      await translationService.save("news", updated, translations, client);
+      await revisionService.record(req, "news", updated, "update", client);
+
+      await auditService.record(
+        req,
+        {
+          action: "news.update",
+          targetType: "news",
+          targetId: id,
+          before: existing,
+          after: updated,
+          ...(translations && { metadata: { translations: Object.keys(translations) } }),
+        },
+        client
+      );
+
+      return translationService.withTranslations("news", updated, client);
     });
 
     return updatedNews;
@@ -347,11 +433,113 @@ class NewsController {
         });
       }
       await newsRepository.deleteNews(id, client);
+      await revisionService.removeAll("news", id, client);
+      await workflowService.removeAll("news", id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "news.delete",
+          targetType: "news",
+          targetId: id,
+          before: existing,
+          after: null,
+        },
+        client
+      );
     });
 
     return { id };
   }
 
+  /**
+   * List revisions of a news item, newest first
+   */
+  async listRevisions(req) {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const pagination = {
+      page: page ? parseInt(page, 10) : 1,
+      limit: limit ? parseInt(limit, 10) : 20,
+    };
+
+    const revisions = await withTransaction((client) =>
+      revisionService.list("news", id, pagination, client)
+    );
+
+    return revisions;
+  }
+
+  /**
+   * Get one revision with its full snapshot
+   */
+  async getRevision(req) {
+    const { id, revision } = req.params;
+
+    const found = await withTransaction((client) =>
+      revisionService.get("news", id, parseInt(revision, 10), client)
+    );
+
+    return found;
+  }
+
+  /**
+   * Field-level diff between two revisions
+   * Query: from, to (revision numbers)
+   */
+  async diffRevisions(req) {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await withTransaction((client) =>
+      revisionService.diff("news", id, parseInt(from, 10), parseInt(to, 10), client)
+    );
+
+    return diff;
+  }
+
+  /**
+   * Restore an older revision; the result is saved as a new revision
+   */
+  async restoreRevision(req) {
+    const { id, revision } = req.params;
+
+    const restored = await withTransaction((client) =>
+      revisionService.restore(req, "news", id, parseInt(revision, 10), client)
+    );
+
+    return restored;
+  }
+
+  /**
+   * Move a news item through the editorial workflow
+   * Body: action (submit, withdraw, approve, reject, publish, archive, reopen), comment
+   */
+  async transition(req) {
+    const { id } = req.params;
+    const { action, comment } = req.body;
+
+    const result = await withTransaction((client) =>
+      workflowService.transition(req, "news", id, action, comment, client)
+    );
+
+    return result;
+  }
+
+  /**
+   * Current workflow state and transition history
+   */
+  async getWorkflow(req) {
+    const { id } = req.params;
+
+    const workflow = await withTransaction((client) =>
+      workflowService.history("news", id, client)
+    );
+
+    return workflow;
+  }
+
   /**
    * Generate slug from title
    */
@@ -1,6 +1,7 @@
 const nodesRepository = require("../../repositories/nodes.repository");
 const { withTransaction } = require("../../utils/db_transactions");
 const CustomError = require("../../helpers/customError");
+const auditService = require("../../services/audit_services");
 
 class NodesController {
   /**
@@ -62,6 +63,19 @@ class NodesController {
         latitude,
         client
       );
+
+      await auditService.record(
+        req,
+        {
+          action: "node.create",
+          targetType: "node",
+          targetId: created.id,
+          before: null,
+          after: created,
+        },
+        client
+      );
+
       return created;
     });
 
@@ -96,6 +110,19 @@ class NodesController {
         { name, type, longitude, latitude },
         client
       );
+
+      await auditService.record(
+        req,
+        {
+          action: "node.update",
+          targetType: "node",
+          targetId: id,
+          before: existing,
+          after: updated,
+        },
+        client
+      );
+
       return updated;
     });
 
@@ -124,6 +151,18 @@ class NodesController {
         });
       }
       await nodesRepository.deleteNode(id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "node.delete",
+          targetType: "node",
+          targetId: id,
+          before: existing,
+          after: null,
+        },
+        client
+      );
     });
 
     return { id };
@@ -1,5 +1,6 @@
 const poiRepository = require("../../repositories/point_of_interest.repository");
 const CustomError = require("../../helpers/customError");
+const auditService = require("../../services/audit_services");
 
 class PointOfInterestController {
   /**
@@ -136,6 +137,14 @@ class PointOfInterestController {
       category_ids
     );
 
+    await auditService.record(req, {
+      action: "poi.create",
+      targetType: "poi",
+      targetId: newPoi.id,
+      before: null,
+      after: newPoi,
+    });
+
     return newPoi;
   }
 
@@ -148,6 +157,7 @@ class PointOfInterestController {
     const { id } = req.params;
     const updateData = req.body;
 
+    const existing = await poiRepository.findById(id);
     const updatedPoi = await poiRepository.updatePOI(id, updateData);
 
     if (!updatedPoi) {
@@ -157,6 +167,14 @@ class PointOfInterestController {
       });
     }
 
+    await auditService.record(req, {
+      action: "poi.update",
+      targetType: "poi",
+      targetId: id,
+      before: existing,
+      after: updatedPoi,
+    });
+
     return updatedPoi;
   }
 
@@ -177,6 +195,14 @@ class PointOfInterestController {
     }
 
     await poiRepository.deletePOI(id);
+
+    await auditService.record(req, {
+      action: "poi.delete",
+      targetType: "poi",
+      targetId: id,
+      before: poi,
+      after: null,
+    });
     return { message: "POI deleted successfully." };
   }
 }
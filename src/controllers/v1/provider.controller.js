@@ -1,118 +1,94 @@
-const axios = require("axios");
-const jwt = require("jsonwebtoken");
-const bcrypt = require("bcrypt");
 const { withTransaction } = require("../../utils/db_transactions");
+const { getRequestMetadata } = require("../../helpers/requestMetadata");
 const CustomError = require("../../helpers/customError");
-const logger = require("../../config/logger");
+const { toProviderView } = require("../../helpers/userViews");
 const usersRepository = require("../../repositories/users.repository");
 const rolesRepository = require("../../repositories/roles.repository");
 const userRolesRepository = require("../../repositories/user_roles.repository");
-const refreshTokensRepository = require("../../repositories/refresh_tokens.repository");
+const tokenService = require("../../services/token_services");
+const mfaService = require("../../services/mfa_services");
+const providerRegistry = require("../../services/auth_providers");
+const auditService = require("../../services/audit_services");
+const guestService = require("../../services/guest_services");
 
 const userProvidersRepository = require("../../repositories/user_providers.repository");
-const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-
-const ACCESS_TOKEN_EXP = process.env.JWT_ACCESS_EXP || "15m";
-const REFRESH_TOKEN_EXP_DAYS = process.env.JWT_REFRESH_EXP_DAYS || 30;
 
 class ProvidersController {
   /**
-   * Handles Google OAuth2 login and registration.
-   * Exchanges the authorization code for tokens, fetches user info,
+   * Sign-in providers that are configured on this server
+   */
+  async listAvailableProviders() {
+    return providerRegistry.listConfigured();
+  }
+
+  /**
+   * Handles OAuth2 / OpenID Connect login and registration for any provider.
+   * Exchanges the authorization code for tokens, verifies the ID token,
    * creates/updates user and provider entries, and generates application tokens.
-   * This function is now more flexible, accepting the redirect_uri from the client,
-   * making it compatible with web, Android, and iOS clients.
+   * The redirect_uri comes from the client, so this works for web, Android
+   * and iOS clients alike.
    *
    * @param {Object} req - Express request object.
    * @returns {Object} User data with access and refresh tokens.
    */
-  async googleLogin(req) {
-    const { code, redirect_uri } = req.body;
-
-    if (!code) {
-      throw new CustomError({
-        message: "Authorization code is required",
-        statusCode: 400,
-      });
-    }
+  async login(req) {
+    const provider = providerRegistry.get(req.params.provider);
 
-    if (!redirect_uri) {
-        throw new CustomError({
-            message: "Redirect URI is required in the request body.",
-            statusCode: 400,
-        });
-    }
-
-    let googleAccessToken;
-    let googleRefreshToken;
-    let googleIdToken;
-    let googleUserInfo;
-
-    try {
-      const tokenResponse = await axios.post(
-        "https://oauth2.googleapis.com/token",
-        new URLSearchParams({
-          code: code,
-          client_id: GOOGLE_CLIENT_ID,
-          client_secret: GOOGLE_CLIENT_SECRET,
-          redirect_uri: redirect_uri,
-          grant_type: "authorization_code",
-        }).toString(),
-        {
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-        }
-      );
+    const { profile, providerRefreshToken } = await provider.exchangeCode(
+      req.body
+    );
 
-      googleAccessToken = tokenResponse.data.access_token;
-      googleIdToken = tokenResponse.data.id_token;
-      googleRefreshToken = tokenResponse.data.refresh_token; 
+    return this._signInWithProvider(req, provider, profile, providerRefreshToken);
+  }
 
-      if (!googleAccessToken || !googleIdToken) {
-        throw new CustomError({
-          message: "Failed to obtain access or ID token from Google.",
-          statusCode: 500,
-        });
-      }
+  /**
+   * Native sign-in: the platform SDK (Google Sign-In, Sign in with Apple)
+   * hands the app an ID token, which is verified locally against the
+   * provider's signing keys.
+   *
+   * @param {Object} req - Express request object.
+   * @returns {Object} User data with access and refresh tokens.
+   */
+  async idTokenLogin(req) {
+    const provider = providerRegistry.get(req.params.provider);
 
-      const userInfoResponse = await axios.get(
-        "https://www.googleapis.com/oauth2/v3/userinfo",
-        {
-          headers: {
-            Authorization: `Bearer ${googleAccessToken}`,
-          },
-        }
-      );
-      googleUserInfo = userInfoResponse.data;
-    } catch (googleAuthError) {
-      logger.error("Google authentication error during token exchange or user info fetch:", {
-          message: googleAuthError.message,
-          status: googleAuthError.response ? googleAuthError.response.status : 'N/A',
-          data: googleAuthError.response ? googleAuthError.response.data : 'N/A',
-      });
+    if (!req.body.id_token) {
       throw new CustomError({
-        message: "Google authentication failed. Please try again. " + (googleAuthError.response && googleAuthError.response.data && googleAuthError.response.data.error_description ? googleAuthError.response.data.error_description : googleAuthError.message),
-        statusCode: googleAuthError.response
-          ? googleAuthError.response.status
-          : 500,
+        message: "id_token is required",
+        statusCode: 400,
       });
     }
 
-    const googleUserId = googleUserInfo.sub; 
-    const userEmail = googleUserInfo.email;
-    const userName = googleUserInfo.name;
-    const userAvatarUrl = googleUserInfo.picture;
-    const isEmailVerifiedByGoogle = googleUserInfo.email_verified;
+    const profile = await provider.verifyIdToken(req.body);
+
+    // ID tokens carry no provider refresh token
+    return this._signInWithProvider(req, provider, profile, null);
+  }
+
+  /**
+   * Find or create the user behind a verified provider profile, keep the
+   * provider link up to date and issue application tokens.
+   *
+   * @param {Object} req - Express request object.
+   * @param {Object} provider - strategy from the provider registry
+   * @param {Object} profile - { sub, email, name, picture, email_verified, scope }
+   * @param {string|null} providerRefreshToken
+   */
+  async _signInWithProvider(req, provider, profile, providerRefreshToken) {
+    const providerName = provider.name;
+    const providerUserId = profile.sub;
+    const userEmail = profile.email;
+    const userName = profile.name;
+    const userAvatarUrl = profile.picture;
+    const isEmailVerifiedByProvider = profile.email_verified;
 
-    const { user, accessToken, refreshToken } = await withTransaction(
+    const { user, accessToken, refreshToken, challenge } = await withTransaction(
       async (client) => {
         let userRecord;
         let userProviderRecord =
           await userProvidersRepository.findByProvider(
-            "google",
-            googleUserId,
+            providerName,
+            providerUserId,
             client
           );
 
@@ -124,102 +100,127 @@ class ProvidersController {
 
           if (!userRecord) {
             throw new CustomError({
-              message: "Linked user not found for Google provider.",
+              message: `Linked user not found for ${provider.displayName} provider.`,
               statusCode: 500,
             });
           }
 
-          await usersRepository.updateUser(
-            userRecord.id,
-            { last_login_at: new Date() },
-            client
-          );
+          await usersRepository.updateLastLogin(userRecord.id, client);
 
           if (
-            googleRefreshToken &&
-            userProviderRecord.refresh_token !== googleRefreshToken
+            providerRefreshToken &&
+            userProviderRecord.refresh_token !== providerRefreshToken
           ) {
             await userProvidersRepository.updateRefreshToken(
               userProviderRecord.id,
-              googleRefreshToken,
+              providerRefreshToken,
               client
             );
           }
         } else {
-          userRecord = await usersRepository.findByEmail(userEmail, client);
+          if (!userEmail) {
+            throw new CustomError({
+              message: `${provider.displayName} did not share an email address, which is needed to create an account.`,
+              statusCode: 400,
+            });
+          }
 
-          if (userRecord) {
-            if (!userRecord.is_email_verified && isEmailVerifiedByGoogle) {
-              await usersRepository.verifyEmail(userRecord.id, client);
-            }
-            await userProvidersRepository.createProvider(
-              userRecord.id,
-              "google",
-              googleUserId,
-              googleRefreshToken,
-              googleUserInfo.scope, 
-              client
-            );
-            await usersRepository.updateById(
-              userRecord.id,
-              { last_login_at: new Date() },
-              client
-            );
-          } else {
-            userRecord = await usersRepository.createUser(
-              userEmail,
-              userName,
-              userAvatarUrl,
-              null, 
-              isEmailVerifiedByGoogle, 
-            );
+          const existingUser = await usersRepository.findByEmailInsensitive(
+            userEmail,
+            client
+          );
 
-            const role = await rolesRepository.findByName("user", client);
-            if (role) {
-              await userRolesRepository.assignRole(
-                userRecord.id,
-                role.id,
-                client
-              );
-            }
+          // Never attach a provider to (or duplicate) an existing account
+          // on email alone; the owner links it after logging in.
+          if (existingUser) {
+            throw new CustomError({
+              message: `An account with this email already exists. Log in and link ${provider.displayName} from your account settings.`,
+              statusCode: 409,
+              errors: { code: "account_exists", email: existingUser.email },
+            });
+          }
 
-            await userProvidersRepository.createProvider(
+          userRecord = await usersRepository.createUser(
+            userEmail,
+            userName,
+            userAvatarUrl,
+            null,
+            isEmailVerifiedByProvider,
+            client
+          );
+
+          const role = await rolesRepository.findByName("user", client);
+          if (role) {
+            await userRolesRepository.assignRole(
               userRecord.id,
-              "google",
-              googleUserId,
-              googleRefreshToken,
-              googleUserInfo.scope,
+              role.id,
               client
             );
           }
-        }
 
-        const appAccessToken = jwt.sign(
-          { sub: userRecord.id },
-          process.env.JWT_SECRET,
-          { expiresIn: ACCESS_TOKEN_EXP }
-        );
+          await userProvidersRepository.createProvider(
+            userRecord.id,
+            providerName,
+            providerUserId,
+            providerRefreshToken,
+            profile.scope,
+            client
+          );
 
-        const rawRefreshToken = jwt.sign(
-          { sub: userRecord.id },
-          process.env.JWT_REFRESH_SECRET,
-          { expiresIn: `${REFRESH_TOKEN_EXP_DAYS}d` }
-        );
+          await auditService.record(
+            req,
+            {
+              action: "auth.register",
+              targetType: "user",
+              targetId: userRecord.id,
+              actorId: userRecord.id,
+              metadata: { provider: providerName },
+            },
+            client
+          );
+        }
 
-        const tokenHash = await bcrypt.hash(rawRefreshToken, 10);
-        const expiresAt = new Date(
-          Date.now() + REFRESH_TOKEN_EXP_DAYS * 24 * 60 * 60 * 1000
-        );
+        if (userRecord.disabled_at) {
+          throw new CustomError({
+            message: "Account is disabled",
+            statusCode: 403,
+          });
+        }
 
-        await refreshTokensRepository.revokeAllForUser(userRecord.id, client);
+        // the provider counts as the first factor only; the guest is
+        // merged by /mfa/verify once the second factor passes
+        if (await mfaService.isEnabled(userRecord.id, client)) {
+          return {
+            user: userRecord,
+            challenge: mfaService.buildChallenge(userRecord, [providerName]),
+          };
+        }
 
-        await refreshTokensRepository.createRefreshToken(
+        const {
+          accessToken: appAccessToken,
+          refreshToken: rawRefreshToken,
+          sessionId,
+        } = await tokenService.issueTokens(
           userRecord.id,
-          tokenHash,
-          expiresAt,
+          getRequestMetadata(req),
+          client,
+          [providerName]
+        );
+
+        await auditService.record(
+          req,
+          {
+            action: "auth.login",
+            targetType: "user",
+            targetId: userRecord.id,
+            actorId: userRecord.id,
+            metadata: { method: "provider", provider: providerName, session_id: sessionId },
+          },
           client
         );
 
+        await guestService.mergeInto(req, userRecord.id, client);
+
         return {
           user: userRecord,
           accessToken: appAccessToken,
@@ -228,6 +229,8 @@ class ProvidersController {
       }
     );
 
+    if (challenge) return challenge;
+
     return {
       id: user.id,
       email: user.email,
@@ -237,6 +240,167 @@ class ProvidersController {
       refresh_token: refreshToken,
     };
   }
+
+  /**
+   * Providers linked to the signed-in user, and whether a password is set
+   *
+   * @param {Object} req - Express request object.
+   */
+  async listLinkedProviders(req) {
+    const userId = req.user.sub;
+
+    const user = await usersRepository.findById(userId);
+    if (!user) {
+      throw new CustomError({
+        message: "User not found",
+        statusCode: 404,
+      });
+    }
+
+    const providers = await userProvidersRepository.getProvidersByUser(userId);
+
+    return {
+      has_password: Boolean(user.password_hash),
+      providers: providers.map(toProviderView),
+    };
+  }
+
+  /**
+   * Attach a provider account to the signed-in user.
+   * Accepts either an ID token (native) or an authorization code with its
+   * redirect_uri (web).
+   *
+   * @param {Object} req - Express request object.
+   */
+  async linkProvider(req) {
+    const userId = req.user.sub;
+    const provider = providerRegistry.get(req.params.provider);
+    const { code, redirect_uri, id_token } = req.body;
+
+    let profile;
+    let providerRefreshToken = null;
+
+    if (id_token) {
+      profile = await provider.verifyIdToken(req.body);
+    } else if (code && redirect_uri) {
+      ({ profile, providerRefreshToken } = await provider.exchangeCode(req.body));
+    } else {
+      throw new CustomError({
+        message: "Provide either id_token, or code and redirect_uri",
+        statusCode: 400,
+      });
+    }
+
+    const linkedProvider = await withTransaction(async (client) => {
+      const linked = await userProvidersRepository.findByProvider(
+        provider.name,
+        profile.sub,
+        client
+      );
+      if (linked) {
+        throw new CustomError({
+          message:
+            linked.user_id === userId
+              ? `This ${provider.displayName} account is already linked to your account`
+              : `This ${provider.displayName} account is linked to another user`,
+          statusCode: 409,
+        });
+      }
+
+      const providers = await userProvidersRepository.getProvidersByUser(
+        userId,
+        client
+      );
+      if (providers.some((p) => p.provider === provider.name)) {
+        throw new CustomError({
+          message: `A ${provider.displayName} account is already linked. Unlink it first.`,
+          statusCode: 409,
+        });
+      }
+
+      const created = await userProvidersRepository.createProvider(
+        userId,
+        provider.name,
+        profile.sub,
+        providerRefreshToken,
+        profile.scope,
+        client
+      );
+
+      await auditService.record(
+        req,
+        {
+          action: "provider.link",
+          targetType: "user",
+          targetId: userId,
+          metadata: { provider: provider.name, provider_user_id: profile.sub },
+        },
+        client
+      );
+
+      return created;
+    });
+
+    return toProviderView(linkedProvider);
+  }
+
+  /**
+   * Detach a provider from the signed-in user, unless it is their last
+   * way to log in.
+   *
+   * @param {Object} req - Express request object.
+   */
+  async unlinkProvider(req) {
+    const userId = req.user.sub;
+    const { provider } = req.params;
+
+    return withTransaction(async (client) => {
+      const user = await usersRepository.findById(userId, client);
+      if (!user) {
+        throw new CustomError({
+          message: "User not found",
+          statusCode: 404,
+        });
+      }
+
+      const providers = await userProvidersRepository.getProvidersByUser(
+        userId,
+        client
+      );
+      const target = providers.find((p) => p.provider === provider);
+      if (!target) {
+        throw new CustomError({
+          message: "Provider is not linked to your account",
+          statusCode: 404,
+        });
+      }
+
+      const remainingMethods =
+        providers.length - 1 + (user.password_hash ? 1 : 0);
+      if (remainingMethods === 0) {
+        throw new CustomError({
+          message:
+            "You cannot unlink your only way to log in. Set a password first (via forgot-password).",
+          statusCode: 400,
+        });
+      }
+
+      await userProvidersRepository.deleteProvider(target.id, client);
+
+      await auditService.record(
+        req,
+        {
+          action: "provider.unlink",
+          targetType: "user",
+          targetId: userId,
+          metadata: { provider, provider_user_id: target.provider_user_id },
+        },
+        client
+      );
+
+      return { provider, unlinked: true };
+    });
+  }
 }
 
 module.exports = new ProvidersController();
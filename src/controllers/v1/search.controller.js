@@ -0,0 +1,33 @@
+const searchRepository = require("../../repositories/search.repository");
+const { SEARCH_TYPES } = searchRepository;
+const preferencesService = require("../../services/preferences_services");
+
+class SearchController {
+  /**
+   * Search news, articles and events
+   * Query: q, type (comma-separated: news,articles,events), date_from,
+   * date_to, lang, page, limit
+   */
+  async search(req) {
+    const { q, type, date_from, date_to, page, limit } = req.query;
+
+    // highlight English words for English readers, Indonesian otherwise
+    const language = await preferencesService.resolveLanguage(req);
+
+    return searchRepository.search(
+      {
+        q,
+        types: type ? [...new Set(type.split(","))] : SEARCH_TYPES,
+        date_from,
+        date_to,
+        headlineConfig: language === "en" ? "english" : "indonesian",
+      },
+      {
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 10,
+      }
+    );
+  }
+}
+
+module.exports = new SearchController();
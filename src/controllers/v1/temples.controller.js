@@ -1,6 +1,8 @@
 const nodesRepo = require("../../repositories/temple_nodes.repository");
 const edgesRepo = require("../../repositories/temple_edges.repository");
 const featuresRepo = require("../../repositories/temple_features.repository");
+const preferencesService = require("../../services/preferences_services");
+const translationService = require("../../services/translation_services");
 
 const { withTransaction } = require("../../utils/db_transactions");
 const CustomError = require("../../helpers/customError");
@@ -68,8 +70,14 @@ class TemplesController {
       limit: limit ? parseInt(limit) : 20,
     };
 
+    const locale = await preferencesService.resolveLanguage(req);
+
     const features = await withTransaction(async (client) => {
-      return await featuresRepo.findAll(filters, pagination, client);
+      const found = await featuresRepo.findAll(filters, pagination, client);
+      return {
+        ...found,
+        data: await translationService.localize("temple_features", found.data, locale, client),
+      };
     });
 
     return {
@@ -84,6 +92,8 @@ class TemplesController {
           description: f.description,
           image_url: f.image_url,
           rating: f.rating,
+          locale: f.locale,
+          missing_locales: f.missing_locales,
         },
       })),
       pagination: features.pagination,
@@ -112,8 +122,14 @@ class TemplesController {
       limit: limit ? parseInt(limit) : 10,
     };
 
+    const locale = await preferencesService.resolveLanguage(req);
+
     const nearest = await withTransaction(async (client) => {
-      return await featuresRepo.findNearest(filters, pagination, client);
+      const found = await featuresRepo.findNearest(filters, pagination, client);
+      return {
+        ...found,
+        data: await translationService.localize("temple_features", found.data, locale, client),
+      };
     });
 
     return {
@@ -127,6 +143,8 @@ class TemplesController {
           type: f.type,
           description: f.description,
           distance_m: f.distance_m,
+          locale: f.locale,
+          missing_locales: f.missing_locales,
         },
       })),
       pagination: nearest.pagination,
@@ -137,7 +155,7 @@ class TemplesController {
    * Compute navigation route
    */
   async getRoute(req) {
-    const { fromLat, fromLon, toNodeId, profile } = req.query;
+    const { fromLat, fromLon, toNodeId } = req.query;
 
     if (!fromLat || !fromLon || !toNodeId) {
       throw new CustomError({
@@ -149,7 +167,7 @@ class TemplesController {
     const params = {
       from: [parseFloat(fromLon), parseFloat(fromLat)], // [lon, lat]
       to: parseInt(toNodeId),
-      profile: profile || "walking"
+      profile: await preferencesService.resolveRoutingProfile(req),
     };
 
     const route = await withTransaction(async (client) => {
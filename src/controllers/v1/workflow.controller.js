@@ -0,0 +1,33 @@
+const workflowService = require("../../services/workflow_services");
+const { withTransaction } = require("../../utils/db_transactions");
+
+class WorkflowController {
+  /**
+   * The signed-in user's queue: items waiting for review for editors and
+   * admins, their own unpublished items for writers
+   * Query: type (comma-separated: news,articles,events), status
+   * (comma-separated workflow states), page, limit
+   */
+  async getQueue(req) {
+    const { type, status, page, limit } = req.query;
+
+    const queue = await withTransaction((client) =>
+      workflowService.queue(
+        req,
+        {
+          types: type ? [...new Set(type.split(","))] : undefined,
+          statuses: status ? [...new Set(status.split(","))] : undefined,
+        },
+        {
+          page: page ? parseInt(page, 10) : 1,
+          limit: limit ? parseInt(limit, 10) : 20,
+        },
+        client
+      )
+    );
+
+    return queue;
+  }
+}
+
+module.exports = new WorkflowController();
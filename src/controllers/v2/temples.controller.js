@@ -1,6 +1,8 @@
 const nodesRepo = require("../../repositories/temple_nodes.repository");
 const edgesRepo = require("../../repositories/temple_edges.repository");
 const featuresRepo = require("../../repositories/temple_features.repository");
+const preferencesService = require("../../services/preferences_services");
+const translationService = require("../../services/translation_services");
 
 const { withTransaction } = require("../../utils/db_transactions");
 const CustomError = require("../../helpers/customError");
@@ -137,8 +139,14 @@ class TemplesControllerV2 {
       limit: limit ? parseInt(limit) : 20,
     };
 
+    const locale = await preferencesService.resolveLanguage(req);
+
     const features = await withTransaction(async (client) => {
-      return await featuresRepo.findAll(filters, pagination, client);
+      const found = await featuresRepo.findAll(filters, pagination, client);
+      return {
+        ...found,
+        data: await translationService.localize("temple_features", found.data, locale, client),
+      };
     });
 
     return {
@@ -153,6 +161,8 @@ class TemplesControllerV2 {
           description: f.description,
           image_url: f.image_url,
           rating: f.rating,
+          locale: f.locale,
+          missing_locales: f.missing_locales,
         },
       })),
       pagination: features.pagination,
@@ -178,8 +188,14 @@ class TemplesControllerV2 {
       limit: limit ? parseInt(limit) : 10,
     };
 
+    const locale = await preferencesService.resolveLanguage(req);
+
     const nearest = await withTransaction(async (client) => {
-      return await featuresRepo.findNearest(filters, pagination, client);
+      const found = await featuresRepo.findNearest(filters, pagination, client);
+      return {
+        ...found,
+        data: await translationService.localize("temple_features", found.data, locale, client),
+      };
     });
 
     return {
@@ -193,6 +209,8 @@ class TemplesControllerV2 {
           type: f.type,
           description: f.description,
           distance_m: f.distance_m,
+          locale: f.locale,
+          missing_locales: f.missing_locales,
         },
       })),
       pagination: nearest.pagination,
@@ -204,7 +222,7 @@ class TemplesControllerV2 {
    * Assumes edgesRepo.findRoute returns a GeoJSON Feature/FeatureCollection or something similar.
    */
   async getRoute(req) {
-    const { fromLat, fromLon, toNodeId, profile } = req.query;
+    const { fromLat, fromLon, toNodeId } = req.query;
 
     if (!fromLat || !fromLon || !toNodeId) {
       throw new CustomError({
@@ -216,7 +234,7 @@ class TemplesControllerV2 {
     const params = {
       from: [parseFloat(fromLon), parseFloat(fromLat)], // [lon, lat]
       to: parseInt(toNodeId),
-      profile: profile || "walking",
+      profile: await preferencesService.resolveRoutingProfile(req),
     };
 
     const route = await withTransaction(async (client) => {
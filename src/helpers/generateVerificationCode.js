@@ -1,8 +1,11 @@
+const crypto = require("crypto");
+
 exports.generateVerificationCode = ({ length = 6 } = {}) => {
     const chars = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
     let code = "";
     for (let i = 0; i < length; i++) {
-        code += chars[Math.floor(Math.random() * chars.length)];
+        // randomInt is uniform and CSPRNG-backed, unlike Math.random
+        code += chars[crypto.randomInt(chars.length)];
     }
     return code;
 };
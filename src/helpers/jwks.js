@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const CustomError = require("./customError");
+
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+// Don't hammer the provider when tokens arrive with unknown kids
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+const maxAgeMs = (cacheControl) => {
+  const match = /max-age=(\d+)/i.exec(cacheControl || "");
+  return match ? Number(match[1]) * 1000 : null;
+};
+
+/**
+ * In-memory cache of a JSON Web Key Set.
+ * Keys are refetched when the cache expires (honouring Cache-Control
+ * max-age) or when a token names a kid we haven't seen (key rotation).
+ */
+class JwksCache {
+  /**
+   * @param {object} options
+   * @param {string|Function} [options.uri] - JWKS endpoint, or an async
+   *   function resolving it (e.g. from OIDC discovery)
+   * @param {number} [options.ttlMs] - fallback cache lifetime
+   * @param {Function} [options.fetchKeys] - async () => ({ keys, maxAgeMs? }),
+   *   defaults to GET uri
+   */
+  constructor({ uri, ttlMs = DEFAULT_TTL_MS, fetchKeys } = {}) {
+    this.uri = uri;
+    this.ttlMs = ttlMs;
+    this.fetchKeys = fetchKeys || (() => this._fetchFromUri());
+    this.keys = new Map();
+    this.expiresAt = 0;
+    this.lastFetchAt = 0;
+  }
+
+  async _fetchFromUri() {
+    const uri = typeof this.uri === "function" ? await this.uri() : this.uri;
+    const response = await axios.get(uri, { timeout: 5000 });
+    return {
+      keys: response.data.keys,
+      maxAgeMs: maxAgeMs(response.headers["cache-control"]),
+    };
+  }
+
+  /**
+   * Replace the cached keys. Used after fetching, and by tests to run
+   * offline with locally generated keys (no expiry unless ttlMs is given).
+   * @param {{ keys: object[] }} jwks
+   * @param {number} [ttlMs]
+   */
+  setKeys(jwks, ttlMs = Infinity) {
+    this.keys = new Map(
+      (jwks.keys || []).map((jwk) => [
+        jwk.kid,
+        crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      ])
+    );
+    this.expiresAt = Date.now() + ttlMs;
+  }
+
+  async _refresh() {
+    this.lastFetchAt = Date.now();
+    const { keys, maxAgeMs: ttl } = await this.fetchKeys();
+    this.setKeys({ keys }, ttl || this.ttlMs);
+  }
+
+  /**
+   * Public key for a kid
+   * @param {string} kid
+   * @returns {Promise<crypto.KeyObject|null>}
+   */
+  async getKey(kid) {
+    const expired = Date.now() >= this.expiresAt;
+    const unknownKid =
+      !this.keys.has(kid) &&
+      Date.now() - this.lastFetchAt >= MIN_REFETCH_INTERVAL_MS;
+
+    if (expired || unknownKid) {
+      try {
+        await this._refresh();
+      } catch (err) {
+        // provider unreachable: keep serving the keys we already have
+        if (!this.keys.has(kid)) throw err;
+      }
+    }
+
+    return this.keys.get(kid) || null;
+  }
+}
+
+exports.createJwksCache = (options) => new JwksCache(options);
+
+/**
+ * Verify an OpenID Connect ID token's signature, issuer, audience and expiry.
+ * @param {string} token
+ * @param {object} options
+ * @param {JwksCache} options.jwks
+ * @param {string|string[]} options.issuer
+ * @param {string|string[]} options.audience - accepted client ids
+ * @param {string[]} [options.algorithms]
+ * @param {number} [options.clockTolerance] - seconds
+ * @returns {Promise<object>} the token payload
+ */
+exports.verifyIdToken = async (
+  token,
+  { jwks, issuer, audience, algorithms = ["RS256"], clockTolerance = 30 }
+) => {
+  const invalid = (reason) =>
+    new CustomError({
+      message: `Invalid ID token: ${reason}`,
+      statusCode: 401,
+    });
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header?.kid) throw invalid("malformed token");
+
+  let key;
+  try {
+    key = await jwks.getKey(decoded.header.kid);
+  } catch (err) {
+    throw new CustomError({
+      message: "Unable to fetch signing keys from the identity provider",
+      statusCode: 502,
+    });
+  }
+  if (!key) throw invalid("unknown signing key");
+
+  try {
+    return jwt.verify(token, key, {
+      algorithms,
+      issuer,
+      audience,
+      clockTolerance,
+    });
+  } catch (err) {
+    throw invalid(err.message);
+  }
+};
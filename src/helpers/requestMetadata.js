@@ -0,0 +1,13 @@
+/**
+ * Collect client details (device, user agent, IP) from a request.
+ * device_name comes from the body or the X-Device-Name header.
+ */
+exports.getRequestMetadata = (req) => {
+  const deviceName = req.body?.device_name || req.get("x-device-name") || null;
+
+  return {
+    user_agent: req.get("user-agent") || null,
+    ip_address: req.ip || req.socket?.remoteAddress || null,
+    device_name: deviceName ? String(deviceName).slice(0, 100) : null,
+  };
+};
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Random base32 secret (160 bits, the RFC 4226 recommendation)
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step (counter) for a timestamp
+ * @param {number} [timestamp] - ms since epoch
+ */
+exports.currentStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value for a base32 secret at a given step
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string} zero-padded code
+ */
+exports.generateCode = (secret, step = exports.currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * (clock drift).
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {object} [options]
+ * @param {number} [options.window=1]
+ * @param {number} [options.timestamp] - ms since epoch
+ * @returns {number|null} the matching step, or null when the code is wrong
+ */
+exports.verifyCode = (secret, code, { window = 1, timestamp } = {}) => {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const step = exports.currentStep(timestamp);
+  for (let i = -window; i <= window; i++) {
+    const expected = exports.generateCode(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step + i;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (render it as a QR code)
+ * @param {object} options
+ * @param {string} options.secret - base32
+ * @param {string} options.accountName - usually the email
+ * @param {string} [options.issuer]
+ */
+exports.buildOtpauthUri = ({ secret, accountName, issuer = "Borobudur" }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,32 @@
+/**
+ * Strip secrets (password hash) from a user row
+ */
+exports.toUserView = (user) => {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    avatar_url: user.avatar_url,
+    is_email_verified: user.is_email_verified,
+    pending_email: user.pending_email || null,
+    is_disabled: Boolean(user.disabled_at),
+    disabled_at: user.disabled_at || null,
+    last_login_at: user.last_login_at || null,
+    created_at: user.created_at,
+    updated_at: user.updated_at,
+  };
+};
+
+/**
+ * Strip provider refresh tokens from a user_providers row
+ */
+exports.toProviderView = (provider) => {
+  return {
+    id: provider.id,
+    provider: provider.provider,
+    provider_user_id: provider.provider_user_id,
+    scope: provider.scope,
+    created_at: provider.created_at,
+    updated_at: provider.updated_at,
+  };
+};
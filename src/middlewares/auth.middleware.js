@@ -1,23 +1,138 @@
-const jwt = require("jsonwebtoken");
 const logger = require("../config/logger");
+const apiKeyService = require("../services/api_key_services");
+const signingKeyService = require("../services/signing_keys_services");
 
-const authenticate = (req, res, next) => {
+/**
+ * Verify the Bearer access token and set req.user.
+ * Guest tokens are only let through when `guestScope` is one of their
+ * scopes (true lets any guest through).
+ */
+const verifyAccessToken = (req, res, next, guestScope) => {
   const authHeader = req.headers.authorization;
 
-if (!authHeader?.startsWith("Bearer ")) {
+  if (!authHeader?.startsWith("Bearer ")) {
+    if (req.get("x-api-key")) {
+      return res
+        .status(401)
+        .json({ message: "API keys are not accepted for this endpoint" });
+    }
     return res.status(401).json({ message: "No token provided" });
   }
 
   const token = authHeader.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // contains id, email, name, role
-    next();
+    decoded = signingKeyService.verify(token, { secret: process.env.JWT_SECRET });
   } catch (err) {
     logger.error("Token verification failed:", err);
     return res.status(401).json({ message: "Invalid or expired token" });
   }
+
+  // MFA challenge tokens only unlock /v1/auth/mfa/verify
+  if (decoded.typ === "mfa_challenge") {
+    return res.status(401).json({ message: "Two-factor verification required" });
+  }
+  // Other purpose-bound tokens (e.g. magic links) are never access tokens
+  if (decoded.typ) {
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+
+  if (decoded.guest) {
+    const allowed =
+      guestScope === true || (guestScope && decoded.scope?.includes(guestScope));
+    if (!allowed) {
+      return res
+        .status(403)
+        .json({ message: "Register or sign in to use this endpoint" });
+    }
+  }
+
+  req.user = decoded; // contains id, email, name, role
+  next();
+};
+
+const authenticate = (req, res, next) => verifyAccessToken(req, res, next, null);
+
+/**
+ * Like `authenticate`, but guest tokens are accepted too when they hold
+ * `scope`; with no scope any guest is accepted.
+ * @param {string} [scope] - e.g. "preferences"
+ */
+const authenticateOrGuest = (scope) => {
+  return (req, res, next) => verifyAccessToken(req, res, next, scope || true);
+};
+
+/**
+ * Reject impersonation tokens (those with an `act` claim) on endpoints
+ * that change how the account signs in, such as password or email
+ * changes. Must run after `authenticate`.
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.user?.act) {
+    return res
+      .status(403)
+      .json({ message: "This action is not allowed while impersonating a user" });
+  }
+  next();
+};
+
+/**
+ * For public endpoints that personalise their response: sets req.user when
+ * a valid access token is sent, and otherwise carries on anonymously
+ * (a bad or expired token is ignored rather than rejected).
+ */
+const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith("Bearer ")) return next();
+
+  try {
+    const decoded = signingKeyService.verify(authHeader.split(" ")[1], {
+      secret: process.env.JWT_SECRET,
+    });
+    if (!decoded.typ) req.user = decoded;
+  } catch (err) {
+    // anonymous
+  }
+  next();
+};
+
+/**
+ * Accept either a Bearer access token (req.user, as `authenticate`, plus
+ * guests holding `scope`) or an X-API-Key granted `scope` (req.apiKey).
+ * Role checks done by `authorize` afterwards only apply to users; the
+ * scope is the key's permission.
+ * @param {string} scope - e.g. "coordinates:write"
+ */
+const authenticateOrApiKey = (scope) => {
+  return async (req, res, next) => {
+    const rawApiKey = req.get("x-api-key");
+    if (!rawApiKey) return verifyAccessToken(req, res, next, scope);
+
+    let apiKey;
+    try {
+      apiKey = await apiKeyService.authenticate(rawApiKey, req.ip);
+    } catch (err) {
+      if (!err.statusCode) logger.error("API key verification failed:", err);
+      return res.status(err.statusCode || 500).json({
+        message: err.statusCode ? err.message : "Failed to verify API key",
+        ...err.errors,
+      });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res
+        .status(403)
+        .json({ message: `API key is missing the ${scope} scope` });
+    }
+
+    req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+    next();
+  };
 };
 
 module.exports = authenticate;
+module.exports.authenticateOrApiKey = authenticateOrApiKey;
+module.exports.optionalAuthenticate = optionalAuthenticate;
+module.exports.authenticateOrGuest = authenticateOrGuest;
+module.exports.denyImpersonation = denyImpersonation;
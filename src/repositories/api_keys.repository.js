@@ -0,0 +1,154 @@
+const pool = require("../config/db");
+
+class ApiKeysRepository {
+  /**
+   * Create an API key
+   * @param {object} data - { name, key_prefix, key_hash, scopes, rate_limit, created_by, expires_at }
+   * @param {object} client - Optional pg client/transaction
+   */
+  async create(data, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit, created_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `,
+      values: [
+        data.name,
+        data.key_prefix,
+        data.key_hash,
+        data.scopes,
+        data.rate_limit,
+        data.created_by || null,
+        data.expires_at || null,
+      ],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * List keys, newest first
+   * @param {{ includeRevoked?: boolean }} filters
+   */
+  async findAll({ includeRevoked = false } = {}, client = pool) {
+    const query = {
+      text: `
+        SELECT *
+        FROM api_keys
+        ${includeRevoked ? "" : "WHERE revoked_at IS NULL"}
+        ORDER BY created_at DESC
+      `,
+    };
+    const { rows } = await client.query(query);
+    return rows;
+  }
+
+  async findById(id, client = pool) {
+    const query = {
+      text: `SELECT * FROM api_keys WHERE id = $1`,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Key matching a hash that is neither revoked nor expired
+   * @param {string} key_hash - SHA-256 hex digest
+   */
+  async findActiveByHash(key_hash, client = pool) {
+    const query = {
+      text: `
+        SELECT *
+        FROM api_keys
+        WHERE key_hash = $1
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+        LIMIT 1
+      `,
+      values: [key_hash],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Update name, scopes, rate_limit or expires_at
+   */
+  async update(id, fields, client = pool) {
+    const allowed = ["name", "scopes", "rate_limit", "expires_at"];
+    const sets = [];
+    const values = [];
+    let idx = 1;
+
+    for (const key of allowed) {
+      if (fields[key] !== undefined) {
+        sets.push(`"${key}" = $${idx}`);
+        values.push(fields[key]);
+        idx++;
+      }
+    }
+
+    if (sets.length === 0) return this.findById(id, client);
+
+    sets.push(`updated_at = NOW()`);
+
+    const query = {
+      text: `
+        UPDATE api_keys
+        SET ${sets.join(", ")}
+        WHERE id = $${idx}
+        RETURNING *
+      `,
+      values: [...values, id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Replace the secret of a key; the old secret stops working immediately
+   */
+  async rotate(id, key_prefix, key_hash, client = pool) {
+    const query = {
+      text: `
+        UPDATE api_keys
+        SET key_prefix = $2, key_hash = $3, rotated_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING *
+      `,
+      values: [id, key_prefix, key_hash],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  async revoke(id, client = pool) {
+    const query = {
+      text: `
+        UPDATE api_keys
+        SET revoked_at = COALESCE(revoked_at, NOW()), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  async touchLastUsed(id, ip, client = pool) {
+    const query = {
+      text: `
+        UPDATE api_keys
+        SET last_used_at = NOW(), last_used_ip = $2
+        WHERE id = $1
+      `,
+      values: [id, ip || null],
+    };
+    await client.query(query);
+  }
+}
+
+module.exports = new ApiKeysRepository();
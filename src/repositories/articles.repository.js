@@ -1,16 +1,26 @@
 // repositories/articles.repository.js
 const pool = require("../config/db");
+const { toTsQuery } = require("./search.repository");
+
+// published and not past unpublish_at; expired rows stay hidden until the
+// scheduler gets to archive them
+const PUBLISHED = "status = 'published' AND (unpublish_at IS NULL OR unpublish_at > NOW())";
 
 class ArticlesRepository {
   // List with filters + pagination
   async findAll(filters = {}, pagination = {}, client = pool) {
-    const { status, author, date_from, date_to, q } = filters;
+    const { status, author, date_from, date_to, q, includeUnpublished = false } = filters;
     const { page = 1, limit = 10 } = pagination;
 
     const where = [];
     const values = [];
     let i = 1;
 
+    // only published articles are public; editors also see the workflow states
+    if (!includeUnpublished) {
+      where.push(`(${PUBLISHED})`);
+    }
+
     if (status) {
       where.push(`status = $${i++}`);
       values.push(status);
@@ -28,9 +38,8 @@ class ArticlesRepository {
       values.push(date_to);
     }
     if (q) {
-      where.push(`(title ILIKE $${i} OR content ILIKE $${i})`);
-      values.push(`%${q}%`);
-      i++;
+      where.push(`search_vector @@ ${toTsQuery(`$${i++}`)}`);
+      values.push(q);
     }
 
     const whereClause = where.length ? `WHERE ${where.join(" AND ")}` : "";
@@ -40,7 +49,7 @@ class ArticlesRepository {
       text: `
         SELECT id, title, content, publication_date,
                image_url, thumbnail_image_url, slug, author, status,
-               views_count, seo_metadata, created_at, updated_at
+               views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM articles
         ${whereClause}
         ORDER BY publication_date DESC, id DESC
@@ -80,7 +89,7 @@ class ArticlesRepository {
       text: `
         SELECT id, title, content, publication_date,
                image_url, thumbnail_image_url, slug, author, status,
-               views_count, seo_metadata, created_at, updated_at
+               views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM articles
         WHERE id = $1
         LIMIT 1
@@ -91,17 +100,18 @@ class ArticlesRepository {
     return rows[0] || null;
   }
 
-  // By default, do not return drafts (tweak as needed)
-  async findBySlug(slug, { includeDraft = false } = {}, client = pool) {
+  // By default, only published articles.
+  // Matches the base slug or a translated one (article_translations).
+  async findBySlug(slug, { includeUnpublished = false } = {}, client = pool) {
     const base = `
       SELECT id, title, content, publication_date,
              image_url, thumbnail_image_url, slug, author, status,
-             views_count, seo_metadata, created_at, updated_at
+             views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       FROM articles
-      WHERE slug = $1
+      WHERE (slug = $1 OR id = (SELECT article_id FROM article_translations WHERE slug = $1))
     `;
-    const text = includeDraft ? `${base} LIMIT 1`
-                              : `${base} AND status != 'draft' LIMIT 1`;
+    const text = includeUnpublished ? `${base} LIMIT 1`
+                                    : `${base} AND ${PUBLISHED} LIMIT 1`;
     const { rows } = await client.query({ text, values: [slug] });
     return rows[0] || null;
   }
@@ -117,18 +127,22 @@ class ArticlesRepository {
       author,
       status,
       seo_metadata,
+      default_locale,
+      unpublish_at,
+      created_by,
     } = data;
 
     const query = {
       text: `
         INSERT INTO articles (
           title, content, publication_date,
-          image_url, thumbnail_image_url, slug, author, status, seo_metadata
+          image_url, thumbnail_image_url, slug, author, status, seo_metadata,
+          default_locale, unpublish_at, created_by
         )
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
         RETURNING id, title, content, publication_date,
                   image_url, thumbnail_image_url, slug, author, status,
-                  views_count, seo_metadata, created_at, updated_at
+                  views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       `,
       values: [
         title,
@@ -140,6 +154,9 @@ class ArticlesRepository {
         author,
         status,
         seo_metadata ? JSON.stringify(seo_metadata) : null,
+        default_locale,
+        unpublish_at || null,
+        created_by || null,
       ],
     };
 
@@ -158,6 +175,7 @@ class ArticlesRepository {
       author,
       status,
       seo_metadata,
+      unpublish_at,
     } = data;
 
     const sets = [];
@@ -176,6 +194,7 @@ class ArticlesRepository {
       sets.push(`seo_metadata = $${i++}`);
       values.push(seo_metadata ? JSON.stringify(seo_metadata) : null);
     }
+    if (unpublish_at !== undefined) { sets.push(`unpublish_at = $${i++}`); values.push(unpublish_at); }
 
     // Always bump updated_at
     sets.push(`updated_at = CURRENT_TIMESTAMP`);
@@ -192,7 +211,7 @@ class ArticlesRepository {
         WHERE id = $${i}
         RETURNING id, title, content, publication_date,
                   image_url, thumbnail_image_url, slug, author, status,
-                  views_count, seo_metadata, created_at, updated_at
+                  views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       `,
       values: [...values, id],
     };
@@ -210,7 +229,7 @@ class ArticlesRepository {
         WHERE id = $1
         RETURNING id, title, content, publication_date,
                   image_url, thumbnail_image_url, slug, author, status,
-                  views_count, seo_metadata, created_at, updated_at
+                  views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       `,
       values: [id],
     };
@@ -229,7 +248,7 @@ class ArticlesRepository {
       text: `
         SELECT id, title, content, publication_date,
                image_url, thumbnail_image_url, slug, author, status,
-               views_count, seo_metadata, created_at, updated_at
+               views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM articles
         WHERE status = $1
         ORDER BY publication_date DESC, id DESC
@@ -245,9 +264,9 @@ class ArticlesRepository {
       text: `
         SELECT id, title, content, publication_date,
                image_url, thumbnail_image_url, slug, author, status,
-               views_count, seo_metadata, created_at, updated_at
+               views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM articles
-        WHERE status = 'published'
+        WHERE ${PUBLISHED}
         ORDER BY publication_date DESC, id DESC
         LIMIT $1
       `,
@@ -261,7 +280,7 @@ class ArticlesRepository {
       text: `
         SELECT id, title, content, publication_date,
                image_url, thumbnail_image_url, slug, author, status,
-               views_count, seo_metadata, created_at, updated_at
+               views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM articles
         ORDER BY views_count DESC, id DESC
         LIMIT $1
@@ -275,10 +294,10 @@ class ArticlesRepository {
     const text = `
       SELECT id, title, content, publication_date,
              image_url, thumbnail_image_url, slug, author, status,
-             views_count, seo_metadata, created_at, updated_at
+             views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       FROM articles
       WHERE author ILIKE $1
-      ${includeDraft ? "" : `AND status != 'draft'`}
+      ${includeDraft ? "" : `AND ${PUBLISHED}`}
       ORDER BY publication_date DESC, id DESC
       LIMIT $2
     `;
@@ -290,32 +309,63 @@ class ArticlesRepository {
     const text = `
       SELECT id, title, content, publication_date,
              image_url, thumbnail_image_url, slug, author, status,
-             views_count, seo_metadata, created_at, updated_at
+             views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       FROM articles
       WHERE publication_date >= $1 AND publication_date <= $2
-      ${includeDraft ? "" : `AND status != 'draft'`}
+      ${includeDraft ? "" : `AND ${PUBLISHED}`}
       ORDER BY publication_date DESC, id DESC
     `;
     const { rows } = await client.query({ text, values: [from, to] });
     return rows;
   }
 
+  // Best matches first; see search.repository for the cross-type search
   async search(q, limit = 10, client = pool) {
     const { rows } = await client.query({
       text: `
         SELECT id, title, content, publication_date,
                image_url, thumbnail_image_url, slug, author, status,
-               views_count, seo_metadata, created_at, updated_at
+               views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM articles
-        WHERE (title ILIKE $1 OR content ILIKE $1)
-          AND status != 'draft'
-        ORDER BY publication_date DESC, id DESC
+        WHERE search_vector @@ ${toTsQuery("$1")}
+          AND ${PUBLISHED}
+        ORDER BY ts_rank(search_vector, ${toTsQuery("$1")}) DESC, publication_date DESC, id DESC
         LIMIT $2
       `,
-      values: [`%${q}%`, limit],
+      values: [q, limit],
     });
     return rows;
   }
+
+  // Scheduled articles whose publication_date has come -> published
+  async publishDue(client = pool) {
+    const { rows } = await client.query(`
+      UPDATE articles
+      SET status = 'published', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM articles
+        WHERE status = 'scheduled' AND publication_date <= NOW()
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, title, slug, publication_date, unpublish_at
+    `);
+    return rows;
+  }
+
+  // Published articles past their unpublish_at -> archived
+  async unpublishExpired(client = pool) {
+    const { rows } = await client.query(`
+      UPDATE articles
+      SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM articles
+        WHERE status = 'published' AND unpublish_at <= NOW()
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, title, slug, publication_date, unpublish_at
+    `);
+    return rows;
+  }
 }
 
 module.exports = new ArticlesRepository();
@@ -0,0 +1,125 @@
+const pool = require("../config/db");
+
+class AuditEventsRepository {
+  /**
+   * Append an event
+   * @param {object} event - { actor_type, actor_id, action, target_type,
+   *   target_id, ip_address, user_agent, changes, metadata }
+   * @param {object} client - Optional pg client/transaction
+   */
+  async create(event, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO audit_events (
+          actor_type, actor_id, action, target_type, target_id,
+          ip_address, user_agent, changes, metadata
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `,
+      values: [
+        event.actor_type,
+        event.actor_id ?? null,
+        event.action,
+        event.target_type ?? null,
+        event.target_id != null ? String(event.target_id) : null,
+        event.ip_address ?? null,
+        event.user_agent ?? null,
+        event.changes ? JSON.stringify(event.changes) : null,
+        event.metadata ? JSON.stringify(event.metadata) : null,
+      ],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  async findById(id, client = pool) {
+    const query = {
+      text: `SELECT * FROM audit_events WHERE id = $1`,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Search events, newest first
+   * @param {object} filters - { actor_type, actor_id, action, target_type,
+   *   target_id, ip_address, date_from, date_to }; an action ending in "*"
+   *   matches by prefix (e.g. "auth.*")
+   * @param {object} pagination - { page, limit }
+   * @param {object} client
+   */
+  async search(filters = {}, pagination = {}, client = pool) {
+    const { page = 1, limit = 50 } = pagination;
+
+    const where = [];
+    const values = [];
+    let idx = 1;
+
+    for (const column of ["actor_type", "actor_id", "target_type", "target_id", "ip_address"]) {
+      if (filters[column]) {
+        where.push(`${column} = $${idx++}`);
+        values.push(String(filters[column]));
+      }
+    }
+    if (filters.action) {
+      if (filters.action.endsWith("*")) {
+        where.push(`action LIKE $${idx++}`);
+        values.push(`${filters.action.slice(0, -1).replace(/[\\%_]/g, "\\$&")}%`);
+      } else {
+        where.push(`action = $${idx++}`);
+        values.push(filters.action);
+      }
+    }
+    if (filters.date_from) {
+      where.push(`occurred_at >= $${idx++}`);
+      values.push(filters.date_from);
+    }
+    if (filters.date_to) {
+      where.push(`occurred_at <= $${idx++}`);
+      values.push(filters.date_to);
+    }
+
+    const whereClause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const offset = (page - 1) * limit;
+
+    const query = {
+      text: `
+        SELECT *
+        FROM audit_events
+        ${whereClause}
+        ORDER BY occurred_at DESC, id DESC
+        LIMIT $${idx++} OFFSET $${idx++}
+      `,
+      values: [...values, limit, offset],
+    };
+
+    const countQuery = {
+      text: `SELECT COUNT(*) AS total FROM audit_events ${whereClause}`,
+      values,
+    };
+
+    const [dataResult, countResult] = await Promise.all([
+      client.query(query),
+      client.query(countQuery),
+    ]);
+
+    const totalItems = parseInt(countResult.rows[0].total, 10);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    };
+  }
+}
+
+module.exports = new AuditEventsRepository();
@@ -0,0 +1,119 @@
+const pool = require("../config/db");
+
+class AuthAttemptsRepository {
+  /**
+   * Get the counter for an action/scope/key
+   * @param {string} action - e.g. 'login', 'verify_email'
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} key - lower-cased email or IP address
+   * @param {object} client - Optional pg client/transaction
+   */
+  async find(action, scope, key, client = pool) {
+    const query = {
+      text: `
+        SELECT *
+        FROM auth_attempts
+        WHERE action = $1 AND scope = $2 AND key = $3
+      `,
+      values: [action, scope, key],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Count one more attempt. The counter starts over when the previous
+   * attempt is older than the window or an earlier lockout has expired.
+   * @param {string} action
+   * @param {string} scope
+   * @param {string} key
+   * @param {number} windowSeconds - how long attempts are remembered
+   * @param {object} client - Optional pg client/transaction
+   * @returns {Promise<object>} the updated counter row
+   */
+  async increment(action, scope, key, windowSeconds, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO auth_attempts (action, scope, key, attempts, last_attempt_at)
+        VALUES ($1, $2, $3, 1, NOW())
+        ON CONFLICT (action, scope, key) DO UPDATE SET
+          attempts = CASE
+            WHEN auth_attempts.last_attempt_at < NOW() - make_interval(secs => $4)
+              OR auth_attempts.locked_until <= NOW()
+            THEN 1
+            ELSE auth_attempts.attempts + 1
+          END,
+          locked_until = CASE
+            WHEN auth_attempts.locked_until <= NOW() THEN NULL
+            ELSE auth_attempts.locked_until
+          END,
+          last_attempt_at = NOW()
+        RETURNING *
+      `,
+      values: [action, scope, key, windowSeconds],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Lock a counter until the given time
+   * @param {string} action
+   * @param {string} scope
+   * @param {string} key
+   * @param {Date} lockedUntil
+   * @param {object} client - Optional pg client/transaction
+   */
+  async lock(action, scope, key, lockedUntil, client = pool) {
+    const query = {
+      text: `
+        UPDATE auth_attempts
+        SET locked_until = $4
+        WHERE action = $1 AND scope = $2 AND key = $3
+        RETURNING *
+      `,
+      values: [action, scope, key, lockedUntil],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Forget a counter (e.g. after a successful login)
+   * @param {string} action
+   * @param {string} scope
+   * @param {string} key
+   * @param {object} client - Optional pg client/transaction
+   */
+  async clear(action, scope, key, client = pool) {
+    const query = {
+      text: `
+        DELETE FROM auth_attempts
+        WHERE action = $1 AND scope = $2 AND key = $3
+      `,
+      values: [action, scope, key],
+    };
+    await client.query(query);
+  }
+
+  /**
+   * Delete counters that are neither locked nor recent
+   * @param {number} olderThanSeconds
+   * @param {object} client - Optional pg client/transaction
+   * @returns {Promise<number>} number of deleted rows
+   */
+  async deleteStale(olderThanSeconds, client = pool) {
+    const query = {
+      text: `
+        DELETE FROM auth_attempts
+        WHERE last_attempt_at < NOW() - make_interval(secs => $1)
+          AND (locked_until IS NULL OR locked_until < NOW())
+      `,
+      values: [olderThanSeconds],
+    };
+    const { rowCount } = await client.query(query);
+    return rowCount;
+  }
+}
+
+module.exports = new AuthAttemptsRepository();
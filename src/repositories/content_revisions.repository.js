@@ -0,0 +1,131 @@
+// repositories/content_revisions.repository.js
+const pool = require("../config/db");
+
+const LIST_COLUMNS = `
+  r.revision, r.action, r.restored_from, r.author_id,
+  u.email AS author_email, r.created_at
+`;
+
+class ContentRevisionsRepository {
+  /**
+   * Append the next revision of an item. The item's row is locked by the
+   * update that precedes this call, so numbers don't race.
+   * @param {object} data - { content_type, content_id, action, snapshot,
+   *   author_id, restored_from }
+   */
+  async create(data, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO content_revisions (
+          content_type, content_id, revision, action, restored_from, snapshot, author_id
+        )
+        SELECT $1, $2, COALESCE(MAX(revision), 0) + 1, $3, $4, $5, $6
+        FROM content_revisions
+        WHERE content_type = $1 AND content_id = $2
+        RETURNING revision, action, restored_from, author_id, created_at
+      `,
+      values: [
+        data.content_type,
+        data.content_id,
+        data.action,
+        data.restored_from ?? null,
+        JSON.stringify(data.snapshot),
+        data.author_id || null,
+      ],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Store the item as it was before its first tracked change, as revision
+   * 1. No-op once the item has any revision.
+   */
+  async createBaseline(content_type, content_id, snapshot, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO content_revisions (content_type, content_id, revision, action, snapshot)
+        VALUES ($1, $2, 1, 'baseline', $3)
+        ON CONFLICT (content_type, content_id, revision) DO NOTHING
+      `,
+      values: [content_type, content_id, JSON.stringify(snapshot)],
+    };
+    await client.query(query);
+  }
+
+  /**
+   * Revisions of an item, newest first, without their snapshots
+   * @param {object} pagination - { page, limit }
+   */
+  async findByContent(content_type, content_id, pagination = {}, client = pool) {
+    const { page = 1, limit = 20 } = pagination;
+    const offset = (page - 1) * limit;
+
+    const query = {
+      text: `
+        SELECT ${LIST_COLUMNS}
+        FROM content_revisions r
+        LEFT JOIN users u ON u.id = r.author_id
+        WHERE r.content_type = $1 AND r.content_id = $2
+        ORDER BY r.revision DESC
+        LIMIT $3 OFFSET $4
+      `,
+      values: [content_type, content_id, limit, offset],
+    };
+    const countQuery = {
+      text: `
+        SELECT COUNT(*) AS total
+        FROM content_revisions
+        WHERE content_type = $1 AND content_id = $2
+      `,
+      values: [content_type, content_id],
+    };
+
+    const [dataResult, countResult] = await Promise.all([
+      client.query(query),
+      client.query(countQuery),
+    ]);
+
+    const totalItems = parseInt(countResult.rows[0].total, 10);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    };
+  }
+
+  /**
+   * One revision with its snapshot
+   */
+  async findOne(content_type, content_id, revision, client = pool) {
+    const query = {
+      text: `
+        SELECT ${LIST_COLUMNS}, r.snapshot
+        FROM content_revisions r
+        LEFT JOIN users u ON u.id = r.author_id
+        WHERE r.content_type = $1 AND r.content_id = $2 AND r.revision = $3
+      `,
+      values: [content_type, content_id, revision],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  async removeByContent(content_type, content_id, client = pool) {
+    const { rowCount } = await client.query({
+      text: `DELETE FROM content_revisions WHERE content_type = $1 AND content_id = $2`,
+      values: [content_type, content_id],
+    });
+    return rowCount;
+  }
+}
+
+module.exports = new ContentRevisionsRepository();
@@ -0,0 +1,113 @@
+// repositories/content_translations.repository.js
+const pool = require("../config/db");
+
+// translation table of each content type (migration 014)
+const TABLES = {
+  news: {
+    table: "news_translations",
+    key: "news_id",
+    base: "news",
+    fields: ["title", "content", "slug", "seo_metadata"],
+  },
+  articles: {
+    table: "article_translations",
+    key: "article_id",
+    base: "articles",
+    fields: ["title", "content", "slug", "seo_metadata"],
+  },
+  events: {
+    table: "event_translations",
+    key: "event_id",
+    base: "events",
+    fields: ["name", "description", "location", "slug", "seo_metadata"],
+  },
+  temple_features: {
+    table: "temple_feature_translations",
+    key: "feature_id",
+    base: "temple_features",
+    fields: ["name", "description"],
+  },
+};
+
+const JSON_FIELDS = new Set(["seo_metadata"]);
+
+class ContentTranslationsRepository {
+  /**
+   * Every translation of the given items
+   * @param {string} type - key of TABLES
+   * @param {number[]} ids
+   * @returns {Promise<object[]>} rows with item_id, locale and the text fields
+   */
+  async findByItems(type, ids, client = pool) {
+    if (!ids.length) return [];
+    const { table, key, fields } = TABLES[type];
+
+    const { rows } = await client.query({
+      text: `
+        SELECT ${key} AS item_id, locale, ${fields.join(", ")}, updated_at
+        FROM ${table}
+        WHERE ${key} = ANY($1::int[])
+        ORDER BY ${key}, locale
+      `,
+      values: [ids],
+    });
+    return rows;
+  }
+
+  /**
+   * Item and locale a slug belongs to, looking at base slugs and
+   * translated slugs alike
+   * @returns {Promise<{ item_id: number, locale: string }|null>}
+   */
+  async findSlugOwner(type, slug, client = pool) {
+    const { table, key, base } = TABLES[type];
+
+    const { rows } = await client.query({
+      text: `
+        SELECT id AS item_id, default_locale AS locale FROM ${base} WHERE slug = $1
+        UNION ALL
+        SELECT ${key} AS item_id, locale FROM ${table} WHERE slug = $1
+        LIMIT 1
+      `,
+      values: [slug],
+    });
+    return rows[0] || null;
+  }
+
+  /**
+   * Create or replace the translation of an item in one locale
+   * @param {object} fields - values for TABLES[type].fields
+   */
+  async upsert(type, itemId, locale, fields, client = pool) {
+    const { table, key, fields: columns } = TABLES[type];
+    const values = columns.map((column) => {
+      const value = fields[column] ?? null;
+      return JSON_FIELDS.has(column) && value !== null ? JSON.stringify(value) : value;
+    });
+
+    const { rows } = await client.query({
+      text: `
+        INSERT INTO ${table} (${key}, locale, ${columns.join(", ")})
+        VALUES ($1, $2, ${columns.map((_, idx) => `$${idx + 3}`).join(", ")})
+        ON CONFLICT (${key}, locale) DO UPDATE SET
+          ${columns.map((column) => `${column} = EXCLUDED.${column}`).join(", ")},
+          updated_at = NOW()
+        RETURNING ${key} AS item_id, locale, ${columns.join(", ")}, updated_at
+      `,
+      values: [itemId, locale, ...values],
+    });
+    return rows[0];
+  }
+
+  async remove(type, itemId, locale, client = pool) {
+    const { table, key } = TABLES[type];
+    const { rowCount } = await client.query({
+      text: `DELETE FROM ${table} WHERE ${key} = $1 AND locale = $2`,
+      values: [itemId, locale],
+    });
+    return rowCount > 0;
+  }
+}
+
+module.exports = new ContentTranslationsRepository();
+module.exports.TABLES = TABLES;
@@ -0,0 +1,42 @@
+const pool = require("../config/db");
+
+class CoordinateRecordsRepository {
+  /**
+   * Remember which user sent a coordinate stored in Hyperbase
+   * @param {string} userId - user or guest id
+   * @param {string} clientId
+   * @param {string|null} recordId - Hyperbase record _id
+   */
+  async create(userId, clientId, recordId, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO coordinate_records (user_id, client_id, record_id)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `,
+      values: [userId, clientId, recordId],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Hand all of one user's coordinates to another
+   * (e.g. a guest upgrading to an account)
+   * @returns {Promise<number>} records moved
+   */
+  async reassign(fromUserId, toUserId, client = pool) {
+    const query = {
+      text: `
+        UPDATE coordinate_records
+        SET user_id = $2
+        WHERE user_id = $1
+      `,
+      values: [fromUserId, toUserId],
+    };
+    const { rowCount } = await client.query(query);
+    return rowCount;
+  }
+}
+
+module.exports = new CoordinateRecordsRepository();
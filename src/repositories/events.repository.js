@@ -2,7 +2,15 @@ const pool = require("../config/db");
 
 class EventsRepository {
   async findAll(filters = {}, pagination = {}, client = pool) {
-    const { status, type, location, start_date, end_date } = filters;
+    const {
+      status,
+      workflow_status,
+      type,
+      location,
+      start_date,
+      end_date,
+      includeUnpublished = false
+    } = filters;
     const { page = 1, limit = 10 } = pagination;
     
     // Build dynamic WHERE clause
@@ -10,6 +18,14 @@ class EventsRepository {
     const values = [];
     let idx = 1;
 
+    // only published events are public; editors also see the workflow states
+    if (!includeUnpublished) {
+      whereConditions.push(`workflow_status = 'published'`);
+    }
+    if (workflow_status) {
+      whereConditions.push(`workflow_status = $${idx++}`);
+      values.push(workflow_status);
+    }
     if (status) {
       whereConditions.push(`status = $${idx++}`);
       values.push(status);
@@ -41,7 +57,7 @@ class EventsRepository {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
         ${whereClause}
         ORDER BY start_date ASC
@@ -82,7 +98,7 @@ class EventsRepository {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
         WHERE id = $1 
         LIMIT 1
@@ -93,14 +109,18 @@ class EventsRepository {
     return rows[0] || null;
   }
 
-  async findBySlug(slug, client = pool) {
+  // Matches the base slug or a translated one (event_translations).
+  // By default, only published events.
+  async findBySlug(slug, { includeUnpublished = false } = {}, client = pool) {
     const query = {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
-        WHERE slug = $1 AND status != 'canceled'
+        WHERE (slug = $1 OR id = (SELECT event_id FROM event_translations WHERE slug = $1))
+          AND status != 'canceled'
+          ${includeUnpublished ? "" : "AND workflow_status = 'published'"}
         LIMIT 1
       `,
       values: [slug],
@@ -121,19 +141,23 @@ class EventsRepository {
       thumbnail_image_url,
       slug,
       status,
-      seo_metadata
+      seo_metadata,
+      default_locale,
+      workflow_status,
+      created_by
     } = data;
 
     const query = {
       text: `
         INSERT INTO events (
           name, description, type, start_date, end_date, location, 
-          image_url, thumbnail_image_url, slug, status, seo_metadata
+          image_url, thumbnail_image_url, slug, status, seo_metadata, default_locale,
+          workflow_status, created_by
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
         RETURNING id, name, description, type, start_date, end_date, location, 
                   image_url, thumbnail_image_url, slug, status, views_count, 
-                  seo_metadata, created_at, updated_at
+                  seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
       `,
       values: [
         name,
@@ -146,7 +170,10 @@ class EventsRepository {
         thumbnail_image_url,
         slug,
         status,
-        seo_metadata ? JSON.stringify(seo_metadata) : null
+        seo_metadata ? JSON.stringify(seo_metadata) : null,
+        default_locale,
+        workflow_status,
+        created_by || null
       ],
     };
     const { rows } = await client.query(query);
@@ -232,7 +259,7 @@ class EventsRepository {
         WHERE id = $${idx}
         RETURNING id, name, description, type, start_date, end_date, location, 
                   image_url, thumbnail_image_url, slug, status, views_count, 
-                  seo_metadata, created_at, updated_at
+                  seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
       `,
       values: [...values, id],
     };
@@ -248,7 +275,7 @@ class EventsRepository {
         WHERE id = $1
         RETURNING id, name, description, type, start_date, end_date, location, 
                   image_url, thumbnail_image_url, slug, status, views_count, 
-                  seo_metadata, created_at, updated_at
+                  seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
       `,
       values: [id],
     };
@@ -270,7 +297,7 @@ class EventsRepository {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
         WHERE status = $1
         ORDER BY start_date ASC
@@ -287,9 +314,9 @@ class EventsRepository {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
-        WHERE status = 'upcoming' AND start_date > NOW()
+        WHERE status = 'upcoming' AND start_date > NOW() AND workflow_status = 'published'
         ORDER BY start_date ASC
         LIMIT $1
       `,
@@ -304,9 +331,9 @@ class EventsRepository {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
-        WHERE start_date >= $1 AND start_date <= $2
+        WHERE start_date >= $1 AND start_date <= $2 AND workflow_status = 'published'
         AND status != 'canceled'
         ORDER BY start_date ASC
       `,
@@ -321,9 +348,9 @@ class EventsRepository {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
-        WHERE location ILIKE $1 AND status != 'canceled'
+        WHERE location ILIKE $1 AND status != 'canceled' AND workflow_status = 'published'
         ORDER BY start_date ASC
         LIMIT $2
       `,
@@ -338,9 +365,9 @@ class EventsRepository {
       text: `
         SELECT id, name, description, type, start_date, end_date, location, 
                image_url, thumbnail_image_url, slug, status, views_count, 
-               seo_metadata, created_at, updated_at
+               seo_metadata, workflow_status, default_locale, created_by, created_at, updated_at
         FROM events 
-        WHERE status != 'canceled'
+        WHERE status != 'canceled' AND workflow_status = 'published'
         ORDER BY views_count DESC
         LIMIT $1
       `,
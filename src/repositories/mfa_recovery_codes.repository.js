@@ -0,0 +1,65 @@
+const pool = require("../config/db");
+
+class MfaRecoveryCodesRepository {
+  /**
+   * Replace every recovery code of a user with a new set
+   * @param {string} user_id - UUID
+   * @param {string[]} code_hashes - SHA-256 hex digests
+   * @param {object} client - Optional pg client/transaction
+   */
+  async replaceCodes(user_id, code_hashes, client = pool) {
+    await this.deleteByUser(user_id, client);
+
+    const query = {
+      text: `
+        INSERT INTO mfa_recovery_codes (user_id, code_hash)
+        SELECT $1, UNNEST($2::text[])
+      `,
+      values: [user_id, code_hashes],
+    };
+    await client.query(query);
+  }
+
+  /**
+   * Burn an unused code. Returns null when no unused code matches.
+   */
+  async consume(user_id, code_hash, client = pool) {
+    const query = {
+      text: `
+        UPDATE mfa_recovery_codes
+        SET used_at = NOW()
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        RETURNING *
+      `,
+      values: [user_id, code_hash],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  async countUnused(user_id, client = pool) {
+    const query = {
+      text: `
+        SELECT COUNT(*)::int AS count
+        FROM mfa_recovery_codes
+        WHERE user_id = $1 AND used_at IS NULL
+      `,
+      values: [user_id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0].count;
+  }
+
+  async deleteByUser(user_id, client = pool) {
+    const query = {
+      text: `
+        DELETE FROM mfa_recovery_codes
+        WHERE user_id = $1
+      `,
+      values: [user_id],
+    };
+    await client.query(query);
+  }
+}
+
+module.exports = new MfaRecoveryCodesRepository();
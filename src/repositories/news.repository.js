@@ -1,8 +1,12 @@
 const pool = require("../config/db");
 
+// published and not past unpublish_at; expired rows stay hidden until the
+// scheduler gets to archive them
+const PUBLISHED = "status = 'published' AND (unpublish_at IS NULL OR unpublish_at > NOW())";
+
 class NewsRepository {
   async findAll(filters = {}, pagination = {}, client = pool) {
-    const { status, author } = filters;
+    const { status, author, includeUnpublished = false } = filters;
     const { page = 1, limit = 10 } = pagination;
     
     // Build dynamic WHERE clause
@@ -10,6 +14,10 @@ class NewsRepository {
     const values = [];
     let idx = 1;
 
+    // only published news is public; editors also see the workflow states
+    if (!includeUnpublished) {
+      whereConditions.push(`(${PUBLISHED})`);
+    }
     if (status) {
       whereConditions.push(`status = $${idx++}`);
       values.push(status);
@@ -28,7 +36,7 @@ class NewsRepository {
     const query = {
       text: `
         SELECT id, title, content, publication_date, image_url, thumbnail_image_url, 
-               slug, author, status, views_count, seo_metadata, created_at, updated_at
+               slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM news 
         ${whereClause}
         ORDER BY created_at DESC
@@ -68,7 +76,7 @@ class NewsRepository {
     const query = {
       text: `
         SELECT id, title, content, publication_date, image_url, thumbnail_image_url, 
-               slug, author, status, views_count, seo_metadata, created_at, updated_at
+               slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM news 
         WHERE id = $1 
         LIMIT 1
@@ -79,13 +87,16 @@ class NewsRepository {
     return rows[0] || null;
   }
 
-  async findBySlug(slug, client = pool) {
+  // Matches the base slug or a translated one (news_translations).
+  // By default, only published news.
+  async findBySlug(slug, { includeUnpublished = false } = {}, client = pool) {
     const query = {
       text: `
         SELECT id, title, content, publication_date, image_url, thumbnail_image_url, 
-               slug, author, status, views_count, seo_metadata, created_at, updated_at
+               slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM news 
-        WHERE slug = $1 AND status = 'published'
+        WHERE (slug = $1 OR id = (SELECT news_id FROM news_translations WHERE slug = $1))
+          ${includeUnpublished ? "" : `AND ${PUBLISHED}`}
         LIMIT 1
       `,
       values: [slug],
@@ -104,18 +115,21 @@ class NewsRepository {
       slug,
       author,
       status,
-      seo_metadata
+      seo_metadata,
+      default_locale,
+      unpublish_at,
+      created_by
     } = data;
 
     const query = {
       text: `
         INSERT INTO news (
           title, content, publication_date, image_url, thumbnail_image_url, 
-          slug, author, status, seo_metadata
+          slug, author, status, seo_metadata, default_locale, unpublish_at, created_by
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
         RETURNING id, title, content, publication_date, image_url, thumbnail_image_url, 
-                  slug, author, status, views_count, seo_metadata, created_at, updated_at
+                  slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       `,
       values: [
         title,
@@ -126,7 +140,10 @@ class NewsRepository {
         slug,
         author,
         status,
-        seo_metadata ? JSON.stringify(seo_metadata) : null
+        seo_metadata ? JSON.stringify(seo_metadata) : null,
+        default_locale,
+        unpublish_at || null,
+        created_by || null
       ],
     };
     const { rows } = await client.query(query);
@@ -143,7 +160,8 @@ class NewsRepository {
       slug,
       author,
       status,
-      seo_metadata
+      seo_metadata,
+      unpublish_at
     } = data;
 
     // Build dynamic parts
@@ -187,6 +205,10 @@ class NewsRepository {
       fields.push(`seo_metadata = $${idx++}`);
       values.push(seo_metadata ? JSON.stringify(seo_metadata) : null);
     }
+    if (unpublish_at !== undefined) {
+      fields.push(`unpublish_at = $${idx++}`);
+      values.push(unpublish_at);
+    }
 
     // Always update updated_at
     fields.push(`updated_at = CURRENT_TIMESTAMP`);
@@ -201,7 +223,7 @@ class NewsRepository {
         SET ${fields.join(", ")}
         WHERE id = $${idx}
         RETURNING id, title, content, publication_date, image_url, thumbnail_image_url, 
-                  slug, author, status, views_count, seo_metadata, created_at, updated_at
+                  slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       `,
       values: [...values, id],
     };
@@ -216,7 +238,7 @@ class NewsRepository {
         SET views_count = views_count + 1, updated_at = CURRENT_TIMESTAMP
         WHERE id = $1
         RETURNING id, title, content, publication_date, image_url, thumbnail_image_url, 
-                  slug, author, status, views_count, seo_metadata, created_at, updated_at
+                  slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
       `,
       values: [id],
     };
@@ -237,7 +259,7 @@ class NewsRepository {
     const query = {
       text: `
         SELECT id, title, content, publication_date, image_url, thumbnail_image_url, 
-               slug, author, status, views_count, seo_metadata, created_at, updated_at
+               slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM news 
         WHERE status = $1
         ORDER BY created_at DESC
@@ -253,9 +275,9 @@ class NewsRepository {
     const query = {
       text: `
         SELECT id, title, content, publication_date, image_url, thumbnail_image_url, 
-               slug, author, status, views_count, seo_metadata, created_at, updated_at
+               slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM news 
-        WHERE status = 'published'
+        WHERE ${PUBLISHED}
         ORDER BY publication_date DESC
         LIMIT $1
       `,
@@ -269,9 +291,9 @@ class NewsRepository {
     const query = {
       text: `
         SELECT id, title, content, publication_date, image_url, thumbnail_image_url, 
-               slug, author, status, views_count, seo_metadata, created_at, updated_at
+               slug, author, status, views_count, seo_metadata, unpublish_at, default_locale, created_by, created_at, updated_at
         FROM news 
-        WHERE status = 'published'
+        WHERE ${PUBLISHED}
         ORDER BY views_count DESC
         LIMIT $1
       `,
@@ -280,6 +302,36 @@ class NewsRepository {
     const { rows } = await client.query(query);
     return rows;
   }
+
+  // Scheduled news whose publication_date has come -> published
+  async publishDue(client = pool) {
+    const { rows } = await client.query(`
+      UPDATE news
+      SET status = 'published', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM news
+        WHERE status = 'scheduled' AND publication_date <= NOW()
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, title, slug, publication_date, unpublish_at
+    `);
+    return rows;
+  }
+
+  // Published news past its unpublish_at -> archived
+  async unpublishExpired(client = pool) {
+    const { rows } = await client.query(`
+      UPDATE news
+      SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM news
+        WHERE status = 'published' AND unpublish_at <= NOW()
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, title, slug, publication_date, unpublish_at
+    `);
+    return rows;
+  }
 }
 
 module.exports = new NewsRepository();
\ No newline at end of file
@@ -1,14 +1,35 @@
 const pool = require("../config/db");
 
 class RefreshTokensRepository {
-  async createRefreshToken(user_id, token_hash, expires_at, client = pool) {
+  /**
+   * Store a refresh token as a device session.
+   * token_hash is the SHA-256 of the token; family_id groups every
+   * token rotated from the same login.
+   * @param {object} data - { user_id, token_hash, family_id, expires_at, user_agent, ip_address, device_name, amr }
+   * @param {object} client
+   */
+  async createRefreshToken(data, client = pool) {
+    const {
+      user_id,
+      token_hash,
+      family_id,
+      expires_at,
+      user_agent = null,
+      ip_address = null,
+      device_name = null,
+      amr = null,
+    } = data;
+
     const query = {
       text: `
-        INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
-        VALUES ($1, $2, $3)
+        INSERT INTO refresh_tokens (
+          user_id, token_hash, family_id, expires_at,
+          user_agent, ip_address, device_name, amr, last_used_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
         RETURNING *
       `,
-      values: [user_id, token_hash, expires_at],
+      values: [user_id, token_hash, family_id, expires_at, user_agent, ip_address, device_name, amr],
     };
     const { rows } = await client.query(query);
     return rows[0];
@@ -27,6 +48,54 @@ class RefreshTokensRepository {
     return rows[0] || null;
   }
 
+  /**
+   * Find a token by hash whatever its state, locking the row so two
+   * concurrent refreshes with the same token are serialized.
+   */
+  async findByTokenHashForUpdate(token_hash, client) {
+    const query = {
+      text: `
+        SELECT * FROM refresh_tokens
+        WHERE token_hash = $1
+        LIMIT 1
+        FOR UPDATE
+      `,
+      values: [token_hash],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Revoke a token because it was exchanged for a new one
+   */
+  async markRotated(id, client) {
+    const query = {
+      text: `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW(), rotated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  async revokeFamily(family_id, client = pool) {
+    const query = {
+      text: `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE family_id = $1 AND revoked_at IS NULL
+      `,
+      values: [family_id],
+    };
+    const { rowCount } = await client.query(query);
+    return rowCount;
+  }
+
   async revokeToken(id, client) {
     const query = {
       text: `
@@ -53,11 +122,44 @@ class RefreshTokensRepository {
     await client.query(query);
   }
 
+  /**
+   * Revoke a session (token family) owned by the user
+   */
+  async revokeSessionForUser(family_id, user_id, client = pool) {
+    const query = {
+      text: `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL
+        RETURNING *
+      `,
+      values: [family_id, user_id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  async revokeAllForUserExcept(user_id, except_family_id, client = pool) {
+    const query = {
+      text: `
+        UPDATE refresh_tokens
+        SET revoked_at = NOW()
+        WHERE user_id = $1 AND family_id <> $2 AND revoked_at IS NULL
+      `,
+      values: [user_id, except_family_id],
+    };
+    const { rowCount } = await client.query(query);
+    return rowCount;
+  }
+
   async findAllValidByUser(user_id, client = pool) {
     const query = {
       text: `
-      SELECT * FROM refresh_tokens
+      SELECT id, family_id, user_id, user_agent, ip_address, device_name,
+             last_used_at, expires_at, created_at
+      FROM refresh_tokens
       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_used_at DESC NULLS LAST
     `,
       values: [user_id],
     };
@@ -65,6 +167,17 @@ class RefreshTokensRepository {
     return rows;
   }
 
+  async deleteAllForUser(user_id, client = pool) {
+    const query = {
+      text: `
+        DELETE FROM refresh_tokens
+        WHERE user_id = $1
+      `,
+      values: [user_id],
+    };
+    await client.query(query);
+  }
+
   async deleteExpiredTokens(client = pool) {
     const query = {
       text: `
@@ -72,7 +185,8 @@ class RefreshTokensRepository {
         WHERE expires_at <= NOW()
       `,
     };
-    await client.query(query);
+    const { rowCount } = await client.query(query);
+    return rowCount;
   }
 }
 
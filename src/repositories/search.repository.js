@@ -0,0 +1,144 @@
+// repositories/search.repository.js
+const pool = require("../config/db");
+
+/**
+ * Text query for the search_vector columns (migration 013): websearch
+ * syntax ("quoted phrase", -exclude, or) stemmed both ways, to match the
+ * Indonesian and English lexemes stored for every row.
+ * @param {string} param - placeholder holding the raw query, e.g. "$1"
+ */
+const toTsQuery = (param) =>
+  `(websearch_to_tsquery('indonesian', ${param}) || websearch_to_tsquery('english', ${param}))`;
+
+// One branch per content type, shaped alike for the UNION.
+// Only what the public endpoints show: published news, articles and events
+// (news and articles not yet past their unpublish_at).
+const SOURCES = {
+  news: {
+    table: "news",
+    title: "title",
+    body: "content",
+    date: "publication_date",
+    visible: "status = 'published' AND (unpublish_at IS NULL OR unpublish_at > NOW())",
+  },
+  articles: {
+    table: "articles",
+    title: "title",
+    body: "content",
+    date: "publication_date",
+    visible: "status = 'published' AND (unpublish_at IS NULL OR unpublish_at > NOW())",
+  },
+  events: {
+    table: "events",
+    title: "name",
+    body: "description",
+    date: "start_date",
+    visible: "workflow_status = 'published'",
+  },
+};
+
+const SEARCH_TYPES = Object.freeze(Object.keys(SOURCES));
+
+class SearchRepository {
+  /**
+   * Ranked matches across content types with highlighted snippets
+   * @param {object} params
+   * @param {string} params.q
+   * @param {string[]} [params.types] - subset of SEARCH_TYPES, default all
+   * @param {string|Date} [params.date_from] - publication (events: start) date
+   * @param {string|Date} [params.date_to]
+   * @param {string} [params.headlineConfig] - text search config used to
+   *   find the words to highlight, e.g. "english"
+   * @param {object} pagination - { page, limit }
+   * @returns {Promise<{ data: object[], counts: object, pagination: object }>}
+   */
+  async search(
+    { q, types = SEARCH_TYPES, date_from, date_to, headlineConfig = "indonesian" },
+    pagination = {},
+    client = pool
+  ) {
+    const { page = 1, limit = 10 } = pagination;
+
+    const values = [q];
+    let i = 2;
+
+    const dateFromParam = date_from ? `$${i++}` : null;
+    if (date_from) values.push(date_from);
+    const dateToParam = date_to ? `$${i++}` : null;
+    if (date_to) values.push(date_to);
+
+    const branches = types.map((type) => {
+      const source = SOURCES[type];
+      const where = [`search_vector @@ query.tsq`];
+      if (source.visible) where.push(source.visible);
+      if (dateFromParam) where.push(`${source.date} >= ${dateFromParam}`);
+      if (dateToParam) where.push(`${source.date} <= ${dateToParam}`);
+
+      return `
+        SELECT '${type}' AS type, id, ${source.title} AS title, slug,
+               ${source.date} AS date, thumbnail_image_url,
+               ${source.body} AS body,
+               ts_rank(search_vector, query.tsq) AS rank
+        FROM ${source.table}, query
+        WHERE ${where.join(" AND ")}
+      `;
+    });
+
+    const hits = `
+      WITH query AS (SELECT ${toTsQuery("$1")} AS tsq),
+      hits AS (${branches.join(" UNION ALL ")})
+    `;
+    const offset = (page - 1) * limit;
+
+    // snippets are only built for the page being returned
+    const query = {
+      text: `
+        ${hits}
+        SELECT type, id, title, slug, date, thumbnail_image_url, rank,
+               ts_headline($${i++}::regconfig, coalesce(body, ''), (SELECT tsq FROM query),
+                 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10') AS snippet
+        FROM (
+          SELECT * FROM hits
+          ORDER BY rank DESC, date DESC, id DESC
+          LIMIT $${i++} OFFSET $${i++}
+        ) page
+        ORDER BY rank DESC, date DESC, id DESC
+      `,
+      values: [...values, headlineConfig, limit, offset],
+    };
+
+    const countQuery = {
+      text: `${hits} SELECT type, COUNT(*) AS total FROM hits GROUP BY type`,
+      values,
+    };
+
+    const [dataResult, countResult] = await Promise.all([
+      client.query(query),
+      client.query(countQuery),
+    ]);
+
+    const counts = Object.fromEntries(types.map((type) => [type, 0]));
+    for (const row of countResult.rows) {
+      counts[row.type] = parseInt(row.total, 10);
+    }
+    const totalItems = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      data: dataResult.rows,
+      counts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    };
+  }
+}
+
+module.exports = new SearchRepository();
+module.exports.SEARCH_TYPES = SEARCH_TYPES;
+module.exports.toTsQuery = toTsQuery;
@@ -0,0 +1,135 @@
+const pool = require("../config/db");
+
+// a row is in exactly one of these states
+const STATUS_CONDITIONS = {
+  pending: "accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()",
+  accepted: "accepted_at IS NOT NULL",
+  revoked: "revoked_at IS NOT NULL",
+  expired: "accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()",
+};
+
+class StaffInvitationsRepository {
+  /**
+   * Create an invitation
+   * @param {object} data - { email, role, token_hash, invited_by, expires_at }
+   * @param {object} client - Optional pg client/transaction
+   */
+  async create(data, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO staff_invitations (email, role, token_hash, invited_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `,
+      values: [
+        data.email,
+        data.role,
+        data.token_hash,
+        data.invited_by || null,
+        data.expires_at,
+      ],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * List invitations, newest first
+   * @param {{ status?: string }} filters - pending, accepted, revoked or expired
+   */
+  async findAll({ status } = {}, client = pool) {
+    const query = {
+      text: `
+        SELECT i.*, u.email AS invited_by_email
+        FROM staff_invitations i
+        LEFT JOIN users u ON u.id = i.invited_by
+        ${STATUS_CONDITIONS[status] ? `WHERE ${STATUS_CONDITIONS[status]}` : ""}
+        ORDER BY i.created_at DESC
+      `,
+    };
+    const { rows } = await client.query(query);
+    return rows;
+  }
+
+  async findById(id, client = pool) {
+    const query = {
+      text: `SELECT * FROM staff_invitations WHERE id = $1`,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Pending invitation matching a token hash, locked for the rest of the
+   * transaction so it can only be accepted once
+   * @param {string} token_hash - SHA-256 hex digest
+   */
+  async findPendingByHash(token_hash, client = pool) {
+    const query = {
+      text: `
+        SELECT *
+        FROM staff_invitations
+        WHERE token_hash = $1 AND ${STATUS_CONDITIONS.pending}
+        LIMIT 1
+        FOR UPDATE
+      `,
+      values: [token_hash],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Revoke the pending invitations of an email (superseded by a new one)
+   */
+  async revokePendingByEmail(email, client = pool) {
+    const query = {
+      text: `
+        UPDATE staff_invitations
+        SET revoked_at = NOW(), updated_at = NOW()
+        WHERE LOWER(email) = LOWER($1)
+          AND accepted_at IS NULL
+          AND revoked_at IS NULL
+        RETURNING *
+      `,
+      values: [email],
+    };
+    const { rows } = await client.query(query);
+    return rows;
+  }
+
+  async markAccepted(id, userId, client = pool) {
+    const query = {
+      text: `
+        UPDATE staff_invitations
+        SET accepted_at = NOW(), accepted_by = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `,
+      values: [id, userId],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Revoke an invitation that hasn't been accepted yet
+   * @returns {Promise<object|null>} null when not found or already accepted/revoked
+   */
+  async revoke(id, client = pool) {
+    const query = {
+      text: `
+        UPDATE staff_invitations
+        SET revoked_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+        RETURNING *
+      `,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+}
+
+module.exports = new StaffInvitationsRepository();
@@ -34,7 +34,7 @@ class TempleFeaturesRepository {
 
     const query = {
       text: `
-        SELECT f.id, f.type, f.name, f.description, f.image_url, f.rating,
+        SELECT f.id, f.type, f.name, f.description, f.image_url, f.rating, f.default_locale,
                ST_AsGeoJSON(n.geom)::json AS geom
         FROM temple_features f
         JOIN temple_nodes n ON f.node_id = n.id
@@ -111,6 +111,7 @@ class TempleFeaturesRepository {
              f.name,
              f.description,
              f.image_url,
+             f.default_locale,
              ST_AsGeoJSON(n.geom)::json AS geom,
              ST_DistanceSphere(
                n.geom,
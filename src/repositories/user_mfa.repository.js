@@ -0,0 +1,87 @@
+const pool = require("../config/db");
+
+class UserMfaRepository {
+  async findByUser(user_id, client = pool) {
+    const query = {
+      text: `
+        SELECT *
+        FROM user_mfa
+        WHERE user_id = $1
+      `,
+      values: [user_id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Start (or restart) enrollment with a new, not yet enabled secret
+   * @param {string} user_id - UUID
+   * @param {string} totp_secret - base32 secret
+   * @param {object} client - Optional pg client/transaction
+   */
+  async upsertPendingSecret(user_id, totp_secret, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO user_mfa (user_id, totp_secret)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id) DO UPDATE SET
+          totp_secret = EXCLUDED.totp_secret,
+          enabled_at = NULL,
+          last_used_step = NULL,
+          updated_at = NOW()
+        RETURNING *
+      `,
+      values: [user_id, totp_secret],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  async enable(user_id, last_used_step, client = pool) {
+    const query = {
+      text: `
+        UPDATE user_mfa
+        SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+        WHERE user_id = $1
+        RETURNING *
+      `,
+      values: [user_id, last_used_step],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Remember the last accepted time step so a code can't be replayed.
+   * Only moves forward; returns null if the step was already used.
+   */
+  async markStepUsed(user_id, step, client = pool) {
+    const query = {
+      text: `
+        UPDATE user_mfa
+        SET last_used_step = $2, updated_at = NOW()
+        WHERE user_id = $1
+          AND (last_used_step IS NULL OR last_used_step < $2)
+        RETURNING *
+      `,
+      values: [user_id, step],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  async deleteByUser(user_id, client = pool) {
+    const query = {
+      text: `
+        DELETE FROM user_mfa
+        WHERE user_id = $1
+      `,
+      values: [user_id],
+    };
+    const { rowCount } = await client.query(query);
+    return rowCount;
+  }
+}
+
+module.exports = new UserMfaRepository();
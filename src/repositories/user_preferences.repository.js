@@ -0,0 +1,73 @@
+const pool = require("../config/db");
+
+const COLUMNS = ["language", "units", "accessibility", "routing_profile", "notifications"];
+
+class UserPreferencesRepository {
+  async findByUser(userId, client = pool) {
+    const query = {
+      text: `SELECT * FROM user_preferences WHERE user_id = $1`,
+      values: [userId],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Create or update a user's preferences. Only the given fields change;
+   * notifications are merged into the stored opt-ins.
+   * @param {string} userId
+   * @param {object} fields - { language, units, accessibility, routing_profile, notifications }
+   */
+  async upsert(userId, fields, client = pool) {
+    const columns = COLUMNS.filter((column) => fields[column] !== undefined);
+    const values = [userId, ...columns.map((column) => fields[column])];
+
+    const updates = columns.map((column) =>
+      column === "notifications"
+        ? "notifications = user_preferences.notifications || EXCLUDED.notifications"
+        : `${column} = EXCLUDED.${column}`
+    );
+
+    const query = {
+      text: `
+        INSERT INTO user_preferences (user_id${columns.map((c) => `, ${c}`).join("")})
+        VALUES ($1${columns.map((_, i) => `, $${i + 2}`).join("")})
+        ON CONFLICT (user_id) DO UPDATE
+        SET ${[...updates, "updated_at = NOW()"].join(", ")}
+        RETURNING *
+      `,
+      values,
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Hand one user's preferences to another who has none saved yet
+   * (e.g. a guest upgrading to an account)
+   * @returns {Promise<boolean>} whether a row was moved
+   */
+  async reassign(fromUserId, toUserId, client = pool) {
+    const query = {
+      text: `
+        UPDATE user_preferences
+        SET user_id = $2, updated_at = NOW()
+        WHERE user_id = $1
+          AND NOT EXISTS (SELECT 1 FROM user_preferences WHERE user_id = $2)
+      `,
+      values: [fromUserId, toUserId],
+    };
+    const { rowCount } = await client.query(query);
+    return rowCount > 0;
+  }
+
+  async deleteByUser(userId, client = pool) {
+    const query = {
+      text: `DELETE FROM user_preferences WHERE user_id = $1`,
+      values: [userId],
+    };
+    await client.query(query);
+  }
+}
+
+module.exports = new UserPreferencesRepository();
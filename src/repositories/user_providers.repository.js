@@ -61,6 +61,14 @@ class UserProvidersRepository {
     };
     await client.query(query);
   }
+
+  async deleteProvidersByUser(user_id, client = pool) {
+    const query = {
+      text: `DELETE FROM user_providers WHERE user_id = $1`,
+      values: [user_id],
+    };
+    await client.query(query);
+  }
 }
 
 module.exports = new UserProvidersRepository();
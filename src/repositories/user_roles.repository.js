@@ -24,6 +24,17 @@ class UserRolesRepository {
     await client.query(query);
   }
 
+  async removeAllRoles(user_id, client = pool) {
+    const query = {
+      text: `
+        DELETE FROM user_roles
+        WHERE user_id = $1
+      `,
+      values: [user_id],
+    };
+    await client.query(query);
+  }
+
   async getUserRoles(user_id, client = pool) {
     const query = {
       text: `
@@ -22,6 +22,51 @@ async createUser(email, name = null, avatar_url = null, password_hash = null, is
   return rows[0];
 }
 
+  /**
+   * Create an anonymous guest account (no email or password)
+   */
+  async createGuest(client = pool) {
+    const query = {
+      text: `
+        INSERT INTO users (is_guest)
+        VALUES (true)
+        RETURNING *
+      `,
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Guests older than `days` without a live session, locked so concurrent
+   * cleanups skip each other's rows
+   * @param {number} days
+   * @param {number} limit
+   */
+  async findStaleGuests(days, limit, client = pool) {
+    const query = {
+      text: `
+        SELECT u.id
+        FROM users u
+        WHERE u.is_guest
+          AND u.created_at < NOW() - make_interval(days => $1)
+          AND NOT EXISTS (
+            SELECT 1
+            FROM refresh_tokens rt
+            WHERE rt.user_id = u.id
+              AND rt.revoked_at IS NULL
+              AND rt.expires_at > NOW()
+          )
+        ORDER BY u.created_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      `,
+      values: [days, limit],
+    };
+    const { rows } = await client.query(query);
+    return rows.map((row) => row.id);
+  }
+
   /**
    * Find user by email
    * @param {string} email
@@ -41,6 +86,25 @@ async createUser(email, name = null, avatar_url = null, password_hash = null, is
     return rows[0] || null;
   }
 
+  /**
+   * Find a user by email ignoring case (e.g. John@x.com vs john@x.com)
+   * @param {string} email
+   * @param {object} client
+   */
+  async findByEmailInsensitive(email, client = pool) {
+    const query = {
+      text: `
+        SELECT *
+        FROM users
+        WHERE LOWER(email) = LOWER($1)
+        LIMIT 1
+      `,
+      values: [email],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
   /**
    * Find user by id
    * @param {string} id
@@ -60,6 +124,87 @@ async createUser(email, name = null, avatar_url = null, password_hash = null, is
     return rows[0] || null;
   }
 
+  /**
+   * List users with optional search/filters and pagination
+   * @param {object} filters - { q, role, status }
+   * @param {object} pagination - { page, limit }
+   * @param {object} client
+   */
+  async findAll(filters = {}, pagination = {}, client = pool) {
+    const { q, role, status } = filters;
+    const { page = 1, limit = 20 } = pagination;
+
+    const where = [];
+    const values = [];
+    let idx = 1;
+
+    if (q) {
+      where.push(`(u.email ILIKE $${idx} OR u.name ILIKE $${idx})`);
+      values.push(`%${q}%`);
+      idx++;
+    }
+    if (role) {
+      where.push(`
+        EXISTS (
+          SELECT 1
+          FROM user_roles ur
+          INNER JOIN roles r ON r.id = ur.role_id
+          WHERE ur.user_id = u.id AND r.name = $${idx++}
+        )
+      `);
+      values.push(role);
+    }
+    // guests are only listed when asked for by role
+    if (role !== "guest") {
+      where.push(`u.is_guest = false`);
+    }
+    if (status === "active") {
+      where.push(`u.disabled_at IS NULL`);
+    } else if (status === "disabled") {
+      where.push(`u.disabled_at IS NOT NULL`);
+    }
+
+    const whereClause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const offset = (page - 1) * limit;
+
+    const query = {
+      text: `
+        SELECT u.id, u.email, u.name, u.avatar_url, u.is_email_verified,
+               u.disabled_at, u.last_login_at, u.created_at, u.updated_at
+        FROM users u
+        ${whereClause}
+        ORDER BY u.created_at DESC
+        LIMIT $${idx++} OFFSET $${idx++}
+      `,
+      values: [...values, limit, offset],
+    };
+
+    const countQuery = {
+      text: `SELECT COUNT(*) AS total FROM users u ${whereClause}`,
+      values,
+    };
+
+    const [dataResult, countResult] = await Promise.all([
+      client.query(query),
+      client.query(countQuery),
+    ]);
+
+    const totalItems = parseInt(countResult.rows[0].total, 10);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    };
+  }
+
   /**
    * Update user fields
    * @param {string} id
@@ -137,6 +282,88 @@ async createUser(email, name = null, avatar_url = null, password_hash = null, is
     return rows[0] || null;
   }
 
+  /**
+   * Store an email address awaiting confirmation (null clears it)
+   * @param {string} id
+   * @param {string|null} email
+   * @param {object} client
+   */
+  async setPendingEmail(id, email, client = pool) {
+    const query = {
+      text: `
+        UPDATE users
+        SET pending_email = $2, updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `,
+      values: [id, email],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Swap the confirmed pending email in as the account email
+   * @param {string} id
+   * @param {object} client
+   */
+  async confirmPendingEmail(id, client = pool) {
+    const query = {
+      text: `
+        UPDATE users
+        SET email = pending_email,
+            pending_email = NULL,
+            is_email_verified = true,
+            updated_at = now()
+        WHERE id = $1 AND pending_email IS NOT NULL
+        RETURNING *
+      `,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
+  /**
+   * Whether the account is disabled or no longer exists
+   * @param {string} id
+   * @param {object} client
+   * @returns {Promise<boolean>}
+   */
+  async isDisabled(id, client = pool) {
+    const query = {
+      text: `
+        SELECT disabled_at
+        FROM users
+        WHERE id = $1
+        LIMIT 1
+      `,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return !rows[0] || rows[0].disabled_at !== null;
+  }
+
+  /**
+   * Disable or re-enable an account
+   * @param {string} id
+   * @param {boolean} disabled
+   * @param {object} client
+   */
+  async setDisabled(id, disabled, client = pool) {
+    const query = {
+      text: `
+        UPDATE users
+        SET disabled_at = ${disabled ? "now()" : "NULL"}, updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0] || null;
+  }
+
   /**
    * Delete user
    * @param {string} id
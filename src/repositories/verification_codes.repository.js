@@ -63,6 +63,26 @@ class VerificationCodeRepository {
     return rows[0];
   }
 
+  /**
+   * Count a wrong guess against a code
+   * @param {number} id - id of the verification_code
+   * @param {object} client - Optional pg client/transaction
+   * @returns {Promise<object>} the updated row (with the new attempts count)
+   */
+  async incrementAttempts(id, client = pool) {
+    const query = {
+      text: `
+        UPDATE verification_codes
+        SET attempts = attempts + 1
+        WHERE id = $1
+        RETURNING *
+      `,
+      values: [id],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
   /**
    * Get a valid (not expired, not used) code by user and purpose
    * @param {string} user_id - UUID
@@ -87,6 +107,27 @@ class VerificationCodeRepository {
     return rows[0] || null;
   }
 
+  /**
+   * Invalidate every outstanding code for a user and purpose
+   * (used when a new code is issued so only the latest one works)
+   * @param {string} user_id - UUID
+   * @param {string} purpose - Purpose
+   * @param {object} client - Optional pg client/transaction
+   */
+  async invalidateCodesByUserAndPurpose(user_id, purpose, client = pool) {
+    const query = {
+      text: `
+        UPDATE verification_codes
+        SET used_at = NOW()
+        WHERE user_id = $1
+          AND purpose = $2
+          AND used_at IS NULL
+      `,
+      values: [user_id, purpose],
+    };
+    await client.query(query);
+  }
+
   /**
    * Delete all codes by user (e.g. cleanup)
    * @param {string} user_id - UUID
@@ -0,0 +1,163 @@
+// repositories/workflow.repository.js
+const pool = require("../config/db");
+
+// where each content type keeps its workflow state (migration 017)
+const TABLES = {
+  news: { table: "news", column: "status", title: "title" },
+  articles: { table: "articles", column: "status", title: "title" },
+  events: { table: "events", column: "workflow_status", title: "name" },
+};
+
+const TRANSITION_COLUMNS = `
+  t.id, t.action, t.from_status, t.to_status, t.comment,
+  t.actor_id, u.email AS actor_email, t.created_at
+`;
+
+class WorkflowRepository {
+  /**
+   * Move an item to another state, only if it is still in `from`
+   * @returns {Promise<boolean>} false when the state changed meanwhile
+   */
+  async setStatus(type, id, from, to, client = pool) {
+    const { table, column } = TABLES[type];
+    const { rowCount } = await client.query({
+      text: `
+        UPDATE ${table}
+        SET ${column} = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND ${column} = $2
+      `,
+      values: [id, from, to],
+    });
+    return rowCount > 0;
+  }
+
+  /**
+   * Record a move between states
+   * @param {object} data - { content_type, content_id, action, from_status,
+   *   to_status, comment, actor_id }
+   */
+  async createTransition(data, client = pool) {
+    const query = {
+      text: `
+        INSERT INTO workflow_transitions (
+          content_type, content_id, action, from_status, to_status, comment, actor_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, action, from_status, to_status, comment, actor_id, created_at
+      `,
+      values: [
+        data.content_type,
+        data.content_id,
+        data.action,
+        data.from_status,
+        data.to_status,
+        data.comment || null,
+        data.actor_id || null,
+      ],
+    };
+    const { rows } = await client.query(query);
+    return rows[0];
+  }
+
+  /**
+   * Transitions of an item, oldest first
+   */
+  async findTransitions(type, id, client = pool) {
+    const query = {
+      text: `
+        SELECT ${TRANSITION_COLUMNS}
+        FROM workflow_transitions t
+        LEFT JOIN users u ON u.id = t.actor_id
+        WHERE t.content_type = $1 AND t.content_id = $2
+        ORDER BY t.created_at ASC, t.id ASC
+      `,
+      values: [type, id],
+    };
+    const { rows } = await client.query(query);
+    return rows;
+  }
+
+  /**
+   * Items across content types in the given states, longest waiting first,
+   * each with its latest transition
+   * @param {object} filters
+   * @param {string[]} filters.types - keys of TABLES
+   * @param {string[]} filters.statuses
+   * @param {string} [filters.createdBy] - only items this user created
+   * @param {object} pagination - { page, limit }
+   */
+  async findQueue({ types, statuses, createdBy }, pagination = {}, client = pool) {
+    const { page = 1, limit = 20 } = pagination;
+    const values = [statuses];
+    if (createdBy) values.push(createdBy);
+
+    const branches = types.map((type) => {
+      const { table, column, title } = TABLES[type];
+      return `
+        SELECT '${type}' AS type, c.id, c.${title} AS title, c.slug,
+               c.${column} AS workflow_status, c.created_by, c.updated_at
+        FROM ${table} c
+        WHERE c.${column} = ANY($1::text[])
+          ${createdBy ? "AND c.created_by = $2" : ""}
+      `;
+    });
+    const items = `WITH items AS (${branches.join(" UNION ALL ")})`;
+    const offset = (page - 1) * limit;
+
+    const query = {
+      text: `
+        ${items}
+        SELECT i.*, u.email AS created_by_email,
+               last.action AS last_action, last.comment AS last_comment,
+               COALESCE(last.created_at, i.updated_at) AS status_since
+        FROM items i
+        LEFT JOIN users u ON u.id = i.created_by
+        LEFT JOIN LATERAL (
+          SELECT t.action, t.comment, t.created_at
+          FROM workflow_transitions t
+          WHERE t.content_type = i.type AND t.content_id = i.id
+          ORDER BY t.created_at DESC, t.id DESC
+          LIMIT 1
+        ) last ON true
+        ORDER BY status_since ASC, i.type, i.id
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `,
+      values: [...values, limit, offset],
+    };
+    const countQuery = {
+      text: `${items} SELECT COUNT(*) AS total FROM items`,
+      values,
+    };
+
+    const [dataResult, countResult] = await Promise.all([
+      client.query(query),
+      client.query(countQuery),
+    ]);
+
+    const totalItems = parseInt(countResult.rows[0].total, 10);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      data: dataResult.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    };
+  }
+
+  async removeByContent(type, id, client = pool) {
+    const { rowCount } = await client.query({
+      text: `DELETE FROM workflow_transitions WHERE content_type = $1 AND content_id = $2`,
+      values: [type, id],
+    });
+    return rowCount;
+  }
+}
+
+module.exports = new WorkflowRepository();
+module.exports.TABLES = TABLES;
@@ -0,0 +1,247 @@
+const express = require("express");
+const router = express.Router();
+const adminApiKeysController = require("../../controllers/v1/admin_api_keys.controller");
+const { validate } = require("../../validator/admin_api_keys");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+const authenticate = require("../../middlewares/auth.middleware");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminApiKeys
+ *   description: API keys for kiosks, tracking devices and partner integrations
+ */
+
+/**
+ * @swagger
+ * /v1/admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [AdminApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_revoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Keys with scopes, limits and last use (never the key itself)
+ */
+router.get("/", authenticate, authorize(ROLES.ADMIN), validate("listApiKeys"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminApiKeysController.listApiKeys(req);
+    res.status(200).json(successResponse({ message: "API keys fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in listApiKeys:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is returned once; only its hash is stored.
+ *     tags: [AdminApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [coordinates:write, temples:read, temples:write]
+ *               rate_limit:
+ *                 type: integer
+ *                 description: Requests per minute (default 60)
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Key created
+ */
+router.post("/", authenticate, authorize(ROLES.ADMIN), validate("createApiKey"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminApiKeysController.createApiKey(req);
+    res.status(201).json(successResponse({ message: "API key created", data: result }));
+  } catch (err) {
+    logger.error("Error in createApiKey:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/api-keys/{id}:
+ *   put:
+ *     summary: Update an API key's name, scopes, rate limit or expiry
+ *     tags: [AdminApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [coordinates:write, temples:read, temples:write]
+ *               rate_limit:
+ *                 type: integer
+ *                 description: Requests per minute (default 60)
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Key updated
+ */
+router.put("/:id", authenticate, authorize(ROLES.ADMIN), validate("updateApiKey"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminApiKeysController.updateApiKey(req);
+    res.status(200).json(successResponse({ message: "API key updated", data: result }));
+  } catch (err) {
+    logger.error("Error in updateApiKey:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Replace an API key's secret
+ *     description: Returns the new key once; the old one stops working immediately.
+ *     tags: [AdminApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Key rotated
+ *       409:
+ *         description: Key has been revoked
+ */
+router.post("/:id/rotate", authenticate, authorize(ROLES.ADMIN), validate("apiKeyId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminApiKeysController.rotateApiKey(req);
+    res.status(200).json(successResponse({ message: "API key rotated", data: result }));
+  } catch (err) {
+    logger.error("Error in rotateApiKey:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [AdminApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ */
+router.delete("/:id", authenticate, authorize(ROLES.ADMIN), validate("apiKeyId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminApiKeysController.revokeApiKey(req);
+    res.status(200).json(successResponse({ message: "API key revoked", data: result }));
+  } catch (err) {
+    logger.error("Error in revokeApiKey:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
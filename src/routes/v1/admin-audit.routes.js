@@ -0,0 +1,135 @@
+const express = require("express");
+const router = express.Router();
+const adminAuditController = require("../../controllers/v1/admin_audit.controller");
+const { validate } = require("../../validator/admin_audit");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+const authenticate = require("../../middlewares/auth.middleware");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminAudit
+ *   description: Append-only trail of security and content changes
+ */
+
+/**
+ * @swagger
+ * /v1/admin/audit:
+ *   get:
+ *     summary: Search audit events
+ *     description: Newest first. Events are never updated or deleted.
+ *     tags: [AdminAudit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_type
+ *         schema:
+ *           type: string
+ *           enum: [user, api_key, anonymous, system]
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: Exact action, or a prefix ending in * (e.g. auth.*)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip_address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated audit events
+ */
+router.get("/", authenticate, authorize(ROLES.ADMIN), validate("searchEvents"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminAuditController.searchEvents(req);
+    res.status(200).json(successResponse({ message: "Audit events fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in searchAuditEvents:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/audit/{id}:
+ *   get:
+ *     summary: Get an audit event
+ *     tags: [AdminAudit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The event, with its before/after changes
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:id", authenticate, authorize(ROLES.ADMIN), validate("auditEventId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminAuditController.getEvent(req);
+    res.status(200).json(successResponse({ message: "Audit event fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in getAuditEvent:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require("express");
+const router = express.Router();
+const adminInvitationsController = require("../../controllers/v1/admin_invitations.controller");
+const { validate } = require("../../validator/admin_invitations");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+const authenticate = require("../../middlewares/auth.middleware");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminInvitations
+ *   description: Inviting editors, guides and other staff
+ */
+
+/**
+ * @swagger
+ * /v1/admin/invitations:
+ *   get:
+ *     summary: List staff invitations
+ *     tags: [AdminInvitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Invitations with their status
+ */
+router.get("/", authenticate, authorize(ROLES.ADMIN), validate("listInvitations"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminInvitationsController.listInvitations(req);
+    res.status(200).json(successResponse({ message: "Invitations fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in listInvitations:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/invitations:
+ *   post:
+ *     summary: Invite an email with a staff role
+ *     description: >
+ *       Emails an expiring invite link. A previous pending invitation for the
+ *       same email stops working.
+ *     tags: [AdminInvitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 example: editor
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: A user with this email already exists
+ *       503:
+ *         description: STAFF_INVITE_URL is not configured
+ */
+router.post("/", authenticate, authorize(ROLES.ADMIN), validate("createInvitation"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminInvitationsController.createInvitation(req);
+    res.status(201).json(successResponse({ message: "Invitation sent", data: result }));
+  } catch (err) {
+    logger.error("Error in createInvitation:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [AdminInvitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted or revoked
+ */
+router.delete("/:id", authenticate, authorize(ROLES.ADMIN), validate("invitationId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminInvitationsController.revokeInvitation(req);
+    res.status(200).json(successResponse({ message: "Invitation revoked", data: result }));
+  } catch (err) {
+    logger.error("Error in revokeInvitation:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,449 @@
+const express = require("express");
+const router = express.Router();
+const adminUsersController = require("../../controllers/v1/admin_users.controller");
+const { validate } = require("../../validator/admin_users");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+const authenticate = require("../../middlewares/auth.middleware");
+const { denyImpersonation } = require("../../middlewares/auth.middleware");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: AdminUsers
+ *   description: User management for administrators
+ */
+
+/**
+ * @swagger
+ * /v1/admin/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search by email or name
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Only users holding this role
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, disabled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Paginated list of users
+ */
+router.get("/", authenticate, authorize(ROLES.ADMIN), validate("listUsers"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.listUsers(req);
+    res.status(200).json(successResponse({ message: "Users fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in listUsers:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}:
+ *   get:
+ *     summary: Get a user with roles and linked providers
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User detail
+ */
+router.get("/:id", authenticate, authorize(ROLES.ADMIN), validate("userId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.getUserById(req);
+    res.status(200).json(successResponse({ message: "User detail fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in getUserById:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/roles:
+ *   post:
+ *     summary: Assign a role to a user
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ */
+router.post("/:id/roles", authenticate, authorize(ROLES.ADMIN), validate("assignRole"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.assignRole(req);
+    res.status(200).json(successResponse({ message: "Role assigned", data: result }));
+  } catch (err) {
+    logger.error("Error in assignRole:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/roles/{role}:
+ *   delete:
+ *     summary: Remove a role from a user
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role removed
+ */
+router.delete("/:id/roles/:role", authenticate, authorize(ROLES.ADMIN), validate("removeRole"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.removeRole(req);
+    res.status(200).json(successResponse({ message: "Role removed", data: result }));
+  } catch (err) {
+    logger.error("Error in removeRole:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/verify-email:
+ *   post:
+ *     summary: Manually mark a user's email as verified
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Email verified
+ */
+router.post("/:id/verify-email", authenticate, authorize(ROLES.ADMIN), validate("userId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.verifyEmail(req);
+    res.status(200).json(successResponse({ message: "Email verified", data: result }));
+  } catch (err) {
+    logger.error("Error in admin verifyEmail:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/disable:
+ *   post:
+ *     summary: Disable an account and revoke its sessions
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Account disabled. Access tokens already issued stay valid until they expire, except on staff routes, which reject disabled accounts at once.
+ */
+router.post("/:id/disable", authenticate, authorize(ROLES.ADMIN), validate("userId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.disableUser(req);
+    res.status(200).json(successResponse({ message: "Account disabled", data: result }));
+  } catch (err) {
+    logger.error("Error in disableUser:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/enable:
+ *   post:
+ *     summary: Re-enable a disabled account
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Account enabled
+ */
+router.post("/:id/enable", authenticate, authorize(ROLES.ADMIN), validate("userId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.enableUser(req);
+    res.status(200).json(successResponse({ message: "Account enabled", data: result }));
+  } catch (err) {
+    logger.error("Error in enableUser:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/logout:
+ *   post:
+ *     summary: Force logout by revoking every refresh token of the user
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User signed out everywhere
+ */
+router.post("/:id/logout", authenticate, authorize(ROLES.ADMIN), validate("userId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.forceLogout(req);
+    res.status(200).json(successResponse({ message: "User logged out", data: result }));
+  } catch (err) {
+    logger.error("Error in forceLogout:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/mfa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (lost device)
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Authenticator and recovery codes removed
+ */
+router.delete("/:id/mfa", authenticate, authorize(ROLES.ADMIN), validate("userId"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.resetMfa(req);
+    res.status(200).json(successResponse({ message: "MFA reset", data: result }));
+  } catch (err) {
+    logger.error("Error in resetMfa:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/admin/users/{id}/impersonate:
+ *   post:
+ *     summary: Get a short-lived access token that acts as a user (support investigations)
+ *     tags: [AdminUsers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the account is being impersonated, kept in the audit log
+ *     responses:
+ *       200:
+ *         description: Access token with an act claim naming the administrator; no refresh token
+ *       403:
+ *         description: Target is an administrator
+ */
+router.post("/:id/impersonate", authenticate, denyImpersonation, authorize(ROLES.ADMIN), validate("impersonate"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await adminUsersController.impersonateUser(req);
+    res.status(200).json(successResponse({ message: "Impersonation token issued", data: result }));
+  } catch (err) {
+    logger.error("Error in impersonateUser:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,9 @@ const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
 const authenticate = require("../../middlewares/auth.middleware");
+const { authenticateOrGuest, denyImpersonation } = require("../../middlewares/auth.middleware");
+const { GUEST_SCOPES } = require("../../services/guest_services");
+const upload = require("../../middlewares/multer.middleware");
 
 /**
  * @swagger
@@ -38,6 +41,9 @@ const authenticate = require("../../middlewares/auth.middleware");
  *                 type: string
  *               password:
  *                 type: string
+ *               guest_token:
+ *                 type: string
+ *                 description: Access token of the guest session whose data moves to the new account
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -61,6 +67,35 @@ router.post("/register", validate("register"), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /v1/auth/guest:
+ *   post:
+ *     summary: Start an anonymous guest session
+ *     description: >
+ *       Returns tokens for a new guest account limited to sending coordinates,
+ *       reading the temple graph and saving preferences. Send the access token
+ *       as guest_token when registering or signing in with a provider to keep
+ *       the guest's coordinates and preferences.
+ *     tags: [Auth]
+ *     responses:
+ *       201:
+ *         description: Guest id, scopes, access and refresh tokens
+ *       429:
+ *         description: Too many guest sessions from this IP
+ */
+router.post("/guest", async (req, res) => {
+  try {
+    const result = await authController.createGuestSession(req);
+    res
+      .status(201)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in createGuestSession:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
 /**
  * @swagger
  * /v1/auth/login:
@@ -81,9 +116,14 @@ router.post("/register", validate("register"), async (req, res) => {
  *                 type: string
  *               password:
  *                 type: string
+ *               device_name:
+ *                 type: string
+ *                 description: Label shown in the session list (or send X-Device-Name)
  *     responses:
  *       200:
- *         description: Tokens returned
+ *         description: Tokens returned, or mfa_required + mfa_token when two-factor is enabled (continue at /v1/auth/mfa/verify)
+ *       429:
+ *         description: Too many failed attempts (progressive delay or temporary lockout)
  */
 router.post("/login", validate("login"), async (req, res) => {
   try {
@@ -165,7 +205,7 @@ router.post("/refresh-token", validate("refreshToken"), async (req, res) => {
  *       200:
  *         description: Logged out successfully
  */
-router.post("/logout", authenticate, validate("logout"), async (req, res) => {
+router.post("/logout", authenticateOrGuest(), validate("logout"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty())
@@ -192,7 +232,7 @@ router.post("/logout", authenticate, validate("logout"), async (req, res) => {
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Current user data
+ *         description: Current user data; `impersonation` is set when an administrator is acting as the user
  */
 router.get("/me", authenticate, async (req, res) => {
   try {
@@ -213,6 +253,476 @@ router.get("/me", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /v1/auth/me:
+ *   put:
+ *     summary: Update the current user's name or avatar
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               avatar_url:
+ *                 type: string
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional image; replaces avatar_url
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               avatar_url:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ */
+router.put(
+  "/me",
+  authenticate,
+  ...upload.uploadSingle("avatar"),
+  validate("update-profile"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        throw new CustomError({
+          message: "Validation failed",
+          statusCode: 400,
+          errors: errors.array(),
+        });
+      const result = await authController.updateProfile(req);
+      res
+        .status(200)
+        .json(successResponse({ message: result.message, data: result.data }));
+    } catch (err) {
+      logger.error("Error in updateProfile:", err);
+      await failedResponse({ res, req, errors: err });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /v1/auth/me/password:
+ *   put:
+ *     summary: Change password (requires the current password)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed; all sessions are signed out
+ */
+router.put(
+  "/me/password",
+  authenticate,
+  denyImpersonation,
+  validate("change-password"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        throw new CustomError({
+          message: "Validation failed",
+          statusCode: 400,
+          errors: errors.array(),
+        });
+      const result = await authController.changePassword(req);
+      res
+        .status(200)
+        .json(successResponse({ message: result.message, data: result.data }));
+    } catch (err) {
+      logger.error("Error in changePassword:", err);
+      await failedResponse({ res, req, errors: err });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /v1/auth/change-email:
+ *   post:
+ *     summary: Request an email change
+ *     description: Sends a code to the new address and a notice to the current one. The current email stays active until the code is confirmed.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - new_email
+ *             properties:
+ *               new_email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Required for accounts that have a password
+ *     responses:
+ *       200:
+ *         description: Code sent to the new address
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Email already registered
+ *       429:
+ *         description: Too many requests
+ */
+router.post(
+  "/change-email",
+  authenticate,
+  denyImpersonation,
+  validate("change-email"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        throw new CustomError({
+          message: "Validation failed",
+          statusCode: 400,
+          errors: errors.array(),
+        });
+      const result = await authController.requestEmailChange(req);
+      res
+        .status(200)
+        .json(successResponse({ message: result.message, data: result.data }));
+    } catch (err) {
+      logger.error("Error in requestEmailChange:", err);
+      await failedResponse({ res, req, errors: err });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /v1/auth/change-email/confirm:
+ *   post:
+ *     summary: Confirm the new email with the code sent to it
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email changed; the old address is notified
+ *       400:
+ *         description: Invalid or expired code
+ *       409:
+ *         description: The new email was registered in the meantime
+ */
+router.post(
+  "/change-email/confirm",
+  authenticate,
+  denyImpersonation,
+  validate("confirm-email-change"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        throw new CustomError({
+          message: "Validation failed",
+          statusCode: 400,
+          errors: errors.array(),
+        });
+      const result = await authController.confirmEmailChange(req);
+      res
+        .status(200)
+        .json(successResponse({ message: result.message, data: result.data }));
+    } catch (err) {
+      logger.error("Error in confirmEmailChange:", err);
+      await failedResponse({ res, req, errors: err });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /v1/auth/me:
+ *   delete:
+ *     summary: Delete the current account and all of its personal data
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required for accounts that have a password
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ */
+router.delete("/me", authenticate, denyImpersonation, validate("delete-account"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await authController.deleteUser(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in deleteUser:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/me/preferences:
+ *   get:
+ *     summary: Get the current user's preferences
+ *     description: Unsaved fields are returned with their defaults.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Language, units, accessibility needs, routing profile and notification opt-ins
+ */
+router.get("/me/preferences", authenticateOrGuest(GUEST_SCOPES.PREFERENCES), async (req, res) => {
+  try {
+    const result = await authController.getPreferences(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in getPreferences:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/me/preferences:
+ *   put:
+ *     summary: Save the current user's preferences
+ *     description: Fields left out keep their saved value; notifications only change the topics given.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 enum: [id, en, ja, zh]
+ *               units:
+ *                 type: string
+ *                 enum: [metric, imperial]
+ *               accessibility:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [wheelchair, low_vision]
+ *               routing_profile:
+ *                 type: string
+ *                 enum: [walking, accessible]
+ *               notifications:
+ *                 type: object
+ *                 properties:
+ *                   news:
+ *                     type: boolean
+ *                   events:
+ *                     type: boolean
+ *                   announcements:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Preferences saved
+ */
+router.put("/me/preferences", authenticateOrGuest(GUEST_SCOPES.PREFERENCES), validate("update-preferences"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await authController.updatePreferences(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in updatePreferences:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/sessions:
+ *   get:
+ *     summary: List the active sessions (devices) of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions; the one making the request has current=true
+ */
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const result = await authController.listSessions(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in listSessions:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/sessions/revoke-others:
+ *   post:
+ *     summary: Log out everywhere except the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.post("/sessions/revoke-others", authenticate, denyImpersonation, async (req, res) => {
+  try {
+    const result = await authController.revokeOtherSessions(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in revokeOtherSessions:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one session (sign a device out)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ */
+router.delete("/sessions/:id", authenticate, denyImpersonation, validate("revoke-session"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await authController.revokeSession(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in revokeSession:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/users/{id}:
+ *   get:
+ *     summary: Get a user's public profile
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Public profile
+ */
+router.get("/users/:id", authenticate, validate("get-user"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await authController.getUserById(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in getUserById:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
 /**
  * @swagger
  * /v1/auth/forgot-password:
@@ -233,6 +743,8 @@ router.get("/me", authenticate, async (req, res) => {
  *     responses:
  *       200:
  *         description: Verification code sent
+ *       429:
+ *         description: Too many reset requests for this email or IP
  */
 router.post(
   "/forgot-password",
@@ -255,6 +767,110 @@ router.post(
   }
 );
 
+/**
+ * @swagger
+ * /v1/auth/passwordless/start:
+ *   post:
+ *     summary: Email a one-time sign-in code or magic link
+ *     description: The response is the same whether or not the email is registered.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [code, link]
+ *                 default: code
+ *     responses:
+ *       200:
+ *         description: Code or link sent if the account exists
+ *       429:
+ *         description: Too many requests for this email or IP
+ *       503:
+ *         description: Magic links are not configured (PASSWORDLESS_LINK_URL)
+ */
+router.post(
+  "/passwordless/start",
+  validate("passwordless-start"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        throw new CustomError({
+          message: "Validation failed",
+          statusCode: 400,
+          errors: errors.array(),
+        });
+      const result = await authController.passwordlessStart(req);
+      res.status(200).json(successResponse({ message: result.message }));
+    } catch (err) {
+      logger.error("Error in passwordlessStart:", err);
+      await failedResponse({ res, req, errors: err });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /v1/auth/passwordless/verify:
+ *   post:
+ *     summary: Sign in with an emailed code or magic link token
+ *     description: Send either email + code, or the token from the magic link.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               token:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tokens returned (same shape as login), or an MFA challenge
+ *       400:
+ *         description: Invalid or expired code or link
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post(
+  "/passwordless/verify",
+  validate("passwordless-verify"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        throw new CustomError({
+          message: "Validation failed",
+          statusCode: 400,
+          errors: errors.array(),
+        });
+      const result = await authController.passwordlessVerify(req);
+      res
+        .status(201)
+        .json(successResponse({ message: "Login Success", data: result }));
+    } catch (err) {
+      logger.error("Error in passwordlessVerify:", err);
+      await failedResponse({ res, req, errors: err });
+    }
+  }
+);
+
 /**
  * @swagger
  * /v1/auth/verify-code:
@@ -278,6 +894,10 @@ router.post(
  *     responses:
  *       200:
  *         description: Code verified successfully
+ *       400:
+ *         description: Wrong code; the code is invalidated after too many wrong guesses
+ *       429:
+ *         description: Too many failed attempts
  */
 router.post("/verify-email", validate("verify-email"), async (req, res) => {
   try {
@@ -318,6 +938,8 @@ router.post("/verify-email", validate("verify-email"), async (req, res) => {
  *     responses:
  *       200:
  *         description: Verification code resent successfully
+ *       429:
+ *         description: Too many resend requests
  */
 router.post(
   "/resend-verification",
@@ -386,7 +1008,7 @@ router.post("/reset-password", validate("reset-password"), async (req, res) => {
     const result = await authController.resetPassword(req, res);
     res
       .status(201)
-      .json(successResponse({ message: result.message, data: result.user }));
+      .json(successResponse({ message: result.message, data: result.data }));
   } catch (err) {
     logger.error("Error in resetPassword:", err);
     await failedResponse({ res, req, errors: err });
@@ -7,13 +7,18 @@ const { successResponse, failedResponse } = require("../../helpers/response");
 const coordinateController = require("../../controllers/v1/coordinate.controller");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
+const { authenticateOrApiKey } = require("../../middlewares/auth.middleware");
+const { SCOPES } = require("../../services/api_key_services");
 
 /**
  * @swagger
  * /v1/coordinate/:
  *   post:
  *     summary: Send coordinates data
- *     description: This route accepts a client's coordinates and sends them to a controller.
+ *     description: This route accepts a client's coordinates and sends them to a controller. Devices authenticate with an X-API-Key holding the coordinates:write scope; signed-in users with their access token.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -35,10 +40,14 @@ const CustomError = require("../../helpers/customError");
  *         description: Successful response
  *       400:
  *         description: Bad request - missing or invalid parameters
+ *       401:
+ *         description: Missing or invalid access token / API key
+ *       429:
+ *         description: API key rate limit exceeded
  *       500:
  *         description: Internal server error
  */
-router.post("/", validate("send-coordinate"), async (req, res) => {
+router.post("/", authenticateOrApiKey(SCOPES.COORDINATES_WRITE), validate("send-coordinate"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
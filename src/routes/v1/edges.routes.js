@@ -6,7 +6,9 @@ const { validationResult } = require("express-validator");
 const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
-const authenticate = require("../../middlewares/auth.middleware");
+const { authenticateOrApiKey } = require("../../middlewares/auth.middleware");
+const { SCOPES } = require("../../services/api_key_services");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
 
 /**
  * @swagger
@@ -36,7 +38,7 @@ const authenticate = require("../../middlewares/auth.middleware");
  *       200:
  *         description: Sequence of edges forming the shortest path
  */
-router.get("/path", authenticate, async (req, res) => {
+router.get("/path", authenticateOrApiKey(SCOPES.TEMPLES_READ), async (req, res) => {
   try {
     const { source, target } = req.query;
     const result = await edgesController.getShortestPath({ source, target, user: req.user });
@@ -83,7 +85,7 @@ router.get("/", async (req, res) => {
  *       200:
  *         description: Edge detail
  */
-router.get("/:id", authenticate, async (req, res) => {
+router.get("/:id", authenticateOrApiKey(SCOPES.TEMPLES_READ), async (req, res) => {
   try {
     const result = await edgesController.getEdgeById(req);
     res.status(200).json(successResponse({ message: "Edge detail fetched", data: result }));
@@ -124,7 +126,7 @@ router.get("/:id", authenticate, async (req, res) => {
  *       201:
  *         description: Edge created successfully
  */
-router.post("/", validate("createEdge"), async (req, res) => {
+router.post("/", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), validate("createEdge"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -175,7 +177,7 @@ router.post("/", validate("createEdge"), async (req, res) => {
  *       200:
  *         description: Edge updated
  */
-router.put("/:id", authenticate, validate("updateEdge"), async (req, res) => {
+router.put("/:id", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), validate("updateEdge"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -210,7 +212,7 @@ router.put("/:id", authenticate, validate("updateEdge"), async (req, res) => {
  *       200:
  *         description: Edge deleted
  */
-router.delete("/:id", authenticate, async (req, res) => {
+router.delete("/:id", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const result = await edgesController.deleteEdge(req);
     res.status(200).json(successResponse({ message: "Edge deleted", data: result }));
@@ -2,11 +2,15 @@ const express = require("express");
 const router = express.Router();
 const eventsController = require("../../controllers/v1/events.controller");
 const { validate } = require("../../validator/events");
+const { validate: validateRevision } = require("../../validator/revisions");
+const { validate: validateWorkflow } = require("../../validator/workflow");
 const { validationResult } = require("express-validator");
 const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
 const authenticate = require("../../middlewares/auth.middleware");
+const { optionalAuthenticate } = require("../../middlewares/auth.middleware");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
 const upload = require('../../middlewares/multer.middleware');
 
 /**
@@ -24,12 +28,24 @@ const upload = require('../../middlewares/multer.middleware');
  *     tags: [Events]
  *     parameters:
  *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [id, en, ja, zh]
+ *         description: Locale to return; defaults to the saved preference, then Accept-Language. Untranslated items fall back to their default locale.
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
  *           enum: [upcoming, in_progress, completed, canceled]
  *         description: Filter by status
  *       - in: query
+ *         name: workflow_status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in_review, approved, rejected, published, archived]
+ *         description: Filter by workflow status. Readers only get published events; the other states are listed for editors and admins.
+ *       - in: query
  *         name: type
  *         schema:
  *           type: string
@@ -68,7 +84,7 @@ const upload = require('../../middlewares/multer.middleware');
  *       200:
  *         description: List of all events
  */
-router.get("/", async (req, res) => {
+router.get("/", optionalAuthenticate, async (req, res) => {
   try {
     const result = await eventsController.getAllEvents(req);
     res
@@ -87,6 +103,12 @@ router.get("/", async (req, res) => {
  *     summary: Get event by slug
  *     tags: [Events]
  *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [id, en, ja, zh]
+ *         description: Locale to return; defaults to the saved preference, then Accept-Language. Untranslated items fall back to their default locale.
  *       - in: path
  *         name: slug
  *         required: true
@@ -123,6 +145,8 @@ router.get("/slug/:slug", async (req, res) => {
  *     responses:
  *       200:
  *         description: Event detail
+ *       404:
+ *         description: Event not found, or not published (editors and admins see every state)
  */
 router.get("/:id", authenticate, async (req, res) => {
   try {
@@ -141,6 +165,7 @@ router.get("/:id", authenticate, async (req, res) => {
  * /v1/events:
  *   post:
  *     summary: Create a new event
+ *     description: Open to writers, editors and admins. New events start as drafts; the workflow status then changes through POST /v1/events/{id}/workflow.
  *     tags: [Events]
  *     requestBody:
  *       required: true
@@ -187,6 +212,13 @@ router.get("/:id", authenticate, async (req, res) => {
  *                 enum: [upcoming, in_progress, completed, canceled]
  *               seo_metadata:
  *                 type: object
+ *               translations:
+ *                 type: object
+ *                 description: 'Per-locale name, description, location, slug and seo_metadata keyed by locale, e.g. {"en": {...}}; null removes a locale. A JSON string in multipart forms.'
+ *               default_locale:
+ *                 type: string
+ *                 enum: [id, en, ja, zh]
+ *                 description: Language of the fields above (default id)
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -194,6 +226,7 @@ router.get("/:id", authenticate, async (req, res) => {
 router.post(
   "/",
   authenticate,
+  authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER),
   ...upload.uploadSingle("headerImage"),
   validate("createEvent"),
   async (req, res) => {
@@ -223,6 +256,7 @@ router.post(
  * /v1/events/{id}:
  *   put:
  *     summary: Update an event
+ *     description: Writers may only update items they created, while they are drafts or rejected.
  *     tags: [Events]
  *     parameters:
  *       - in: path
@@ -268,6 +302,9 @@ router.post(
  *                 enum: [upcoming, in_progress, completed, canceled]
  *               seo_metadata:
  *                 type: object
+ *               translations:
+ *                 type: object
+ *                 description: 'Per-locale name, description, location, slug and seo_metadata keyed by locale, e.g. {"en": {...}}; null removes a locale. A JSON string in multipart forms.'
  *     responses:
  *       200:
  *         description: Event updated
@@ -275,6 +312,7 @@ router.post(
 router.put(
   "/:id",
   authenticate,
+  authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER),
   ...upload.uploadSingle("headerImage"),
   validate("updateEvent"),
   async (req, res) => {
@@ -343,7 +381,7 @@ router.patch("/:id/views", async (req, res) => {
  *       200:
  *         description: Event deleted
  */
-router.delete("/:id", authenticate, async (req, res) => {
+router.delete("/:id", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), async (req, res) => {
   try {
     const result = await eventsController.deleteEvent(req);
     res
@@ -355,4 +393,270 @@ router.delete("/:id", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /v1/events/{id}/revisions:
+ *   get:
+ *     summary: List revisions of an event, newest first
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Items per page (default 20)
+ *     responses:
+ *       200:
+ *         description: Revision numbers with action (baseline, create, update, restore), author and timestamp
+ */
+router.get("/:id/revisions", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("listRevisions"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await eventsController.listRevisions(req);
+    res.status(200).json(successResponse({ message: "Revisions fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in listRevisions:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/events/{id}/revisions/diff:
+ *   get:
+ *     summary: Diff two revisions
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision number
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Newer revision number
+ *     responses:
+ *       200:
+ *         description: 'Changed fields as { field: { before, after } }; translations compare per locale as translations.<locale>'
+ */
+router.get("/:id/revisions/diff", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("diffRevisions"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await eventsController.diffRevisions(req);
+    res.status(200).json(successResponse({ message: "Revision diff fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in diffRevisions:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/events/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get a revision with its full snapshot
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision detail
+ */
+router.get("/:id/revisions/:revision", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("revision"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await eventsController.getRevision(req);
+    res.status(200).json(successResponse({ message: "Revision fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in getRevision:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/events/{id}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore a revision as a new revision
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event restored; text, type, dates, location, slug, images and translations are copied back, status stays
+ */
+router.post("/:id/revisions/:revision/restore", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("revision"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await eventsController.restoreRevision(req);
+    res.status(200).json(successResponse({ message: "Event restored", data: result }));
+  } catch (err) {
+    logger.error("Error in restoreRevision:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/events/{id}/workflow:
+ *   get:
+ *     summary: Workflow state and transition history of an event
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Current state and every transition, oldest first, with actor, comment and timestamp
+ */
+router.get("/:id/workflow", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER), validateWorkflow("workflowHistory"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await eventsController.getWorkflow(req);
+    res.status(200).json(successResponse({ message: "Workflow fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in getWorkflow:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/events/{id}/workflow:
+ *   post:
+ *     summary: Move an event through the editorial workflow
+ *     description: |
+ *       Changes `workflow_status`. Writers submit (draft/rejected -> in_review) and
+ *       withdraw (in_review -> draft) items they created; editors and
+ *       admins also approve (in_review -> approved), reject
+ *       (in_review/approved -> rejected, comment required), publish
+ *       (approved -> published), archive (published -> archived) and
+ *       reopen (archived -> draft).
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [submit, withdraw, approve, reject, publish, archive, reopen]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: The item after the move and the recorded transition
+ *       409:
+ *         description: The action isn't allowed from the item's current state
+ */
+router.post("/:id/workflow", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER), validateWorkflow("transition"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await eventsController.transition(req);
+    res.status(200).json(successResponse({ message: "Workflow updated", data: result }));
+  } catch (err) {
+    logger.error("Error in transition:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
 module.exports = router;
@@ -10,8 +10,18 @@ const newsRoutes = require("./news.routes");
 const eventsRoutes = require("./events.routes");
 const templesRoutes = require("./temples.routes");
 const articlesRoutes = require("./articles.routes");
+const adminUsersRoutes = require("./admin-users.routes");
+const adminApiKeysRoutes = require("./admin-api-keys.routes");
+const adminAuditRoutes = require("./admin-audit.routes");
+const adminInvitationsRoutes = require("./admin-invitations.routes");
+const mfaRoutes = require("./mfa.routes");
+const invitationsRoutes = require("./invitations.routes");
+const searchRoutes = require("./search.routes");
+const workflowRoutes = require("./workflow.routes");
 
 router.use("/coordinate", coordinateRoutes);
+router.use("/auth/mfa", mfaRoutes);
+router.use("/auth/invitations", invitationsRoutes);
 router.use("/auth", authRoutes);
 router.use("/nodes", nodesRoutes);
 router.use("/edges", edgesRoutes);
@@ -21,5 +31,11 @@ router.use("/news", newsRoutes);
 router.use("/events", eventsRoutes);
 router.use("/temples", templesRoutes);
 router.use("/articles", articlesRoutes);
+router.use("/search", searchRoutes);
+router.use("/workflow", workflowRoutes);
+router.use("/admin/users", adminUsersRoutes);
+router.use("/admin/api-keys", adminApiKeysRoutes);
+router.use("/admin/audit", adminAuditRoutes);
+router.use("/admin/invitations", adminInvitationsRoutes);
 
 module.exports = router;
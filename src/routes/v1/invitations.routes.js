@@ -0,0 +1,119 @@
+const express = require("express");
+const router = express.Router();
+const invitationsController = require("../../controllers/v1/invitations.controller");
+const { validate } = require("../../validator/auth");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Accepting staff invitations
+ */
+
+/**
+ * @swagger
+ * /v1/auth/invitations/accept:
+ *   post:
+ *     summary: Accept a staff invitation
+ *     description: >
+ *       Creates the invited account with the invited role. Send a name and
+ *       password, or a provider with an id_token or an authorization code;
+ *       the provider account's verified email must match the invitation.
+ *       Sign in normally afterwards.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               provider:
+ *                 type: string
+ *                 example: google
+ *               id_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created with its roles
+ *       403:
+ *         description: Provider email doesn't match the invitation
+ *       404:
+ *         description: Invitation not found, expired or already used
+ *       409:
+ *         description: An account with this email already exists
+ */
+router.post("/accept", validate("accept-invitation"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await invitationsController.acceptInvitation(req);
+    res
+      .status(201)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in acceptInvitation:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/invitations/{token}:
+ *   get:
+ *     summary: Look up a pending invitation
+ *     description: Email and role of an invite link, for the accept page.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email, role and expiry
+ *       404:
+ *         description: Invitation not found, expired or already used
+ */
+router.get("/:token", validate("invitation-token"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await invitationsController.getInvitation(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in getInvitation:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require("express");
+const router = express.Router();
+const mfaController = require("../../controllers/v1/mfa.controller");
+const { validate } = require("../../validator/auth");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+const authenticate = require("../../middlewares/auth.middleware");
+const { denyImpersonation } = require("../../middlewares/auth.middleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: MFA
+ *   description: TOTP two-factor authentication
+ */
+
+/**
+ * @swagger
+ * /v1/auth/mfa:
+ *   get:
+ *     summary: Two-factor status of the current user
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether MFA is enabled or required, and recovery codes left
+ */
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const result = await mfaController.getStatus(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in getMfaStatus:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/mfa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: Returns a secret and an otpauth:// URI to render as a QR code.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending secret created
+ *       409:
+ *         description: MFA is already enabled
+ */
+router.post("/setup", authenticate, denyImpersonation, async (req, res) => {
+  try {
+    const result = await mfaController.setup(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in setupMfa:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/mfa/confirm:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA enabled; one-time recovery codes returned
+ *       400:
+ *         description: Invalid code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post("/confirm", authenticate, denyImpersonation, validate("mfa-code"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await mfaController.confirm(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in confirmMfa:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/mfa/verify:
+ *   post:
+ *     summary: Second login step
+ *     description: Exchange the mfa_token returned by login and a TOTP or recovery code for tokens.
+ *     tags: [MFA]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *               - code
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP or a recovery code
+ *               device_name:
+ *                 type: string
+ *               guest_token:
+ *                 type: string
+ *                 description: Guest access token sent with the provider sign-in, merged once the code is accepted
+ *     responses:
+ *       201:
+ *         description: Tokens returned
+ *       401:
+ *         description: Invalid code or expired mfa_token
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post("/verify", validate("mfa-verify"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await mfaController.verifyLogin(req);
+    res
+      .status(201)
+      .json(successResponse({ message: "Login Success", data: result }));
+  } catch (err) {
+    logger.error("Error in verifyMfa:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones stop working
+ *       400:
+ *         description: Invalid code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post("/recovery-codes", authenticate, denyImpersonation, validate("mfa-code"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await mfaController.regenerateRecoveryCodes(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in regenerateRecoveryCodes:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/mfa:
+ *   delete:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed while one of the user's roles requires MFA.
+ *     tags: [MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       403:
+ *         description: MFA is required for the user's role
+ *       400:
+ *         description: Invalid code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.delete("/", authenticate, denyImpersonation, validate("mfa-code"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await mfaController.disable(req);
+    res
+      .status(200)
+      .json(successResponse({ message: result.message, data: result.data }));
+  } catch (err) {
+    logger.error("Error in disableMfa:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
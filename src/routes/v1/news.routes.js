@@ -2,11 +2,15 @@ const express = require("express");
 const router = express.Router();
 const newsController = require("../../controllers/v1/news.controller");
 const { validate } = require("../../validator/news");
+const { validate: validateRevision } = require("../../validator/revisions");
+const { validate: validateWorkflow } = require("../../validator/workflow");
 const { validationResult } = require("express-validator");
 const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
 const authenticate = require("../../middlewares/auth.middleware");
+const { optionalAuthenticate } = require("../../middlewares/auth.middleware");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
 const upload = require('../../middlewares/multer.middleware'); 
 
 /**
@@ -24,11 +28,17 @@ const upload = require('../../middlewares/multer.middleware');
  *     tags: [News]
  *     parameters:
  *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [id, en, ja, zh]
+ *         description: Locale to return; defaults to the saved preference, then Accept-Language. Untranslated items fall back to their default locale.
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, published, archived]
- *         description: Filter by status
+ *           enum: [draft, in_review, approved, rejected, scheduled, published, archived]
+ *         description: Filter by workflow status. Readers only get published news; the other states are listed for editors and admins.
  *       - in: query
  *         name: author
  *         schema:
@@ -51,7 +61,7 @@ const upload = require('../../middlewares/multer.middleware');
  *       200:
  *         description: List of all news
  */
-router.get("/", async (req, res) => {
+router.get("/", optionalAuthenticate, async (req, res) => {
   try {
     const result = await newsController.getAllNews(req);
     res.status(200).json(successResponse({ message: "News fetched", data: result }));
@@ -68,6 +78,12 @@ router.get("/", async (req, res) => {
  *     summary: Get news by slug
  *     tags: [News]
  *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [id, en, ja, zh]
+ *         description: Locale to return; defaults to the saved preference, then Accept-Language. Untranslated items fall back to their default locale.
  *       - in: path
  *         name: slug
  *         required: true
@@ -102,6 +118,8 @@ router.get("/slug/:slug", async (req, res) => {
  *     responses:
  *       200:
  *         description: News detail
+ *       404:
+ *         description: News not found, or not published (editors and admins see every state)
  */
 router.get("/:id", authenticate, async (req, res) => {
   try {
@@ -118,6 +136,7 @@ router.get("/:id", authenticate, async (req, res) => {
  * /v1/news:
  *   post:
  *     summary: Create a new news
+ *     description: Open to writers, editors and admins. New news items start as drafts; the workflow status then changes through POST /v1/news/{id}/workflow.
  *     tags: [News]
  *     requestBody:
  *       required: true
@@ -130,7 +149,6 @@ router.get("/:id", authenticate, async (req, res) => {
  *               - content
  *               - publication_date
  *               - author
- *               - status
  *             properties:
  *               title:
  *                 type: string
@@ -152,16 +170,24 @@ router.get("/:id", authenticate, async (req, res) => {
  *               author:
  *                 type: string
  *                 maxLength: 100
- *               status:
+ *               unpublish_at:
  *                 type: string
- *                 enum: [draft, published, archived]
+ *                 format: date-time
+ *                 description: Archive automatically at this time (after publication_date); empty clears it
  *               seo_metadata:
  *                 type: object
+ *               translations:
+ *                 type: object
+ *                 description: 'Per-locale title, content, slug and seo_metadata keyed by locale, e.g. {"en": {...}}; null removes a locale. A JSON string in multipart forms.'
+ *               default_locale:
+ *                 type: string
+ *                 enum: [id, en, ja, zh]
+ *                 description: Language of the fields above (default id)
  *     responses:
  *       201:
  *         description: News created successfully
  */
-router.post("/", authenticate, ...upload.uploadSingle('headerImage'), validate("createNews"), async (req, res) => {
+router.post("/", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER), ...upload.uploadSingle('headerImage'), validate("createNews"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -185,6 +211,7 @@ router.post("/", authenticate, ...upload.uploadSingle('headerImage'), validate("
  * /v1/news/{id}:
  *   put:
  *     summary: Update a news
+ *     description: Writers may only update items they created, while they are drafts or rejected.
  *     tags: [News]
  *     parameters:
  *       - in: path
@@ -219,16 +246,20 @@ router.post("/", authenticate, ...upload.uploadSingle('headerImage'), validate("
  *               author:
  *                 type: string
  *                 maxLength: 100
- *               status:
+ *               unpublish_at:
  *                 type: string
- *                 enum: [draft, published, archived]
+ *                 format: date-time
+ *                 description: Archive automatically at this time (after publication_date); empty clears it
  *               seo_metadata:
  *                 type: object
+ *               translations:
+ *                 type: object
+ *                 description: 'Per-locale title, content, slug and seo_metadata keyed by locale, e.g. {"en": {...}}; null removes a locale. A JSON string in multipart forms.'
  *     responses:
  *       200:
  *         description: News updated
  */
-router.put("/:id", authenticate,...upload.uploadSingle("headerImage"), validate("updateNews"), async (req, res) => {
+router.put("/:id", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER), ...upload.uploadSingle("headerImage"), validate("updateNews"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -289,7 +320,7 @@ router.patch("/:id/views", async (req, res) => {
  *       200:
  *         description: News deleted
  */
-router.delete("/:id", authenticate, async (req, res) => {
+router.delete("/:id", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), async (req, res) => {
   try {
     const result = await newsController.deleteNews(req);
     res.status(200).json(successResponse({ message: "News deleted", data: result }));
@@ -299,4 +330,271 @@ router.delete("/:id", authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /v1/news/{id}/revisions:
+ *   get:
+ *     summary: List revisions of a news item, newest first
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Items per page (default 20)
+ *     responses:
+ *       200:
+ *         description: Revision numbers with action (baseline, create, update, restore), author and timestamp
+ */
+router.get("/:id/revisions", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("listRevisions"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await newsController.listRevisions(req);
+    res.status(200).json(successResponse({ message: "Revisions fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in listRevisions:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/news/{id}/revisions/diff:
+ *   get:
+ *     summary: Diff two revisions
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision number
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Newer revision number
+ *     responses:
+ *       200:
+ *         description: 'Changed fields as { field: { before, after } }; translations compare per locale as translations.<locale>'
+ */
+router.get("/:id/revisions/diff", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("diffRevisions"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await newsController.diffRevisions(req);
+    res.status(200).json(successResponse({ message: "Revision diff fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in diffRevisions:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/news/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get a revision with its full snapshot
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision detail
+ */
+router.get("/:id/revisions/:revision", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("revision"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await newsController.getRevision(req);
+    res.status(200).json(successResponse({ message: "Revision fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in getRevision:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/news/{id}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore a revision as a new revision
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: News restored; text fields, slug, images and translations are copied back, status and publication dates stay
+ */
+router.post("/:id/revisions/:revision/restore", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR), validateRevision("revision"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await newsController.restoreRevision(req);
+    res.status(200).json(successResponse({ message: "News restored", data: result }));
+  } catch (err) {
+    logger.error("Error in restoreRevision:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/news/{id}/workflow:
+ *   get:
+ *     summary: Workflow state and transition history of a news item
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Current state and every transition, oldest first, with actor, comment and timestamp
+ */
+router.get("/:id/workflow", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER), validateWorkflow("workflowHistory"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await newsController.getWorkflow(req);
+    res.status(200).json(successResponse({ message: "Workflow fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in getWorkflow:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/news/{id}/workflow:
+ *   post:
+ *     summary: Move a news item through the editorial workflow
+ *     description: |
+ *       Changes `status`. Writers submit (draft/rejected -> in_review) and
+ *       withdraw (in_review -> draft) items they created; editors and
+ *       admins also approve (in_review -> approved), reject
+ *       (in_review/approved -> rejected, comment required), publish
+ *       (approved -> published), archive (published -> archived) and
+ *       reopen (archived -> draft).
+ *       publish ends in `scheduled` when publication_date is in the future.
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [submit, withdraw, approve, reject, publish, archive, reopen]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: The item after the move and the recorded transition
+ *       409:
+ *         description: The action isn't allowed from the item's current state
+ */
+router.post("/:id/workflow", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER), validateWorkflow("transition"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await newsController.transition(req);
+    res.status(200).json(successResponse({ message: "Workflow updated", data: result }));
+  } catch (err) {
+    logger.error("Error in transition:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -6,7 +6,9 @@ const { validationResult } = require("express-validator");
 const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
-const authenticate = require("../../middlewares/auth.middleware");
+const { authenticateOrApiKey } = require("../../middlewares/auth.middleware");
+const { SCOPES } = require("../../services/api_key_services");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
 
 /**
  * @swagger
@@ -51,7 +53,7 @@ router.get("/", async (req, res) => {
  *       200:
  *         description: Node detail
  */
-router.get("/:id", authenticate, async (req, res) => {
+router.get("/:id", authenticateOrApiKey(SCOPES.TEMPLES_READ), async (req, res) => {
   try {
     const result = await nodesController.getNodeById(req);
     res.status(200).json(successResponse({ message: "Node detail fetched", data: result }));
@@ -92,7 +94,7 @@ router.get("/:id", authenticate, async (req, res) => {
  *       201:
  *         description: Node created successfully
  */
-router.post("/",  validate("createNode"), async (req, res) => {
+router.post("/", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), validate("createNode"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -142,7 +144,7 @@ router.post("/",  validate("createNode"), async (req, res) => {
  *       200:
  *         description: Node updated
  */
-router.put("/:id", authenticate, validate("updateNode"), async (req, res) => {
+router.put("/:id", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), validate("updateNode"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -177,7 +179,7 @@ router.put("/:id", authenticate, validate("updateNode"), async (req, res) => {
  *       200:
  *         description: Node deleted
  */
-router.delete("/:id", authenticate, async (req, res) => {
+router.delete("/:id", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), async (req, res) => {
   try {
     const result = await nodesController.deleteNode(req);
     res.status(200).json(successResponse({ message: "Node deleted", data: result }));
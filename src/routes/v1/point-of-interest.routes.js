@@ -6,7 +6,9 @@ const { validationResult } = require("express-validator");
 const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
-const authenticate = require("../../middlewares/auth.middleware");
+const { authenticateOrApiKey } = require("../../middlewares/auth.middleware");
+const { SCOPES } = require("../../services/api_key_services");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
 
 /**
  * @swagger
@@ -37,7 +39,7 @@ router.get("/", async (req, res) => {
   }
 });
 
-router.post("/", authenticate, validate("createPOI"), async (req, res) => {
+router.post("/", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), validate("createPOI"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -125,7 +127,7 @@ router.get("/nearby", validate("getNearbyPOIs"), async (req, res) => {
  */
 router.get(
   "/:poiId/route",
-  authenticate,
+  authenticateOrApiKey(SCOPES.TEMPLES_READ),
   validate("routeToPOI"),
   async (req, res) => {
     try {
@@ -170,7 +172,7 @@ router.get("/:id", validate("getPOIById"), async (req, res) => {
   }
 });
 
-router.put("/:id", authenticate, validate("updatePOI"), async (req, res) => {
+router.put("/:id", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), validate("updatePOI"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -192,7 +194,7 @@ router.put("/:id", authenticate, validate("updatePOI"), async (req, res) => {
   }
 });
 
-router.delete("/:id", authenticate, validate("deletePOI"), async (req, res) => {
+router.delete("/:id", authenticateOrApiKey(SCOPES.TEMPLES_WRITE), authorize(ROLES.ADMIN), validate("deletePOI"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -1,27 +1,297 @@
 const express = require("express");
 const router = express.Router();
 const providerController = require("../../controllers/v1/provider.controller");
+const { validate } = require("../../validator/provider");
 const { validationResult } = require("express-validator");
 const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
+const authenticate = require("../../middlewares/auth.middleware");
+const { denyImpersonation } = require("../../middlewares/auth.middleware");
 
 
-router.post("/google", async (req, res) => {
+/**
+ * @swagger
+ * tags:
+ *   name: Provider
+ *   description: Social / OpenID Connect sign-in (google, apple, and providers from OIDC_PROVIDERS)
+ */
+
+/**
+ * @swagger
+ * /v1/provider:
+ *   get:
+ *     summary: List the sign-in providers configured on this server
+ *     tags: [Provider]
+ *     responses:
+ *       200:
+ *         description: Provider names and display names
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await providerController.listAvailableProviders(req);
+    res
+      .status(200)
+      .json(successResponse({ message: "Providers fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in listAvailableProviders:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/provider/links:
+ *   get:
+ *     summary: List the social providers linked to the current user
+ *     tags: [Provider]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked providers and whether the account has a password
+ */
+router.get("/links", authenticate, async (req, res) => {
+  try {
+    const result = await providerController.listLinkedProviders(req);
+    res
+      .status(200)
+      .json(successResponse({ message: "Linked providers fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in listLinkedProviders:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/provider/{provider}:
+ *   post:
+ *     summary: Sign in with an authorization code
+ *     description: >
+ *       Exchanges the code at the provider, verifies the returned ID token and
+ *       signs the user in, creating the account on first sign-in. For Apple,
+ *       pass the `user` object from the first authorization so the name is kept.
+ *     tags: [Provider]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: google
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - redirect_uri
+ *             properties:
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *                 description: PKCE verifier, if the code was requested with a challenge
+ *               client_id:
+ *                 type: string
+ *                 description: Native app client id / bundle id the code was issued to
+ *               user:
+ *                 type: object
+ *                 description: Apple only, the user's name on first sign-in
+ *               device_name:
+ *                 type: string
+ *               guest_token:
+ *                 type: string
+ *                 description: Access token of a guest session to merge into the account. On an MFA challenge, send it again with /v1/auth/mfa/verify
+ *     responses:
+ *       200:
+ *         description: Tokens returned (or an MFA challenge)
+ *       404:
+ *         description: Unknown provider
+ *       409:
+ *         description: The email already belongs to an account; log in and link instead
+ */
+router.post("/:provider", validate("provider-login"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await providerController.login(req);
+    res
+      .status(200)
+      .json(successResponse({ message: "Provider login successful", data: result }));
+  } catch (err) {
+    logger.error("Error in providerLogin:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/provider/{provider}/id-token:
+ *   post:
+ *     summary: Sign in with an ID token (native Android/iOS)
+ *     description: >
+ *       Verifies the ID token from the platform SDK against the provider's
+ *       signing keys (issuer, audience and expiry are checked), then signs the
+ *       user in exactly like the authorization-code flow.
+ *     tags: [Provider]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: apple
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_token
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 description: Raw nonce passed to the SDK, checked against the token when given
+ *               user:
+ *                 type: object
+ *                 description: Apple only, the user's name on first sign-in
+ *               device_name:
+ *                 type: string
+ *               guest_token:
+ *                 type: string
+ *                 description: Access token of a guest session to merge into the account. On an MFA challenge, send it again with /v1/auth/mfa/verify
+ *     responses:
+ *       200:
+ *         description: Tokens returned (or an MFA challenge)
+ *       401:
+ *         description: Invalid, expired or foreign ID token
+ */
+router.post("/:provider/id-token", validate("id-token"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await providerController.idTokenLogin(req);
+    res
+      .status(200)
+      .json(successResponse({ message: "Provider login successful", data: result }));
+  } catch (err) {
+    logger.error("Error in providerIdTokenLogin:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/provider/{provider}/link:
+ *   post:
+ *     summary: Link a provider account to the current user
+ *     description: Send either an ID token (native) or an authorization code with its redirect_uri (web).
+ *     tags: [Provider]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: google
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Provider account linked
+ *       409:
+ *         description: Already linked to this or another account
+ */
+router.post("/:provider/link", authenticate, denyImpersonation, validate("link-provider"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    const result = await providerController.linkProvider(req);
+    res
+      .status(200)
+      .json(successResponse({ message: "Provider linked", data: result }));
+  } catch (err) {
+    logger.error("Error in linkProvider:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+/**
+ * @swagger
+ * /v1/provider/links/{provider}:
+ *   delete:
+ *     summary: Unlink a social provider from the current user
+ *     description: Refused when it is the account's last way to log in.
+ *     tags: [Provider]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: google
+ *     responses:
+ *       200:
+ *         description: Provider unlinked
+ *       400:
+ *         description: It is the last login method
+ */
+router.delete("/links/:provider", authenticate, denyImpersonation, validate("unlink-provider"), async (req, res) => {
   try {
-    const errors = validationResult(req); 
+    const errors = validationResult(req);
     if (!errors.isEmpty())
       throw new CustomError({
         message: "Validation failed",
         statusCode: 400,
         errors: errors.array(),
       });
-    const result = await providerController.googleLogin(req); 
+    const result = await providerController.unlinkProvider(req);
     res
       .status(200)
-      .json(successResponse({ message: "Google login successful", data: result }));
+      .json(successResponse({ message: "Provider unlinked", data: result }));
   } catch (err) {
-    logger.error("Error in googleLogin:", err);
+    logger.error("Error in unlinkProvider:", err);
     await failedResponse({ res, req, errors: err });
   }
 });
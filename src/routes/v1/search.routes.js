@@ -0,0 +1,91 @@
+const express = require("express");
+const router = express.Router();
+const searchController = require("../../controllers/v1/search.controller");
+const { validate } = require("../../validator/search");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+const { optionalAuthenticate } = require("../../middlewares/auth.middleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Full-text search across published content
+ */
+
+/**
+ * @swagger
+ * /v1/search:
+ *   get:
+ *     summary: Search news, articles and events
+ *     description: |
+ *       Matches Indonesian and English word forms, best matches first.
+ *       `q` accepts "quoted phrases", `or` and `-excluded` words.
+ *       Snippets wrap matched words in `<mark>`. Only published news,
+ *       articles and events are searched.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated content types (news, articles, events); default all
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Publication date (start date for events) from
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [id, en, ja, zh]
+ *         description: Reader language for highlighting; defaults to the saved preference
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Ranked results with snippets, per-type counts and pagination
+ */
+router.get("/", optionalAuthenticate, validate("search"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await searchController.search(req);
+    res.status(200).json(successResponse({ message: "Search results fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in search:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
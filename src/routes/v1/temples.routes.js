@@ -4,6 +4,7 @@ const { validationResult } = require("express-validator");
 const { successResponse, failedResponse } = require("../../helpers/response");
 const logger = require("../../config/logger");
 const CustomError = require("../../helpers/customError");
+const { optionalAuthenticate } = require("../../middlewares/auth.middleware");
 const templesController = require("../../controllers/v1/temples.controller");
 
 const { validate } = require("../../validator/temples");
@@ -96,9 +97,12 @@ router.get("/features/nearest", validate("getNearestFeatures"), async (req, res)
  * /v1/temples/navigation/route:
  *   get:
  *     summary: Compute navigation route between two points or features
+ *     description: >
+ *       Without a `profile` parameter, signed-in users get the routing
+ *       profile saved in their preferences.
  *     tags: [Temples]
  */
-router.get("/navigation/route", validate("getRoute"), async (req, res) => {
+router.get("/navigation/route", optionalAuthenticate, validate("getRoute"), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
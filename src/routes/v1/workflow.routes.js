@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+const workflowController = require("../../controllers/v1/workflow.controller");
+const { validate } = require("../../validator/workflow");
+const { validationResult } = require("express-validator");
+const { successResponse, failedResponse } = require("../../helpers/response");
+const logger = require("../../config/logger");
+const CustomError = require("../../helpers/customError");
+const authenticate = require("../../middlewares/auth.middleware");
+const { authorize, ROLES } = require("../../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workflow
+ *   description: Editorial review of news, articles and events
+ */
+
+/**
+ * @swagger
+ * /v1/workflow/queue:
+ *   get:
+ *     summary: My queue
+ *     description: |
+ *       Editors and admins get the items waiting for review (in_review),
+ *       longest waiting first. Writers get their own items that aren't
+ *       published yet (draft, rejected, in_review, approved), with the
+ *       latest transition and its comment, e.g. why an item was rejected.
+ *     tags: [Workflow]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated content types (news, articles, events); default all
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated workflow states, replacing the default ones
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Queue items with type, workflow_status, status_since, last_action and last_comment
+ */
+router.get("/queue", authenticate, authorize(ROLES.ADMIN, ROLES.EDITOR, ROLES.WRITER), validate("queue"), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new CustomError({
+        message: "Validation failed",
+        statusCode: 400,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await workflowController.getQueue(req);
+    res.status(200).json(successResponse({ message: "Queue fetched", data: result }));
+  } catch (err) {
+    logger.error("Error in getQueue:", err);
+    await failedResponse({ res, req, errors: err });
+  }
+});
+
+module.exports = router;
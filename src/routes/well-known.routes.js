@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const signingKeyService = require("../services/signing_keys_services");
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys that verify Borobudur access tokens
+ *     description: Standard JWK Set (RFC 7517), not wrapped in the usual response envelope. Pick the key by the token's kid header. Empty while tokens are still signed with the HS256 secret.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: JWK Set
+ */
+router.get("/jwks.json", (req, res) => {
+  // consumers cache the set; a new kid makes them refetch
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).json(signingKeyService.getJwks());
+});
+
+module.exports = router;
@@ -27,9 +27,11 @@ const pool = require('./config/db.js'); // PostgreSQL connection
 const exampleRoutes = require('./routes/example.route.js');
 const v1Routes = require('./routes/v1')
 const v2Routes = require('./routes/v2')
+const wellKnownRoutes = require('./routes/well-known.routes.js');
 app.use('/api/example', exampleRoutes);
 app.use("/v1", v1Routes)
 app.use("/v2", v2Routes);
+app.use("/.well-known", wellKnownRoutes);
 
 const { failedResponse } = require('./helpers/response.js');
 app.use((err, req, res, next) => {
@@ -39,6 +41,16 @@ app.use((err, req, res, next) => {
 const setupSwagger = require('./config/swagger.js');
 setupSwagger(app);
 
+// Background jobs
+const { startRefreshTokenCleanup } = require('./worker/refreshTokenCleanupWorker.js');
+startRefreshTokenCleanup();
+const { startAuthAttemptsCleanup } = require('./worker/authAttemptsCleanupWorker.js');
+startAuthAttemptsCleanup();
+const { startGuestCleanup } = require('./worker/guestCleanupWorker.js');
+startGuestCleanup();
+const { startPublishingScheduler } = require('./worker/publishingSchedulerWorker.js');
+startPublishingScheduler();
+
 
 // Start server
 app.listen(port, () => {
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const apiKeysRepository = require("../repositories/api_keys.repository");
+const CustomError = require("../helpers/customError");
+const logger = require("../config/logger");
+
+const KEY_PREFIX = "bbk_";
+const RATE_WINDOW_MS = 60 * 1000;
+// last_used_at is only written this often per key, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Scopes an API key can be granted
+ */
+const SCOPES = Object.freeze({
+  COORDINATES_WRITE: "coordinates:write",
+  TEMPLES_READ: "temples:read",
+  TEMPLES_WRITE: "temples:write",
+});
+
+class ApiKeyService {
+  constructor() {
+    // key id -> { windowStart, count }
+    this.windows = new Map();
+    // key id -> last time last_used_at was written
+    this.touchedAt = new Map();
+  }
+
+  hashKey(rawKey) {
+    return crypto.createHash("sha256").update(rawKey).digest("hex");
+  }
+
+  /**
+   * New random key. Only the hash and the short prefix are stored.
+   * @returns {{ key: string, key_prefix: string, key_hash: string }}
+   */
+  generateKey() {
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+    return {
+      key,
+      key_prefix: key.slice(0, KEY_PREFIX.length + 8),
+      key_hash: this.hashKey(key),
+    };
+  }
+
+  /**
+   * Resolve a raw X-API-Key value to its key row, enforcing the key's
+   * per-minute rate limit.
+   * @param {string} rawKey
+   * @param {string} [ip] - recorded as last_used_ip
+   * @returns {Promise<object>} api_keys row
+   */
+  async authenticate(rawKey, ip) {
+    const apiKey = await apiKeysRepository.findActiveByHash(this.hashKey(rawKey));
+    if (!apiKey) {
+      throw new CustomError({
+        message: "Invalid or revoked API key",
+        statusCode: 401,
+      });
+    }
+
+    this._consume(apiKey);
+    this._touch(apiKey, ip);
+
+    return apiKey;
+  }
+
+  /**
+   * Fixed one-minute window per key. Kept in memory: limits are per
+   * process, which is enough for the single instance we run.
+   */
+  _consume(apiKey) {
+    const now = Date.now();
+    let window = this.windows.get(apiKey.id);
+
+    if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+      window = { windowStart: now, count: 0 };
+      this.windows.set(apiKey.id, window);
+    }
+
+    window.count++;
+    if (window.count > apiKey.rate_limit) {
+      const retryAfter = Math.ceil((window.windowStart + RATE_WINDOW_MS - now) / 1000);
+      throw new CustomError({
+        message: `API key rate limit exceeded. Try again in ${retryAfter} second(s).`,
+        statusCode: 429,
+        errors: { retry_after_seconds: retryAfter },
+      });
+    }
+  }
+
+  _touch(apiKey, ip) {
+    const now = Date.now();
+    if (now - (this.touchedAt.get(apiKey.id) || 0) < TOUCH_INTERVAL_MS) return;
+    this.touchedAt.set(apiKey.id, now);
+
+    // not awaited: bookkeeping must not slow down or fail the request
+    apiKeysRepository.touchLastUsed(apiKey.id, ip).catch((err) => {
+      logger.error("Failed to record API key usage:", err);
+    });
+  }
+
+  /**
+   * Drop the in-memory state of a revoked or rotated key
+   */
+  forget(id) {
+    this.windows.delete(id);
+    this.touchedAt.delete(id);
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
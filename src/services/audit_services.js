@@ -0,0 +1,119 @@
+const auditEventsRepository = require("../repositories/audit_events.repository");
+const { getRequestMetadata } = require("../helpers/requestMetadata");
+const logger = require("../config/logger");
+
+// never copied into the trail, only flagged as changed
+const REDACTED_FIELDS = new Set([
+  "password_hash",
+  "key_hash",
+  "token_hash",
+  "totp_secret",
+  "refresh_token",
+]);
+// bookkeeping that changes on every write
+const IGNORED_FIELDS = new Set(["updated_at", "views"]);
+
+const normalize = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+};
+
+class AuditService {
+  /**
+   * Field-level diff of two versions of a record
+   * @param {object|null} before - null for creations
+   * @param {object|null} after - null for deletions
+   * @returns {object|null} { field: { before, after } }, or null when nothing changed
+   */
+  diff(before, after) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    for (const key of keys) {
+      if (IGNORED_FIELDS.has(key)) continue;
+
+      const oldValue = normalize(before?.[key]);
+      const newValue = normalize(after?.[key]);
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+      changes[key] = REDACTED_FIELDS.has(key)
+        ? { before: "[redacted]", after: "[redacted]" }
+        : { before: oldValue, after: newValue };
+    }
+
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  /**
+   * Append an audit event for a request.
+   *
+   * The actor is the signed-in user, or the API key, or `actorId` when the
+   * request isn't authenticated yet (e.g. login). Under impersonation the
+   * actor is the administrator and the impersonated user goes in metadata.
+   * Background jobs pass `req` null and are recorded as the system.
+   * Pass the transaction client to commit the event together with the
+   * change it describes; without one the write is best effort and failures
+   * are only logged.
+   *
+   * @param {object|null} req - null outside a request
+   * @param {object} event
+   * @param {string} event.action - e.g. "auth.login", "news.update"
+   * @param {string} [event.targetType] - e.g. "user", "news"
+   * @param {string|number} [event.targetId]
+   * @param {object|null} [event.before] - record before the change
+   * @param {object|null} [event.after] - record after the change
+   * @param {object} [event.metadata] - anything else worth keeping
+   * @param {string} [event.actorId] - user id when req.user isn't set
+   * @param {object} [client] - pg client/transaction
+   */
+  async record(req, event, client) {
+    const { ip_address, user_agent } = req
+      ? getRequestMetadata(req)
+      : { ip_address: null, user_agent: null };
+
+    let actor_type = "anonymous";
+    let actor_id = null;
+    let metadata = event.metadata;
+    if (!req) {
+      actor_type = "system";
+    } else if (req.user?.act?.sub) {
+      actor_type = "user";
+      actor_id = req.user.act.sub;
+      metadata = { ...metadata, impersonated_user_id: req.user.sub };
+    } else if (req.user?.sub || event.actorId) {
+      actor_type = "user";
+      actor_id = req.user?.sub || event.actorId;
+    } else if (req.apiKey) {
+      actor_type = "api_key";
+      actor_id = req.apiKey.id;
+    }
+
+    const row = {
+      actor_type,
+      actor_id,
+      action: event.action,
+      target_type: event.targetType,
+      target_id: event.targetId,
+      ip_address,
+      user_agent,
+      changes:
+        event.before !== undefined || event.after !== undefined
+          ? this.diff(event.before, event.after)
+          : null,
+      metadata,
+    };
+
+    if (client) {
+      return auditEventsRepository.create(row, client);
+    }
+
+    try {
+      return await auditEventsRepository.create(row);
+    } catch (err) {
+      logger.error(`Failed to record audit event ${event.action}:`, err);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,77 @@
+const jwt = require("jsonwebtoken");
+const OidcProvider = require("./oidc.provider");
+const CustomError = require("../../helpers/customError");
+
+const APPLE_ISSUER = "https://appleid.apple.com";
+
+/**
+ * Sign in with Apple.
+ * - The client secret is a short-lived ES256 JWT signed with the team's key.
+ * - There is no userinfo endpoint: everything comes from the ID token.
+ * - The user's name is only sent once, by the client, on first sign-in
+ *   (the `user` field of the authorization response).
+ */
+class AppleProvider extends OidcProvider {
+  constructor() {
+    super({
+      name: "apple",
+      displayName: "Apple",
+      issuer: APPLE_ISSUER,
+      // Services ID (web); the iOS app's bundle ids are accepted as audiences too
+      clientId: process.env.APPLE_CLIENT_ID,
+      audiences: (process.env.APPLE_BUNDLE_IDS || "")
+        .split(",")
+        .map((id) => id.trim()),
+      jwksUri: `${APPLE_ISSUER}/auth/keys`,
+      tokenEndpoint: `${APPLE_ISSUER}/auth/token`,
+    });
+    this.teamId = process.env.APPLE_TEAM_ID;
+    this.keyId = process.env.APPLE_KEY_ID;
+    // .env files usually hold the .p8 key with escaped newlines
+    this.privateKey = (process.env.APPLE_PRIVATE_KEY || "").replace(/\\n/g, "\n");
+  }
+
+  async getClientSecret(clientId) {
+    if (!this.teamId || !this.keyId || !this.privateKey) {
+      throw new CustomError({
+        message: "Apple code exchange is not configured",
+        statusCode: 503,
+      });
+    }
+
+    return jwt.sign({}, this.privateKey, {
+      algorithm: "ES256",
+      keyid: this.keyId,
+      issuer: this.teamId,
+      audience: APPLE_ISSUER,
+      subject: clientId,
+      expiresIn: 5 * 60,
+    });
+  }
+
+  mapProfile(claims, body, { scope } = {}) {
+    return {
+      ...super.mapProfile(claims, body, { scope }),
+      name: this._nameFromUser(body.user),
+      picture: null,
+    };
+  }
+
+  _nameFromUser(user) {
+    if (!user) return null;
+
+    let parsed = user;
+    if (typeof user === "string") {
+      try {
+        parsed = JSON.parse(user);
+      } catch {
+        return null;
+      }
+    }
+
+    const { firstName, lastName } = parsed.name || {};
+    return [firstName, lastName].filter(Boolean).join(" ") || null;
+  }
+}
+
+module.exports = AppleProvider;
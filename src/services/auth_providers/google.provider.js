@@ -0,0 +1,26 @@
+const OidcProvider = require("./oidc.provider");
+
+/**
+ * Google: web clients use the code flow, Android/iOS send the ID token
+ * from the Google Sign-In SDK (issued to their own client ids).
+ */
+class GoogleProvider extends OidcProvider {
+  constructor() {
+    super({
+      name: "google",
+      displayName: "Google",
+      issuer: "https://accounts.google.com",
+      issuers: ["accounts.google.com", "https://accounts.google.com"],
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      audiences: (process.env.GOOGLE_MOBILE_CLIENT_IDS || "")
+        .split(",")
+        .map((id) => id.trim()),
+      jwksUri: "https://www.googleapis.com/oauth2/v3/certs",
+      tokenEndpoint: "https://oauth2.googleapis.com/token",
+      userinfoEndpoint: "https://www.googleapis.com/oauth2/v3/userinfo",
+    });
+  }
+}
+
+module.exports = GoogleProvider;
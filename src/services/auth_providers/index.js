@@ -0,0 +1,98 @@
+const OidcProvider = require("./oidc.provider");
+const GoogleProvider = require("./google.provider");
+const AppleProvider = require("./apple.provider");
+const CustomError = require("../../helpers/customError");
+const logger = require("../../config/logger");
+
+/**
+ * Generic OpenID Connect providers are configured with OIDC_PROVIDERS,
+ * a JSON array such as:
+ *
+ *   [{ "name": "keycloak", "display_name": "Keycloak",
+ *      "issuer": "https://sso.example.com/realms/main",
+ *      "client_id": "borobudur", "client_secret": "..." }]
+ *
+ * Optional keys: audiences, jwks_uri, token_endpoint, userinfo_endpoint
+ * (otherwise discovered from the issuer).
+ */
+const parseOidcProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) return [];
+
+  let configs;
+  try {
+    configs = JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch (err) {
+    logger.error(`Invalid OIDC_PROVIDERS, ignoring it: ${err.message}`);
+    return [];
+  }
+
+  return (Array.isArray(configs) ? configs : []).map(
+    (config) =>
+      new OidcProvider({
+        name: config.name,
+        displayName: config.display_name,
+        issuer: config.issuer,
+        clientId: config.client_id,
+        clientSecret: config.client_secret,
+        audiences: config.audiences,
+        jwksUri: config.jwks_uri,
+        tokenEndpoint: config.token_endpoint,
+        userinfoEndpoint: config.userinfo_endpoint,
+      })
+  );
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    this.register(new GoogleProvider());
+    this.register(new AppleProvider());
+    parseOidcProviders().forEach((provider) => this.register(provider));
+  }
+
+  /**
+   * Add a sign-in strategy
+   * @param {OidcProvider} provider
+   */
+  register(provider) {
+    if (!/^[a-z0-9_-]+$/.test(provider.name || "")) {
+      logger.error(`Skipping provider with invalid name "${provider.name}"`);
+      return;
+    }
+    if (this.providers.has(provider.name)) {
+      logger.error(`Skipping duplicate provider "${provider.name}"`);
+      return;
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {OidcProvider}
+   */
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new CustomError({
+        message: `Unknown provider: ${name}`,
+        statusCode: 404,
+      });
+    }
+    return provider;
+  }
+
+  /**
+   * Providers clients can offer right now
+   */
+  listConfigured() {
+    return [...this.providers.values()]
+      .filter((provider) => provider.isConfigured())
+      .map((provider) => ({
+        name: provider.name,
+        display_name: provider.displayName,
+      }));
+  }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { createJwksCache, verifyIdToken } = require("../../helpers/jwks");
+const CustomError = require("../../helpers/customError");
+const logger = require("../../config/logger");
+
+const HTTP_TIMEOUT_MS = 10000;
+
+/**
+ * OpenID Connect sign-in strategy. Every provider is one instance (or
+ * subclass) of this: it knows how to exchange an authorization code, verify
+ * an ID token and map the provider's claims to our profile shape:
+ *
+ *   { sub, email, name, picture, email_verified, scope }
+ *
+ * Endpoints not given explicitly are read from the issuer's
+ * /.well-known/openid-configuration.
+ */
+class OidcProvider {
+  /**
+   * @param {object} config
+   * @param {string} config.name - key used in routes and user_providers.provider
+   * @param {string} [config.displayName]
+   * @param {string} config.issuer
+   * @param {string} [config.clientId]
+   * @param {string} [config.clientSecret]
+   * @param {string[]} [config.audiences] - extra client ids accepted in ID tokens
+   *   (e.g. the Android/iOS apps)
+   * @param {string} [config.jwksUri]
+   * @param {string} [config.tokenEndpoint]
+   * @param {string} [config.userinfoEndpoint]
+   * @param {string[]} [config.issuers] - accepted `iss` values, defaults to [issuer]
+   * @param {string[]} [config.algorithms]
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.displayName = config.displayName || config.name;
+    this.issuer = config.issuer;
+    this.issuers = config.issuers || [config.issuer];
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.extraAudiences = (config.audiences || []).filter(Boolean);
+    this.algorithms = config.algorithms || ["RS256"];
+    this.endpoints = {
+      jwks_uri: config.jwksUri,
+      token_endpoint: config.tokenEndpoint,
+      userinfo_endpoint: config.userinfoEndpoint,
+    };
+    this.discovery = null;
+    this.jwks = createJwksCache({ uri: () => this.getEndpoint("jwks_uri") });
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.issuer);
+  }
+
+  getAudiences() {
+    return [this.clientId, ...this.extraAudiences].filter(Boolean);
+  }
+
+  /**
+   * Swap the key source, e.g. a locally generated JWKS for offline tests
+   * @param {{ keys: object[] } | Function} keysOrFetcher - a JWKS, or an
+   *   async function returning one
+   */
+  useKeys(keysOrFetcher) {
+    const fetchKeys =
+      typeof keysOrFetcher === "function"
+        ? keysOrFetcher
+        : async () => keysOrFetcher;
+    this.jwks = createJwksCache({ fetchKeys });
+  }
+
+  /**
+   * Endpoint from config, falling back to OIDC discovery (fetched once)
+   * @param {string} key - e.g. "token_endpoint"
+   */
+  async getEndpoint(key) {
+    if (this.endpoints[key]) return this.endpoints[key];
+
+    if (!this.discovery) {
+      const url = `${this.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+      const response = await axios.get(url, { timeout: HTTP_TIMEOUT_MS });
+      this.discovery = response.data;
+    }
+    return this.discovery[key];
+  }
+
+  /**
+   * Client secret sent to the token endpoint
+   * @param {string} clientId - client id used for this exchange
+   */
+  async getClientSecret(clientId) {
+    return this.clientSecret;
+  }
+
+  _assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new CustomError({
+        message: `${this.displayName} sign-in is not configured`,
+        statusCode: 503,
+      });
+    }
+  }
+
+  /**
+   * Exchange an authorization code and return the signed-in profile
+   * @param {object} body - { code, redirect_uri, code_verifier?, client_id? }
+   * @returns {Promise<{ profile: object, providerRefreshToken: string|null }>}
+   */
+  async exchangeCode(body) {
+    this._assertConfigured();
+    const { code, redirect_uri, code_verifier } = body;
+
+    if (!code || !redirect_uri) {
+      throw new CustomError({
+        message: "code and redirect_uri are required",
+        statusCode: 400,
+      });
+    }
+
+    // native apps exchange codes issued to their own client id
+    const clientId =
+      body.client_id && this.getAudiences().includes(body.client_id)
+        ? body.client_id
+        : this.clientId;
+
+    let tokens;
+    let userinfo = {};
+    try {
+      const params = new URLSearchParams({
+        code,
+        client_id: clientId,
+        redirect_uri,
+        grant_type: "authorization_code",
+      });
+      const clientSecret = await this.getClientSecret(clientId);
+      if (clientSecret) params.set("client_secret", clientSecret);
+      if (code_verifier) params.set("code_verifier", code_verifier);
+
+      const tokenResponse = await axios.post(
+        await this.getEndpoint("token_endpoint"),
+        params.toString(),
+        {
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          timeout: HTTP_TIMEOUT_MS,
+        }
+      );
+      tokens = tokenResponse.data;
+
+      const userinfoEndpoint = await this.getEndpoint("userinfo_endpoint");
+      if (userinfoEndpoint && tokens.access_token) {
+        const userInfoResponse = await axios.get(userinfoEndpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+          timeout: HTTP_TIMEOUT_MS,
+        });
+        userinfo = userInfoResponse.data;
+      }
+    } catch (err) {
+      logger.error(`${this.displayName} error during token exchange or user info fetch:`, {
+        message: err.message,
+        status: err.response ? err.response.status : "N/A",
+        data: err.response ? err.response.data : "N/A",
+      });
+      throw new CustomError({
+        message:
+          `${this.displayName} authentication failed. Please try again. ` +
+          (err.response?.data?.error_description || err.message),
+        statusCode: err.response ? err.response.status : 500,
+      });
+    }
+
+    if (!tokens.id_token) {
+      throw new CustomError({
+        message: `Failed to obtain an ID token from ${this.displayName}.`,
+        statusCode: 502,
+      });
+    }
+
+    const claims = await this._verify(tokens.id_token);
+
+    return {
+      profile: this.mapProfile({ ...claims, ...userinfo, sub: claims.sub }, body, {
+        scope: tokens.scope,
+      }),
+      providerRefreshToken: tokens.refresh_token || null,
+    };
+  }
+
+  /**
+   * Verify an ID token obtained by the client (native SDKs)
+   * @param {object} body - { id_token, nonce? }
+   * @returns {Promise<object>} profile
+   */
+  async verifyIdToken(body) {
+    this._assertConfigured();
+    const claims = await this._verify(body.id_token);
+
+    if (body.nonce && !this.nonceMatches(claims.nonce, body.nonce)) {
+      throw new CustomError({
+        message: "Invalid ID token: nonce mismatch",
+        statusCode: 401,
+      });
+    }
+
+    return this.mapProfile(claims, body);
+  }
+
+  async _verify(idToken) {
+    return verifyIdToken(idToken, {
+      jwks: this.jwks,
+      issuer: this.issuers,
+      audience: this.getAudiences(),
+      algorithms: this.algorithms,
+    });
+  }
+
+  /**
+   * Clients may put the raw nonce or its SHA-256 in the auth request
+   */
+  nonceMatches(tokenNonce, nonce) {
+    if (!tokenNonce) return false;
+    const hashed = crypto.createHash("sha256").update(nonce).digest("hex");
+    return tokenNonce === nonce || tokenNonce === hashed;
+  }
+
+  /**
+   * Map provider claims to our profile shape
+   * @param {object} claims - ID token claims merged with userinfo
+   * @param {object} body - request body (some providers send extra data there)
+   * @param {object} [extra] - { scope }
+   */
+  mapProfile(claims, body, { scope } = {}) {
+    return {
+      sub: claims.sub,
+      email: claims.email || null,
+      name: claims.name || null,
+      picture: claims.picture || null,
+      // some providers send the string "true"
+      email_verified: claims.email_verified === true || claims.email_verified === "true",
+      scope: scope || null,
+    };
+  }
+}
+
+module.exports = OidcProvider;
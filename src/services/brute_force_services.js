@@ -0,0 +1,184 @@
+const authAttemptsRepository = require("../repositories/auth_attempts.repository");
+const verificationCodeRepository = require("../repositories/verification_codes.repository");
+const emailService = require("../config/nodemailer");
+const logger = require("../config/logger");
+const CustomError = require("../helpers/customError");
+
+const ATTEMPT_WINDOW_SECONDS =
+  (Number(process.env.AUTH_ATTEMPT_WINDOW_MINUTES) || 15) * 60;
+const LOCKOUT_MS = (Number(process.env.AUTH_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_DELAY_SECONDS = Number(process.env.AUTH_MAX_DELAY_SECONDS) || 60;
+const CODE_MAX_ATTEMPTS = Number(process.env.VERIFICATION_CODE_MAX_ATTEMPTS) || 5;
+
+/**
+ * Limits per action:
+ * - account / ip: attempts in the window before that key is locked
+ * - delayAfter: attempts before a wait (doubling each time) is enforced
+ * - notify: email the account owner when the account gets locked
+ */
+const POLICIES = {
+  login: { account: 5, ip: 20, delayAfter: 3, notify: true },
+  verify_email: { account: 5, ip: 20, delayAfter: 3, notify: false },
+  resend_verification: { account: 3, ip: 10, delayAfter: 1, notify: false },
+  // every start sends an email, so it is limited like resend_verification
+  passwordless_start: { account: 3, ip: 10, delayAfter: 1, notify: false },
+  passwordless_verify: { account: 5, ip: 20, delayAfter: 3, notify: false },
+  // every request emails a reset code
+  forgot_password: { account: 3, ip: 10, delayAfter: 1, notify: false },
+  // keyed by user id; every request emails the new address
+  change_email: { account: 3, ip: 10, delayAfter: 1, notify: false },
+  // guest accounts per IP; generous since visitors share the venue's network
+  guest_session: { ip: 100, delayAfter: 100, notify: false },
+  // keyed by user id: the challenge token has already proven the password
+  mfa_verify: { account: 5, ip: 20, delayAfter: 3, notify: false },
+};
+
+class BruteForceService {
+  /**
+   * Counter keys for a request: the account (lower-cased email) and the client IP
+   * @param {{ identifier?: string, ip?: string }} keys
+   */
+  _keys({ identifier, ip }) {
+    const keys = [];
+    if (identifier) {
+      keys.push({ scope: "account", key: String(identifier).trim().toLowerCase() });
+    }
+    if (ip) keys.push({ scope: "ip", key: ip });
+    return keys;
+  }
+
+  /**
+   * Throw 429 while the account or IP is locked, or while the progressive
+   * delay since the last attempt hasn't elapsed yet.
+   * @param {string} action - key of POLICIES
+   * @param {{ identifier?: string, ip?: string }} keys
+   */
+  async assertAllowed(action, keys) {
+    const policy = POLICIES[action];
+    const now = Date.now();
+
+    for (const { scope, key } of this._keys(keys)) {
+      const counter = await authAttemptsRepository.find(action, scope, key);
+      if (!counter) continue;
+
+      if (counter.locked_until && new Date(counter.locked_until).getTime() > now) {
+        const retryAfter = Math.ceil((new Date(counter.locked_until).getTime() - now) / 1000);
+        throw new CustomError({
+          message: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+          statusCode: 429,
+          errors: { retry_after_seconds: retryAfter },
+        });
+      }
+
+      const lastAttempt = new Date(counter.last_attempt_at).getTime();
+      const inWindow = now - lastAttempt < ATTEMPT_WINDOW_SECONDS * 1000;
+      if (!inWindow || counter.attempts < policy.delayAfter) continue;
+
+      // 1s, 2s, 4s, ... capped
+      const delaySeconds = Math.min(
+        2 ** (counter.attempts - policy.delayAfter),
+        MAX_DELAY_SECONDS
+      );
+      const retryAfter = Math.ceil((lastAttempt + delaySeconds * 1000 - now) / 1000);
+      if (retryAfter > 0) {
+        throw new CustomError({
+          message: `Too many attempts. Please wait ${retryAfter} second(s) before trying again.`,
+          statusCode: 429,
+          errors: { retry_after_seconds: retryAfter },
+        });
+      }
+    }
+  }
+
+  /**
+   * Count an attempt against the account and IP, locking whichever reaches
+   * its limit. Writes go straight to the pool so they survive the caller's
+   * transaction being rolled back.
+   * @param {string} action - key of POLICIES
+   * @param {{ identifier?: string, ip?: string, user?: object }} keys -
+   *   user is the matching account, if any, used for the lockout notice
+   * @returns {Promise<{ locked: boolean }>}
+   */
+  async recordAttempt(action, { user, ...keys }) {
+    const policy = POLICIES[action];
+    let locked = false;
+
+    for (const { scope, key } of this._keys(keys)) {
+      const counter = await authAttemptsRepository.increment(
+        action,
+        scope,
+        key,
+        ATTEMPT_WINDOW_SECONDS
+      );
+
+      if (counter.locked_until || counter.attempts < policy[scope]) continue;
+
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+      await authAttemptsRepository.lock(action, scope, key, lockedUntil);
+      locked = true;
+
+      logger.warn("Security event: authentication lockout", {
+        event: "auth_lockout",
+        action,
+        scope,
+        key,
+        attempts: counter.attempts,
+        locked_until: lockedUntil,
+      });
+
+      if (scope === "account" && policy.notify && user) {
+        try {
+          await emailService.sendAccountLockedMail({
+            to: user.email,
+            name: user.name,
+            lockedUntil,
+            ipAddress: keys.ip,
+          });
+        } catch (err) {
+          // the lock itself matters more than the notice
+          logger.error("Failed to send lockout notice:", err);
+        }
+      }
+    }
+
+    return { locked };
+  }
+
+  /**
+   * Forget the account counter after a successful attempt.
+   * The IP counter is left to expire so one good login can't reset it.
+   * @param {string} action - key of POLICIES
+   * @param {{ identifier?: string }} keys
+   */
+  async reset(action, { identifier }) {
+    if (!identifier) return;
+    await authAttemptsRepository.clear(
+      action,
+      "account",
+      String(identifier).trim().toLowerCase()
+    );
+  }
+
+  /**
+   * Count a wrong guess against a verification code and invalidate the
+   * code once it reaches the cap.
+   * @param {object} verification - verification_codes row
+   * @param {object} client - pg client/transaction
+   * @returns {Promise<{ exhausted: boolean, remaining: number }>}
+   */
+  async registerCodeMismatch(verification, client) {
+    const updated = await verificationCodeRepository.incrementAttempts(
+      verification.id,
+      client
+    );
+
+    if (updated.attempts >= CODE_MAX_ATTEMPTS) {
+      await verificationCodeRepository.markCodeAsUsed(verification.id, client);
+      return { exhausted: true, remaining: 0 };
+    }
+
+    return { exhausted: false, remaining: CODE_MAX_ATTEMPTS - updated.attempts };
+  }
+}
+
+module.exports = new BruteForceService();
@@ -0,0 +1,102 @@
+const usersRepository = require("../repositories/users.repository");
+const userRolesRepository = require("../repositories/user_roles.repository");
+const refreshTokensRepository = require("../repositories/refresh_tokens.repository");
+const userPreferencesRepository = require("../repositories/user_preferences.repository");
+const coordinateRecordsRepository = require("../repositories/coordinate_records.repository");
+const signingKeyService = require("./signing_keys_services");
+const auditService = require("./audit_services");
+const { SCOPES } = require("./api_key_services");
+const logger = require("../config/logger");
+
+/**
+ * What a guest token may do. Routes opt in with authenticateOrGuest(scope)
+ * or authenticateOrApiKey(scope); every other authenticated route rejects
+ * guests.
+ */
+const GUEST_SCOPES = Object.freeze({
+  COORDINATES_WRITE: SCOPES.COORDINATES_WRITE,
+  TEMPLES_READ: SCOPES.TEMPLES_READ,
+  PREFERENCES: "preferences",
+});
+
+class GuestService {
+  /**
+   * Guest user id behind a guest access token, or null when the token is
+   * missing, invalid or not a guest's
+   * @param {string} [token]
+   */
+  guestIdFromToken(token) {
+    if (!token) return null;
+    try {
+      const decoded = signingKeyService.verify(token, { secret: process.env.JWT_SECRET });
+      return decoded.guest && !decoded.typ ? decoded.sub : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Move the data of the guest named by `guest_token` in the request body
+   * (coordinates sent and preferences) to a real account and delete the
+   * guest. Preferences are kept only when the account has none of its own.
+   * Invalid guest tokens are ignored so
+   * they never block a sign-in.
+   *
+   * @param {object} req
+   * @param {string} userId - account the data moves to
+   * @param {object} client - pg client/transaction
+   * @returns {Promise<string|null>} the merged guest id
+   */
+  async mergeInto(req, userId, client) {
+    const guestId = this.guestIdFromToken(req.body?.guest_token);
+    if (!guestId || guestId === userId) return null;
+
+    const guest = await usersRepository.findById(guestId, client);
+    if (!guest?.is_guest) {
+      logger.warn("Ignoring guest token of a non-guest user", { user_id: guestId });
+      return null;
+    }
+
+    await userPreferencesRepository.reassign(guest.id, userId, client);
+    const coordinates = await coordinateRecordsRepository.reassign(guest.id, userId, client);
+    await this._deleteGuest(guest.id, client);
+
+    await auditService.record(
+      req,
+      {
+        action: "auth.guest_merge",
+        targetType: "user",
+        targetId: userId,
+        actorId: userId,
+        metadata: { guest_id: guest.id, coordinates },
+      },
+      client
+    );
+
+    return guest.id;
+  }
+
+  /**
+   * Delete guests older than `days` whose sessions have all ended
+   * @param {number} days
+   * @param {object} client - pg client/transaction
+   * @returns {Promise<number>} guests deleted
+   */
+  async deleteStaleGuests(days, client, batchSize = 500) {
+    const ids = await usersRepository.findStaleGuests(days, batchSize, client);
+    for (const id of ids) {
+      await this._deleteGuest(id, client);
+    }
+    return ids.length;
+  }
+
+  async _deleteGuest(id, client) {
+    await refreshTokensRepository.deleteAllForUser(id, client);
+    await userPreferencesRepository.deleteByUser(id, client);
+    await userRolesRepository.removeAllRoles(id, client);
+    await usersRepository.deleteUser(id, client);
+  }
+}
+
+module.exports = new GuestService();
+module.exports.GUEST_SCOPES = GUEST_SCOPES;
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const signingKeyService = require("./signing_keys_services");
+const userMfaRepository = require("../repositories/user_mfa.repository");
+const mfaRecoveryCodesRepository = require("../repositories/mfa_recovery_codes.repository");
+const totp = require("../helpers/totp");
+const CustomError = require("../helpers/customError");
+
+const MFA_CHALLENGE_EXP_SECONDS = 5 * 60;
+const MFA_CHALLENGE_TYPE = "mfa_challenge";
+const RECOVERY_CODE_COUNT = 10;
+
+class MfaService {
+  /**
+   * Whether the user has a confirmed authenticator
+   * @param {string} userId
+   * @param {object} client - Optional pg client/transaction
+   */
+  async isEnabled(userId, client) {
+    const mfa = await userMfaRepository.findByUser(userId, client);
+    return Boolean(mfa?.enabled_at);
+  }
+
+  /**
+   * Short-lived token proving the first factor passed. It is only accepted
+   * by /v1/auth/mfa/verify; `authenticate` rejects it.
+   * @param {string} userId
+   * @param {string[]} amr - methods used for the first factor, e.g. ["pwd"]
+   */
+  signChallengeToken(userId, amr) {
+    return signingKeyService.sign(
+      { sub: userId, typ: MFA_CHALLENGE_TYPE, amr },
+      { secret: process.env.JWT_SECRET, expiresIn: MFA_CHALLENGE_EXP_SECONDS }
+    );
+  }
+
+  /**
+   * @param {string} token
+   * @returns {{ sub: string, amr: string[] }}
+   */
+  verifyChallengeToken(token) {
+    let payload;
+    try {
+      payload = signingKeyService.verify(token, { secret: process.env.JWT_SECRET });
+    } catch {
+      payload = null;
+    }
+
+    if (payload?.typ !== MFA_CHALLENGE_TYPE) {
+      throw new CustomError({
+        message: "Invalid or expired MFA token. Please log in again.",
+        statusCode: 401,
+      });
+    }
+    return payload;
+  }
+
+  /**
+   * Login response body for a user who still has to pass the second factor
+   * @param {object} user
+   * @param {string[]} amr - methods used for the first factor
+   */
+  buildChallenge(user, amr) {
+    return {
+      id: user.id,
+      mfa_required: true,
+      mfa_token: this.signChallengeToken(user.id, amr),
+      expires_in: MFA_CHALLENGE_EXP_SECONDS,
+    };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, "").toLowerCase();
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+
+  /**
+   * Replace the user's recovery codes with a fresh set
+   * @returns {Promise<string[]>} the plain codes, shown to the user once
+   */
+  async issueRecoveryCodes(userId, client) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await mfaRecoveryCodesRepository.replaceCodes(
+      userId,
+      codes.map((code) => this.hashRecoveryCode(code)),
+      client
+    );
+
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code (each time step is accepted once) or, failing
+   * that, burn a matching recovery code.
+   * @param {string} userId
+   * @param {string} code
+   * @param {object} client - pg client/transaction
+   * @returns {Promise<"otp"|"recovery"|null>}
+   */
+  async verifySecondFactor(userId, code, client) {
+    const mfa = await userMfaRepository.findByUser(userId, client);
+    if (!mfa?.enabled_at) return null;
+
+    const step = totp.verifyCode(mfa.totp_secret, code);
+    if (step !== null) {
+      const accepted = await userMfaRepository.markStepUsed(userId, step, client);
+      return accepted ? "otp" : null;
+    }
+
+    const recovery = await mfaRecoveryCodesRepository.consume(
+      userId,
+      this.hashRecoveryCode(code),
+      client
+    );
+    return recovery ? "recovery" : null;
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,96 @@
+const userPreferencesRepository = require("../repositories/user_preferences.repository");
+const logger = require("../config/logger");
+
+const LANGUAGES = Object.freeze(["id", "en", "ja", "zh"]);
+const UNITS = Object.freeze(["metric", "imperial"]);
+const ACCESSIBILITY_NEEDS = Object.freeze(["wheelchair", "low_vision"]);
+// the profiles /temples/navigation/route accepts
+const ROUTING_PROFILES = Object.freeze(["walking", "accessible"]);
+const NOTIFICATION_TOPICS = Object.freeze(["news", "events", "announcements"]);
+
+const DEFAULT_LANGUAGE = "id";
+
+class PreferencesService {
+  /**
+   * Preferences with defaults filled in
+   * @param {object|null} row - user_preferences row, null when never saved
+   */
+  toView(row) {
+    const accessibility = row?.accessibility || [];
+    const notifications = Object.fromEntries(
+      NOTIFICATION_TOPICS.map((topic) => [topic, row?.notifications?.[topic] === true])
+    );
+
+    return {
+      language: row?.language || DEFAULT_LANGUAGE,
+      units: row?.units || "metric",
+      accessibility,
+      routing_profile: row?.routing_profile || this._defaultRoutingProfile(accessibility),
+      notifications,
+      updated_at: row?.updated_at || null,
+    };
+  }
+
+  _defaultRoutingProfile(accessibility) {
+    return accessibility.includes("wheelchair") ? "accessible" : "walking";
+  }
+
+  /**
+   * Saved preferences of the signed-in user, or null for anonymous requests.
+   * Looked up once per request; lookup failures fall back to defaults.
+   * @param {object} req
+   */
+  async forRequest(req) {
+    if (!req.user?.sub) return null;
+
+    if (req.preferences === undefined) {
+      try {
+        req.savedPreferences = await userPreferencesRepository.findByUser(req.user.sub);
+        req.preferences = this.toView(req.savedPreferences);
+      } catch (err) {
+        logger.error("Failed to load user preferences:", err);
+        req.preferences = null;
+      }
+    }
+    return req.preferences;
+  }
+
+  /**
+   * Routing profile: the `profile` query parameter, else the saved
+   * preference, else walking
+   * @param {object} req
+   */
+  async resolveRoutingProfile(req) {
+    if (req.query.profile) return req.query.profile;
+    const preferences = await this.forRequest(req);
+    return preferences?.routing_profile || "walking";
+  }
+
+  /**
+   * Content language: the `lang` query parameter, else the saved
+   * preference, else the best supported match of the Accept-Language
+   * header, else Indonesian
+   * @param {object} req
+   */
+  async resolveLanguage(req) {
+    if (LANGUAGES.includes(req.query.lang)) return req.query.lang;
+    // only a language the user picked, not the default filled in by toView
+    await this.forRequest(req);
+    if (req.savedPreferences?.language) return req.savedPreferences.language;
+
+    // without the header acceptsLanguages() would just return the first
+    if (req.headers["accept-language"]) {
+      const accepted = req.acceptsLanguages(...LANGUAGES);
+      if (accepted) return accepted;
+    }
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+module.exports = new PreferencesService();
+module.exports.LANGUAGES = LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+module.exports.UNITS = UNITS;
+module.exports.ACCESSIBILITY_NEEDS = ACCESSIBILITY_NEEDS;
+module.exports.ROUTING_PROFILES = ROUTING_PROFILES;
+module.exports.NOTIFICATION_TOPICS = NOTIFICATION_TOPICS;
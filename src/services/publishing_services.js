@@ -0,0 +1,131 @@
+const newsRepository = require("../repositories/news.repository");
+const articlesRepository = require("../repositories/articles.repository");
+const auditService = require("./audit_services");
+const workflowService = require("./workflow_services");
+const CustomError = require("../helpers/customError");
+
+// content types the scheduler handles, with their audit naming
+const TYPES = [
+  { type: "news", repository: newsRepository, action: "news", targetType: "news" },
+  { type: "articles", repository: articlesRepository, action: "article", targetType: "article" },
+];
+
+const PREVIEW_ROLES = ["admin", "editor"];
+
+/**
+ * Scheduled publishing for news and articles (migration 015). Publishing
+ * an approved item with a future publication_date makes it `scheduled`;
+ * it stays out of every public listing until that date, when the
+ * scheduler publishes it. A published item with an `unpublish_at` is
+ * archived once that moment passes.
+ */
+class PublishingService {
+  /**
+   * Whether the request may see items that aren't published (drafts,
+   * items in review, scheduled ones): the editors and admins who manage
+   * content (authorize() rules, read from the optional access token)
+   * @param {object} req
+   */
+  canPreview(req) {
+    if (!req.user?.sub || !Array.isArray(req.user.roles)) return false;
+    const { roles, mfa_required, amr = [] } = req.user;
+    if (mfa_required && !amr.includes("mfa")) return false;
+    return PREVIEW_ROLES.some((role) => roles.includes(role));
+  }
+
+  /**
+   * Whether readers may see an item: published and not past its
+   * unpublish_at (events have no expiry)
+   * @param {string} type - news, articles or events
+   * @param {object} item - saved row
+   */
+  isLive(type, item) {
+    if (workflowService.statusOf(type, item) !== "published") return false;
+    return !item.unpublish_at || new Date(item.unpublish_at) > new Date();
+  }
+
+  /**
+   * Reject schedules that can't work. Takes the values the item will have
+   * after the write, so partial updates are checked against saved ones.
+   * @param {object} item
+   * @param {string} [item.status] - saved status, on updates
+   * @param {string|Date} item.publication_date
+   * @param {string|Date|null} [item.unpublish_at]
+   */
+  assertValidSchedule({ status, publication_date, unpublish_at }) {
+    const errors = [];
+    const publishAt = new Date(publication_date);
+
+    if (status === "scheduled" && !(publishAt > new Date())) {
+      errors.push({
+        field: "publication_date",
+        msg: "Scheduled items need a publication_date in the future",
+      });
+    }
+    if (unpublish_at && !(new Date(unpublish_at) > publishAt)) {
+      errors.push({
+        field: "unpublish_at",
+        msg: "unpublish_at must be after publication_date",
+      });
+    }
+
+    if (errors.length) {
+      throw new CustomError({
+        message: "Invalid publishing schedule",
+        statusCode: 400,
+        errors,
+      });
+    }
+  }
+
+  /**
+   * Publish every scheduled item that is due and archive every expired
+   * one, auditing each move as the system
+   * @param {object} client - pg client/transaction
+   * @returns {Promise<{ published: number, unpublished: number }>}
+   */
+  async runDue(client) {
+    let published = 0;
+    let unpublished = 0;
+
+    for (const { type, repository, action, targetType } of TYPES) {
+      for (const item of await repository.publishDue(client)) {
+        await workflowService.recordSystemTransition(
+          type, item.id, "publish", "scheduled", "published", client
+        );
+        await auditService.record(
+          null,
+          {
+            action: `${action}.publish`,
+            targetType,
+            targetId: item.id,
+            metadata: { slug: item.slug, publication_date: item.publication_date },
+          },
+          client
+        );
+        published++;
+      }
+
+      for (const item of await repository.unpublishExpired(client)) {
+        await workflowService.recordSystemTransition(
+          type, item.id, "archive", "published", "archived", client
+        );
+        await auditService.record(
+          null,
+          {
+            action: `${action}.unpublish`,
+            targetType,
+            targetId: item.id,
+            metadata: { slug: item.slug, unpublish_at: item.unpublish_at },
+          },
+          client
+        );
+        unpublished++;
+      }
+    }
+
+    return { published, unpublished };
+  }
+}
+
+module.exports = new PublishingService();
@@ -0,0 +1,233 @@
+const contentRevisionsRepository = require("../repositories/content_revisions.repository");
+const contentTranslationsRepository = require("../repositories/content_translations.repository");
+const newsRepository = require("../repositories/news.repository");
+const articlesRepository = require("../repositories/articles.repository");
+const eventsRepository = require("../repositories/events.repository");
+const translationService = require("./translation_services");
+const auditService = require("./audit_services");
+const CustomError = require("../helpers/customError");
+
+// `restorable` are the fields a restore copies back; publishing state
+// (status, publication_date, unpublish_at) stays as it is
+const TYPES = {
+  news: {
+    repository: newsRepository,
+    update: "updateNews",
+    label: "News",
+    action: "news",
+    targetType: "news",
+    restorable: [
+      "title", "content", "image_url", "thumbnail_image_url", "slug", "author", "seo_metadata",
+    ],
+  },
+  articles: {
+    repository: articlesRepository,
+    update: "updateArticle",
+    label: "Article",
+    action: "article",
+    targetType: "article",
+    restorable: [
+      "title", "content", "image_url", "thumbnail_image_url", "slug", "author", "seo_metadata",
+    ],
+  },
+  events: {
+    repository: eventsRepository,
+    update: "updateEvent",
+    label: "Event",
+    action: "event",
+    targetType: "event",
+    restorable: [
+      "name", "description", "type", "start_date", "end_date", "location",
+      "image_url", "thumbnail_image_url", "slug", "seo_metadata",
+    ],
+  },
+};
+
+// derived or counted, not part of what an editor wrote
+const SNAPSHOT_OMIT = new Set(["available_locales", "missing_locales", "views_count"]);
+
+/**
+ * Revision history of news, articles and events (migration 016). Every
+ * create, update and restore appends a full snapshot of the item and its
+ * translations; restoring copies an old snapshot back as a new revision,
+ * so history is never rewritten.
+ */
+class RevisionService {
+  /**
+   * The item as stored in a revision
+   * @param {string} type - news, articles or events
+   * @param {object} item - base row
+   */
+  async snapshot(type, item, client) {
+    const { translations, ...full } = await translationService.withTranslations(type, item, client);
+    return {
+      ...Object.fromEntries(Object.entries(full).filter(([key]) => !SNAPSHOT_OMIT.has(key))),
+      translations: Object.fromEntries(
+        Object.entries(translations).map(([locale, { updated_at, ...fields }]) => [locale, fields])
+      ),
+    };
+  }
+
+  /**
+   * Keep the state of an item from before revisions were tracked. Call
+   * with the saved row before changing it; no-op once it has revisions.
+   */
+  async ensureBaseline(type, item, client) {
+    await contentRevisionsRepository.createBaseline(
+      type,
+      item.id,
+      await this.snapshot(type, item, client),
+      client
+    );
+  }
+
+  /**
+   * Append a revision for a change made by the request's user (the
+   * administrator when impersonating)
+   * @param {object} req
+   * @param {string} type
+   * @param {object} item - base row after the change
+   * @param {string} action - create, update or restore
+   * @param {object} client - pg client/transaction
+   * @param {number} [restoredFrom] - revision copied by a restore
+   */
+  async record(req, type, item, action, client, restoredFrom) {
+    return contentRevisionsRepository.create(
+      {
+        content_type: type,
+        content_id: item.id,
+        action,
+        restored_from: restoredFrom,
+        snapshot: await this.snapshot(type, item, client),
+        author_id: req.user?.act?.sub || req.user?.sub,
+      },
+      client
+    );
+  }
+
+  async list(type, id, pagination, client) {
+    await this._findItem(type, id, client);
+    return contentRevisionsRepository.findByContent(type, id, pagination, client);
+  }
+
+  async get(type, id, revision, client) {
+    await this._findItem(type, id, client);
+    return this._findRevision(type, id, revision, client);
+  }
+
+  /**
+   * Field-level changes between two revisions of an item. Translations
+   * compare per locale, as `translations.<locale>`.
+   * @returns {Promise<{ from: object, to: object, changes: object }>}
+   */
+  async diff(type, id, from, to, client) {
+    await this._findItem(type, id, client);
+    const { snapshot: before, ...fromMeta } = await this._findRevision(type, id, from, client);
+    const { snapshot: after, ...toMeta } = await this._findRevision(type, id, to, client);
+
+    return {
+      from: fromMeta,
+      to: toMeta,
+      changes: auditService.diff(this._flatten(before), this._flatten(after)) || {},
+    };
+  }
+
+  /**
+   * Copy an older revision back onto the item (text fields and
+   * translations) and record the result as a new revision
+   * @returns {Promise<object>} the item with its translations
+   */
+  async restore(req, type, id, revision, client) {
+    const { repository, update, restorable, action, targetType } = TYPES[type];
+    const existing = await this._findItem(type, id, client);
+    const { snapshot } = await this._findRevision(type, id, revision, client);
+
+    await this.ensureBaseline(type, existing, client);
+
+    if (snapshot.slug && snapshot.slug !== existing.slug) {
+      const owner = await contentTranslationsRepository.findSlugOwner(type, snapshot.slug, client);
+      if (owner && String(owner.item_id) !== String(id)) {
+        throw new CustomError({
+          message: "Slug already exists",
+          statusCode: 409,
+          errors: { slug: snapshot.slug },
+        });
+      }
+    }
+
+    const updated = await repository[update](
+      id,
+      Object.fromEntries(restorable.map((field) => [field, snapshot[field] ?? null])),
+      client
+    );
+
+    // locales added since the revision are dropped, the others overwritten
+    const saved = snapshot.translations || {};
+    const current = await contentTranslationsRepository.findByItems(type, [id], client);
+    const translations = {
+      ...Object.fromEntries(
+        current.filter((row) => !saved[row.locale]).map((row) => [row.locale, null])
+      ),
+      ...saved,
+    };
+    if (Object.keys(translations).length) {
+      await translationService.save(type, updated, translations, client);
+    }
+
+    const created = await this.record(req, type, updated, "restore", client, revision);
+
+    await auditService.record(
+      req,
+      {
+        action: `${action}.restore`,
+        targetType,
+        targetId: id,
+        before: existing,
+        after: updated,
+        metadata: { revision: created.revision, restored_from: revision },
+      },
+      client
+    );
+
+    return translationService.withTranslations(type, updated, client);
+  }
+
+  async removeAll(type, id, client) {
+    return contentRevisionsRepository.removeByContent(type, id, client);
+  }
+
+  async _findItem(type, id, client) {
+    const { repository, label } = TYPES[type];
+    const item = await repository.findById(id, client);
+    if (!item) {
+      throw new CustomError({ message: `${label} not found`, statusCode: 404 });
+    }
+    return item;
+  }
+
+  async _findRevision(type, id, revision, client) {
+    const found = await contentRevisionsRepository.findOne(type, id, revision, client);
+    if (!found) {
+      throw new CustomError({
+        message: "Revision not found",
+        statusCode: 404,
+        errors: { revision },
+      });
+    }
+    return found;
+  }
+
+  _flatten({ translations = {}, ...fields }) {
+    return {
+      ...fields,
+      ...Object.fromEntries(
+        Object.entries(translations).map(([locale, translation]) => [
+          `translations.${locale}`,
+          translation,
+        ])
+      ),
+    };
+  }
+}
+
+module.exports = new RevisionService();
@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const jwt = require("jsonwebtoken");
+
+const ISSUER = process.env.JWT_ISSUER || null;
+// seconds of clock skew accepted on exp/nbf
+const CLOCK_TOLERANCE = 5;
+
+const ALGORITHM_BY_KEY_TYPE = {
+  rsa: "RS256",
+  ec: "ES256",
+  ed25519: "EdDSA",
+};
+const SUPPORTED_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384", "EdDSA"];
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * "15m", "30d", "3600" or 3600 -> seconds
+ */
+const toSeconds = (expiresIn) => {
+  if (typeof expiresIn === "number") return expiresIn;
+  const match = /^(\d+)\s*([smhd])?$/.exec(String(expiresIn).trim());
+  if (!match) throw new Error(`Unsupported token lifetime: ${expiresIn}`);
+  return Number(match[1]) * UNIT_SECONDS[match[2] || "s"];
+};
+
+// .env files usually hold PEM keys with escaped newlines
+const readPem = (value, path) => {
+  if (value) return value.replace(/\\n/g, "\n");
+  if (path) return fs.readFileSync(path, "utf8");
+  return null;
+};
+
+/**
+ * Key ring for the tokens we issue.
+ *
+ * Keys come from JWT_SIGNING_KEYS, a JSON array of
+ *   { kid, alg?, private_key? | private_key_path?, public_key? | public_key_path? }
+ * The key named by JWT_ACTIVE_KID (default: the first one with a private
+ * key) signs; every key in the ring verifies, so a retired key can stay as
+ * public-only until the tokens it signed have expired. Public keys are
+ * published at /.well-known/jwks.json.
+ *
+ * Without JWT_SIGNING_KEYS, tokens are signed with the HS256 secret given by
+ * the caller (JWT_SECRET / JWT_REFRESH_SECRET). Tokens without a kid are
+ * still accepted with that secret while it is set, so switching to
+ * asymmetric keys doesn't log anyone out.
+ */
+class SigningKeyService {
+  constructor() {
+    this.keys = new Map();
+    this.activeKey = null;
+    this._load(process.env.JWT_SIGNING_KEYS, process.env.JWT_ACTIVE_KID);
+  }
+
+  _load(config, activeKid) {
+    if (!config) return;
+
+    let entries;
+    try {
+      entries = JSON.parse(config);
+    } catch (err) {
+      throw new Error(`JWT_SIGNING_KEYS is not valid JSON: ${err.message}`);
+    }
+
+    for (const entry of entries) {
+      if (!entry.kid) throw new Error("Every JWT signing key needs a kid");
+
+      const privatePem = readPem(entry.private_key, entry.private_key_path);
+      const publicPem = readPem(entry.public_key, entry.public_key_path);
+      if (!privatePem && !publicPem) {
+        throw new Error(`JWT signing key ${entry.kid} has no key material`);
+      }
+
+      const privateKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+      const publicKey = crypto.createPublicKey(publicPem || privatePem);
+      const alg = entry.alg || ALGORITHM_BY_KEY_TYPE[publicKey.asymmetricKeyType];
+
+      if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+        throw new Error(`JWT signing key ${entry.kid} uses an unsupported algorithm`);
+      }
+
+      this.keys.set(entry.kid, { kid: entry.kid, alg, privateKey, publicKey });
+    }
+
+    this.activeKey = activeKid
+      ? this.keys.get(activeKid)
+      : [...this.keys.values()].find((key) => key.privateKey);
+
+    if (!this.activeKey?.privateKey) {
+      throw new Error("No JWT signing key with a private key is active (check JWT_ACTIVE_KID)");
+    }
+  }
+
+  /**
+   * Sign a token with the active key, or HS256 with `secret` when no key
+   * ring is configured.
+   * @param {object} payload
+   * @param {object} options
+   * @param {string|number} options.expiresIn - e.g. "15m" or seconds
+   * @param {string} options.secret - HS256 fallback secret
+   * @returns {string}
+   */
+  sign(payload, { expiresIn, secret }) {
+    const claims = ISSUER ? { ...payload, iss: ISSUER } : payload;
+
+    if (!this.activeKey) {
+      return jwt.sign(claims, secret, { expiresIn });
+    }
+
+    const { kid, alg, privateKey } = this.activeKey;
+
+    // jsonwebtoken has no EdDSA support
+    if (alg === "EdDSA") {
+      const now = Math.floor(Date.now() / 1000);
+      return this._signEdDSA(
+        { ...claims, iat: now, exp: now + toSeconds(expiresIn) },
+        kid,
+        privateKey
+      );
+    }
+
+    return jwt.sign(claims, privateKey, { algorithm: alg, keyid: kid, expiresIn });
+  }
+
+  /**
+   * Verify a token we issued. Throws jsonwebtoken errors
+   * (JsonWebTokenError / TokenExpiredError) on failure.
+   * @param {string} token
+   * @param {object} options
+   * @param {string} options.secret - HS256 secret for tokens without a kid
+   * @returns {object} payload
+   */
+  verify(token, { secret }) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) throw new jwt.JsonWebTokenError("jwt malformed");
+
+    const { kid } = decoded.header;
+    const verifyOptions = {
+      clockTolerance: CLOCK_TOLERANCE,
+      ...(ISSUER && { issuer: ISSUER }),
+    };
+
+    if (!kid) {
+      if (!secret) throw new jwt.JsonWebTokenError("jwt has no kid");
+      // no issuer check: tokens from before JWT_ISSUER was set don't carry one
+      return jwt.verify(token, secret, {
+        clockTolerance: CLOCK_TOLERANCE,
+        algorithms: ["HS256"],
+      });
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) throw new jwt.JsonWebTokenError("unknown signing key");
+
+    // the algorithm comes from our key, never from the token header
+    if (key.alg === "EdDSA") {
+      return this._verifyEdDSA(token, decoded, key.publicKey);
+    }
+    return jwt.verify(token, key.publicKey, { ...verifyOptions, algorithms: [key.alg] });
+  }
+
+  /**
+   * Public keys of the ring as a JWK Set
+   * @returns {{ keys: object[] }}
+   */
+  getJwks() {
+    return {
+      keys: [...this.keys.values()].map(({ kid, alg, publicKey }) => ({
+        ...publicKey.export({ format: "jwk" }),
+        kid,
+        alg,
+        use: "sig",
+      })),
+    };
+  }
+
+  _signEdDSA(claims, kid, privateKey) {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+    const signingInput = `${encode({ alg: "EdDSA", typ: "JWT", kid })}.${encode(claims)}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+    return `${signingInput}.${signature.toString("base64url")}`;
+  }
+
+  _verifyEdDSA(token, decoded, publicKey) {
+    const [header, payload, signature] = token.split(".");
+
+    if (decoded.header.alg !== "EdDSA") {
+      throw new jwt.JsonWebTokenError("invalid algorithm");
+    }
+
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${header}.${payload}`),
+      publicKey,
+      Buffer.from(signature || "", "base64url")
+    );
+    if (!valid) throw new jwt.JsonWebTokenError("invalid signature");
+
+    const claims = decoded.payload;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof claims.exp !== "number") {
+      throw new jwt.JsonWebTokenError("jwt has no expiry");
+    }
+    if (now - CLOCK_TOLERANCE >= claims.exp) {
+      throw new jwt.TokenExpiredError("jwt expired", new Date(claims.exp * 1000));
+    }
+    if (typeof claims.nbf === "number" && now + CLOCK_TOLERANCE < claims.nbf) {
+      throw new jwt.NotBeforeError("jwt not active", new Date(claims.nbf * 1000));
+    }
+    if (ISSUER && claims.iss !== ISSUER) {
+      throw new jwt.JsonWebTokenError(`jwt issuer invalid. expected: ${ISSUER}`);
+    }
+
+    return claims;
+  }
+}
+
+module.exports = new SigningKeyService();
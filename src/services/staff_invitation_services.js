@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const CustomError = require("../helpers/customError");
+
+const EXPIRY_HOURS = Number(process.env.STAFF_INVITE_EXP_HOURS) || 72;
+
+class StaffInvitationService {
+  get expiryHours() {
+    return EXPIRY_HOURS;
+  }
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * New random invite token. Only the hash is stored.
+   * @returns {{ token: string, token_hash: string }}
+   */
+  generateToken() {
+    const token = crypto.randomBytes(32).toString("base64url");
+    return { token, token_hash: this.hashToken(token) };
+  }
+
+  /**
+   * Link to the frontend accept page (STAFF_INVITE_URL) carrying the token
+   * @param {string} token
+   */
+  buildLink(token) {
+    if (!process.env.STAFF_INVITE_URL) {
+      throw new CustomError({
+        message: "Staff invitations are not configured",
+        statusCode: 503,
+      });
+    }
+    const url = new URL(process.env.STAFF_INVITE_URL);
+    url.searchParams.set("token", token);
+    return url.toString();
+  }
+
+  /**
+   * pending, accepted, revoked or expired
+   * @param {object} invitation - staff_invitations row
+   */
+  getStatus(invitation) {
+    if (invitation.accepted_at) return "accepted";
+    if (invitation.revoked_at) return "revoked";
+    if (new Date(invitation.expires_at).getTime() <= Date.now()) return "expired";
+    return "pending";
+  }
+}
+
+module.exports = new StaffInvitationService();
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const userRolesRepository = require("../repositories/user_roles.repository");
+const refreshTokensRepository = require("../repositories/refresh_tokens.repository");
+const signingKeyService = require("./signing_keys_services");
+const { GUEST_SCOPES } = require("./guest_services");
+
+const ACCESS_TOKEN_EXP = process.env.JWT_ACCESS_EXP || "15m";
+const IMPERSONATION_TOKEN_EXP = process.env.JWT_IMPERSONATION_EXP || "10m";
+const REFRESH_TOKEN_EXP_DAYS = Number(process.env.JWT_REFRESH_EXP_DAYS) || 30;
+
+class TokenService {
+  /**
+   * Role names plus whether any of those roles requires a second factor.
+   * Guests also get `guest: true` and the scopes they are limited to.
+   * @param {string} userId
+   * @param {object} client - Optional pg client/transaction
+   * @returns {Promise<{ roles: string[], mfa_required: boolean, guest?: boolean, scope?: string[] }>}
+   */
+  async getRoleClaims(userId, client) {
+    const roles = await userRolesRepository.getUserRoles(userId, client);
+    const names = roles.map((r) => r.name);
+    return {
+      roles: names,
+      mfa_required: roles.some((r) => r.mfa_required),
+      ...(names.includes("guest") && {
+        guest: true,
+        scope: Object.values(GUEST_SCOPES),
+      }),
+    };
+  }
+
+  /**
+   * Sign an access token with the user's roles embedded,
+   * so route guards don't need a DB round trip per request.
+   * @param {string} userId
+   * @param {object} client - Optional pg client/transaction
+   * @param {object} [claims] - Extra claims, e.g. { sid } for the session id
+   *   and { amr } for the authentication methods used
+   * @returns {Promise<string>}
+   */
+  async signAccessToken(userId, client, claims = {}) {
+    const roleClaims = await this.getRoleClaims(userId, client);
+    return signingKeyService.sign(
+      { ...claims, sub: userId, ...roleClaims },
+      { secret: process.env.JWT_SECRET, expiresIn: ACCESS_TOKEN_EXP }
+    );
+  }
+
+  /**
+   * Sign an access token that lets an administrator act as another user.
+   * The `act` claim names the administrator; no refresh token is issued,
+   * so the token can't outlive JWT_IMPERSONATION_EXP.
+   * @param {string} userId - the impersonated user
+   * @param {string} actorId - the administrator
+   * @param {object} client - Optional pg client/transaction
+   * @returns {Promise<{ accessToken: string, expiresAt: Date }>}
+   */
+  async signImpersonationToken(userId, actorId, client) {
+    const roleClaims = await this.getRoleClaims(userId, client);
+    const accessToken = signingKeyService.sign(
+      { sub: userId, ...roleClaims, act: { sub: actorId } },
+      { secret: process.env.JWT_SECRET, expiresIn: IMPERSONATION_TOKEN_EXP }
+    );
+    return {
+      accessToken,
+      expiresAt: new Date(jwt.decode(accessToken).exp * 1000),
+    };
+  }
+
+  /**
+   * Hash a refresh token for storage/lookup. Only the hash is persisted,
+   * so a leaked refresh_tokens table can't be replayed.
+   * @param {string} token
+   * @returns {string} hex SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Sign a refresh token and store its hash with the client's device metadata.
+   * Pass the familyId (and amr) of the token being rotated to continue a
+   * session; omit them to start a new one.
+   * @param {string} userId
+   * @param {object} metadata - { user_agent, ip_address, device_name }
+   * @param {object} client - pg client/transaction
+   * @param {object} [options]
+   * @param {string} [options.familyId]
+   * @param {string[]} [options.amr] - authentication methods, e.g. ["pwd", "otp"]
+   * @returns {Promise<{ refreshToken: string, session: object }>}
+   */
+  async createSession(
+    userId,
+    metadata = {},
+    client,
+    { familyId = crypto.randomUUID(), amr = null } = {}
+  ) {
+    const refreshToken = signingKeyService.sign(
+      {
+        sub: userId,
+        jti: crypto.randomBytes(16).toString("hex"),
+        // access and refresh tokens can share a signing key; the typ keeps
+        // `authenticate` from accepting a refresh token
+        typ: "refresh",
+      },
+      {
+        secret: process.env.JWT_REFRESH_SECRET,
+        expiresIn: `${REFRESH_TOKEN_EXP_DAYS}d`,
+      }
+    );
+
+    const session = await refreshTokensRepository.createRefreshToken(
+      {
+        user_id: userId,
+        token_hash: this.hashToken(refreshToken),
+        family_id: familyId,
+        expires_at: new Date(
+          Date.now() + REFRESH_TOKEN_EXP_DAYS * 24 * 60 * 60 * 1000
+        ),
+        user_agent: metadata.user_agent,
+        ip_address: metadata.ip_address,
+        device_name: metadata.device_name,
+        amr,
+      },
+      client
+    );
+
+    return { refreshToken, session };
+  }
+
+  /**
+   * Issue an access/refresh pair for a new device session.
+   * Other sessions of the user are left untouched.
+   * @param {string} userId
+   * @param {object} metadata - { user_agent, ip_address, device_name }
+   * @param {object} client - pg client/transaction
+   * @param {string[]} [amr] - authentication methods used to sign in
+   */
+  async issueTokens(userId, metadata, client, amr = null) {
+    const { refreshToken, session } = await this.createSession(
+      userId,
+      metadata,
+      client,
+      { amr }
+    );
+    const accessToken = await this.signAccessToken(userId, client, {
+      sid: session.family_id,
+      ...(amr && { amr }),
+    });
+
+    return { accessToken, refreshToken, sessionId: session.family_id };
+  }
+}
+
+module.exports = new TokenService();
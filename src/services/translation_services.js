@@ -0,0 +1,222 @@
+const contentTranslationsRepository = require("../repositories/content_translations.repository");
+const { TABLES } = contentTranslationsRepository;
+const preferencesService = require("./preferences_services");
+const { LANGUAGES } = preferencesService;
+const CustomError = require("../helpers/customError");
+
+// a translation without these is refused; other fields fall back to the base row
+const REQUIRED_FIELDS = {
+  news: ["title", "content"],
+  articles: ["title", "content"],
+  events: ["name"],
+  temple_features: ["name"],
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Per-locale versions of content (migration 014). The base row is the item
+ * in its `default_locale`; translations hold the same text fields in other
+ * locales, and readers whose locale has no translation get the base row.
+ */
+class TranslationService {
+  /**
+   * The `translations` field of a create/update body: an object keyed by
+   * locale, or that object as a JSON string (multipart forms).
+   * @returns {object|undefined} undefined when not sent
+   */
+  parse(raw) {
+    if (raw === undefined || raw === null || raw === "") return undefined;
+
+    let value = raw;
+    if (typeof raw === "string") {
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        value = null;
+      }
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new CustomError({
+        message: "translations must be an object keyed by locale, e.g. { \"en\": { ... } }",
+        statusCode: 400,
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Apply a translations payload to an item. Each locale's fields are
+   * merged over its saved translation; `null` removes the locale.
+   *
+   * @param {string} type - news, articles, events or temple_features
+   * @param {object} item - base row (id, default_locale)
+   * @param {object|undefined} translations - from parse()
+   * @param {object} client - pg client/transaction
+   */
+  async save(type, item, translations, client) {
+    if (!translations) return;
+    const existing = await contentTranslationsRepository.findByItems(type, [item.id], client);
+
+    const errors = [];
+    for (const [locale, payload] of Object.entries(translations)) {
+      if (!LANGUAGES.includes(locale)) {
+        errors.push({ locale, msg: `Locale must be one of: ${LANGUAGES.join(", ")}` });
+        continue;
+      }
+      if (locale === item.default_locale) {
+        errors.push({ locale, msg: "This is the item's default locale; edit the item itself" });
+        continue;
+      }
+      if (payload === null) {
+        await contentTranslationsRepository.remove(type, item.id, locale, client);
+        continue;
+      }
+      if (typeof payload !== "object" || Array.isArray(payload)) {
+        errors.push({ locale, msg: "Translation must be an object" });
+        continue;
+      }
+
+      const current = existing.find((row) => row.locale === locale) || {};
+      const fields = Object.fromEntries(
+        TABLES[type].fields.map((field) => [
+          field,
+          payload[field] !== undefined ? payload[field] : current[field] ?? null,
+        ])
+      );
+
+      const missing = REQUIRED_FIELDS[type].filter((field) => !fields[field]);
+      if (missing.length) {
+        errors.push({ locale, msg: `${missing.join(", ")} required` });
+        continue;
+      }
+
+      if (fields.slug && fields.slug !== current.slug) {
+        if (!SLUG_PATTERN.test(fields.slug)) {
+          errors.push({
+            locale,
+            msg: "Slug must contain only lowercase letters, numbers, and hyphens",
+          });
+          continue;
+        }
+        const owner = await contentTranslationsRepository.findSlugOwner(type, fields.slug, client);
+        if (owner) {
+          throw new CustomError({
+            message: "Slug already exists",
+            statusCode: 409,
+            errors: { locale, slug: fields.slug },
+          });
+        }
+      }
+
+      await contentTranslationsRepository.upsert(type, item.id, locale, fields, client);
+    }
+
+    if (errors.length) {
+      throw new CustomError({
+        message: "Invalid translations",
+        statusCode: 400,
+        errors,
+      });
+    }
+  }
+
+  /**
+   * Items as readers of `locale` see them, each falling back to its
+   * default locale when untranslated
+   * @param {string} type
+   * @param {object[]} items - base rows
+   * @param {string} locale
+   * @param {object} [client]
+   */
+  async localize(type, items, locale, client) {
+    const rows = await contentTranslationsRepository.findByItems(
+      type,
+      items.map((item) => item.id),
+      client
+    );
+    return items.map((item) =>
+      this.toLocalized(
+        type,
+        item,
+        rows.filter((row) => row.item_id === item.id),
+        locale
+      )
+    );
+  }
+
+  /**
+   * A single item fetched by slug. A translated slug picks its own locale
+   * unless `?lang=` asks for another; `slugs` lists the slug of each locale.
+   * @param {string} type
+   * @param {object} item - base row found by the slug
+   * @param {string} slug - as requested
+   * @param {object} req
+   * @param {object} [client]
+   */
+  async localizeBySlug(type, item, slug, req, client) {
+    const rows = await contentTranslationsRepository.findByItems(type, [item.id], client);
+    const slugLocale = rows.find((row) => row.slug === slug)?.locale;
+
+    const locale =
+      slugLocale && !LANGUAGES.includes(req.query.lang)
+        ? slugLocale
+        : await preferencesService.resolveLanguage(req);
+
+    return {
+      ...this.toLocalized(type, item, rows, locale),
+      slugs: {
+        [item.default_locale]: item.slug,
+        ...Object.fromEntries(
+          rows.filter((row) => row.slug).map((row) => [row.locale, row.slug])
+        ),
+      },
+    };
+  }
+
+  toLocalized(type, item, rows, locale) {
+    const translation =
+      locale !== item.default_locale && rows.find((row) => row.locale === locale);
+
+    const localized = { ...item };
+    if (translation) {
+      for (const field of TABLES[type].fields) {
+        if (translation[field] !== null) localized[field] = translation[field];
+      }
+    }
+
+    return {
+      ...localized,
+      locale: translation ? locale : item.default_locale,
+      requested_locale: locale,
+      ...this._coverage(item, rows),
+    };
+  }
+
+  /**
+   * Base row plus every translation, for editors
+   * @param {string} type
+   * @param {object} item - base row
+   * @param {object} [client]
+   */
+  async withTranslations(type, item, client) {
+    const rows = await contentTranslationsRepository.findByItems(type, [item.id], client);
+    return {
+      ...item,
+      translations: Object.fromEntries(
+        rows.map(({ item_id, locale, ...fields }) => [locale, fields])
+      ),
+      ...this._coverage(item, rows),
+    };
+  }
+
+  _coverage(item, rows) {
+    const available = [item.default_locale, ...rows.map((row) => row.locale)];
+    return {
+      available_locales: available,
+      missing_locales: LANGUAGES.filter((locale) => !available.includes(locale)),
+    };
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,274 @@
+const workflowRepository = require("../repositories/workflow.repository");
+const { TABLES } = workflowRepository;
+const newsRepository = require("../repositories/news.repository");
+const articlesRepository = require("../repositories/articles.repository");
+const eventsRepository = require("../repositories/events.repository");
+const auditService = require("./audit_services");
+const CustomError = require("../helpers/customError");
+
+const EDITOR_ROLES = ["admin", "editor"];
+const WRITER_ROLES = [...EDITOR_ROLES, "writer"];
+
+const STATUSES = Object.freeze([
+  "draft",
+  "in_review",
+  "approved",
+  "rejected",
+  "scheduled",
+  "published",
+  "archived",
+]);
+
+// states a writer may still edit; editors may edit in any state
+const EDITABLE_BY_WRITER = ["draft", "rejected"];
+
+/**
+ * Allowed moves. `roles` may perform the action; writers only on items
+ * they created. publish ends in `scheduled` instead when a news item or
+ * article has a future publication_date.
+ */
+const TRANSITIONS = {
+  submit: { from: ["draft", "rejected"], to: "in_review", roles: WRITER_ROLES },
+  withdraw: { from: ["in_review"], to: "draft", roles: WRITER_ROLES },
+  approve: { from: ["in_review"], to: "approved", roles: EDITOR_ROLES },
+  reject: { from: ["in_review", "approved"], to: "rejected", roles: EDITOR_ROLES, comment: true },
+  publish: { from: ["approved"], to: "published", roles: EDITOR_ROLES },
+  archive: { from: ["published", "scheduled"], to: "archived", roles: EDITOR_ROLES },
+  reopen: { from: ["archived"], to: "draft", roles: EDITOR_ROLES },
+};
+
+const ACTIONS = Object.freeze(Object.keys(TRANSITIONS));
+
+const TYPES = {
+  news: {
+    repository: newsRepository,
+    label: "News",
+    action: "news",
+    targetType: "news",
+    scheduled: true,
+  },
+  articles: {
+    repository: articlesRepository,
+    label: "Article",
+    action: "article",
+    targetType: "article",
+    scheduled: true,
+  },
+  events: {
+    repository: eventsRepository,
+    label: "Event",
+    action: "event",
+    targetType: "event",
+    scheduled: false,
+  },
+};
+
+const CONTENT_TYPES = Object.freeze(Object.keys(TYPES));
+
+/**
+ * Editorial workflow of news, articles and events (migration 017).
+ * Writers draft and submit; editors approve, reject (with a comment),
+ * publish and archive. Items only reach readers once published.
+ */
+class WorkflowService {
+  /**
+   * The user behind the request (the administrator when impersonating),
+   * credited with transitions
+   */
+  actorId(req) {
+    return req.user?.act?.sub || req.user?.sub;
+  }
+
+  /**
+   * The user the request acts as (the impersonated user when
+   * impersonating), who owns the items it creates
+   */
+  ownerId(req) {
+    return req.user?.sub;
+  }
+
+  isEditor(req) {
+    return EDITOR_ROLES.some((role) => (req.user?.roles || []).includes(role));
+  }
+
+  /**
+   * State of an item, whichever column its type keeps it in
+   */
+  statusOf(type, item) {
+    return item[TABLES[type].column];
+  }
+
+  /**
+   * Writers may only edit their own items while they are drafts or have
+   * been rejected; editors may edit anything
+   * @param {object} req
+   * @param {string} type - news, articles or events
+   * @param {object} item - saved row
+   */
+  assertCanEdit(req, type, item) {
+    if (this.isEditor(req)) return;
+
+    if (item.created_by !== this.ownerId(req)) {
+      throw new CustomError({
+        message: "Writers can only edit items they created",
+        statusCode: 403,
+      });
+    }
+    const status = this.statusOf(type, item);
+    if (!EDITABLE_BY_WRITER.includes(status)) {
+      throw new CustomError({
+        message: `This item is ${status}; writers can only edit drafts and rejected items`,
+        statusCode: 403,
+      });
+    }
+  }
+
+  /**
+   * Apply a workflow action to an item and record it
+   * @param {object} req
+   * @param {string} type
+   * @param {string|number} id
+   * @param {string} action - key of TRANSITIONS
+   * @param {string} [comment] - required for reject
+   * @param {object} client - pg client/transaction
+   * @returns {Promise<{ item: object, transition: object }>}
+   */
+  async transition(req, type, id, action, comment, client) {
+    const rule = TRANSITIONS[action];
+    const { repository, label, scheduled, action: auditAction, targetType } = TYPES[type];
+
+    const existing = await repository.findById(id, client);
+    if (!existing) {
+      throw new CustomError({ message: `${label} not found`, statusCode: 404 });
+    }
+
+    const roles = req.user?.roles || [];
+    if (!rule.roles.some((role) => roles.includes(role))) {
+      throw new CustomError({
+        message: `Only editors can ${action} content`,
+        statusCode: 403,
+      });
+    }
+    if (!this.isEditor(req) && existing.created_by !== this.ownerId(req)) {
+      throw new CustomError({
+        message: "Writers can only submit or withdraw items they created",
+        statusCode: 403,
+      });
+    }
+
+    const from = this.statusOf(type, existing);
+    if (!rule.from.includes(from)) {
+      throw new CustomError({
+        message: `Cannot ${action} an item that is ${from}`,
+        statusCode: 409,
+        errors: { status: from, allowed_from: rule.from },
+      });
+    }
+    if (rule.comment && !comment) {
+      throw new CustomError({
+        message: `A comment is required to ${action}`,
+        statusCode: 400,
+      });
+    }
+
+    const to =
+      action === "publish" && scheduled && new Date(existing.publication_date) > new Date()
+        ? "scheduled"
+        : rule.to;
+
+    if (!(await workflowRepository.setStatus(type, id, from, to, client))) {
+      throw new CustomError({
+        message: "The item changed state meanwhile; reload and try again",
+        statusCode: 409,
+      });
+    }
+
+    const transition = await workflowRepository.createTransition(
+      {
+        content_type: type,
+        content_id: id,
+        action,
+        from_status: from,
+        to_status: to,
+        comment,
+        actor_id: this.actorId(req),
+      },
+      client
+    );
+    const updated = await repository.findById(id, client);
+
+    await auditService.record(
+      req,
+      {
+        action: `${auditAction}.${action}`,
+        targetType,
+        targetId: id,
+        before: existing,
+        after: updated,
+        ...(comment && { metadata: { comment } }),
+      },
+      client
+    );
+
+    return { item: updated, transition };
+  }
+
+  /**
+   * Record a move made by the publishing scheduler
+   */
+  async recordSystemTransition(type, id, action, from, to, client) {
+    return workflowRepository.createTransition(
+      { content_type: type, content_id: id, action, from_status: from, to_status: to },
+      client
+    );
+  }
+
+  /**
+   * An item's current state and every transition it went through
+   */
+  async history(type, id, client) {
+    const { repository, label } = TYPES[type];
+    const item = await repository.findById(id, client);
+    if (!item) {
+      throw new CustomError({ message: `${label} not found`, statusCode: 404 });
+    }
+    return {
+      status: this.statusOf(type, item),
+      transitions: await workflowRepository.findTransitions(type, id, client),
+    };
+  }
+
+  /**
+   * The request user's queue. Reviewers (editors, admins) get items
+   * waiting for review; writers get their own unpublished items.
+   * @param {object} req
+   * @param {object} filters - { types, statuses } to narrow the defaults
+   * @param {object} pagination
+   * @param {object} [client]
+   */
+  async queue(req, { types, statuses } = {}, pagination, client) {
+    const reviewer = this.isEditor(req);
+    const defaultStatuses = reviewer
+      ? ["in_review"]
+      : ["draft", "rejected", "in_review", "approved"];
+
+    return workflowRepository.findQueue(
+      {
+        types: types?.length ? types : CONTENT_TYPES,
+        statuses: statuses?.length ? statuses : defaultStatuses,
+        createdBy: reviewer ? undefined : this.ownerId(req),
+      },
+      pagination,
+      client
+    );
+  }
+
+  async removeAll(type, id, client) {
+    return workflowRepository.removeByContent(type, id, client);
+  }
+}
+
+module.exports = new WorkflowService();
+module.exports.STATUSES = STATUSES;
+module.exports.ACTIONS = ACTIONS;
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
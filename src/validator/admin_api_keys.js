@@ -0,0 +1,79 @@
+const { body, query, param } = require("express-validator");
+const { SCOPES } = require("../services/api_key_services");
+
+const scopeValues = Object.values(SCOPES);
+
+exports.validate = (method) => {
+  switch (method) {
+    case "listApiKeys": {
+      return [
+        query("include_revoked")
+          .optional()
+          .isBoolean().withMessage("include_revoked must be a boolean"),
+      ];
+    }
+
+    case "createApiKey": {
+      return [
+        body("name")
+          .exists().withMessage("name is required")
+          .bail()
+          .isString().withMessage("name must be a string")
+          .trim()
+          .isLength({ min: 1, max: 100 }).withMessage("name must be 1-100 characters"),
+
+        body("scopes")
+          .isArray({ min: 1 }).withMessage("scopes must be a non-empty array"),
+
+        body("scopes.*")
+          .isIn(scopeValues).withMessage(`scopes must be among: ${scopeValues.join(", ")}`),
+
+        body("rate_limit")
+          .optional()
+          .isInt({ min: 1, max: 10000 }).withMessage("rate_limit must be between 1 and 10000 requests per minute"),
+
+        body("expires_at")
+          .optional({ nullable: true })
+          .isISO8601().withMessage("expires_at must be an ISO 8601 date"),
+      ];
+    }
+
+    case "updateApiKey": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+
+        body("name")
+          .optional()
+          .isString().withMessage("name must be a string")
+          .trim()
+          .isLength({ min: 1, max: 100 }).withMessage("name must be 1-100 characters"),
+
+        body("scopes")
+          .optional()
+          .isArray({ min: 1 }).withMessage("scopes must be a non-empty array"),
+
+        body("scopes.*")
+          .isIn(scopeValues).withMessage(`scopes must be among: ${scopeValues.join(", ")}`),
+
+        body("rate_limit")
+          .optional()
+          .isInt({ min: 1, max: 10000 }).withMessage("rate_limit must be between 1 and 10000 requests per minute"),
+
+        body("expires_at")
+          .optional({ nullable: true })
+          .isISO8601().withMessage("expires_at must be an ISO 8601 date"),
+      ];
+    }
+
+    case "apiKeyId": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+      ];
+    }
+
+    default:
+      return [];
+  }
+};
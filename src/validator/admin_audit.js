@@ -0,0 +1,48 @@
+const { query, param } = require("express-validator");
+
+exports.validate = (method) => {
+  switch (method) {
+    case "searchEvents": {
+      return [
+        query("actor_type")
+          .optional()
+          .isIn(["user", "api_key", "anonymous", "system"]).withMessage("actor_type must be one of: user, api_key, anonymous, system"),
+
+        query("action")
+          .optional()
+          .isString()
+          .isLength({ max: 100 }).withMessage("action must be at most 100 characters"),
+
+        query("ip_address")
+          .optional()
+          .isIP().withMessage("ip_address must be a valid IP address"),
+
+        query("date_from")
+          .optional()
+          .isISO8601().withMessage("date_from must be an ISO 8601 date"),
+
+        query("date_to")
+          .optional()
+          .isISO8601().withMessage("date_to must be an ISO 8601 date"),
+
+        query("page")
+          .optional()
+          .isInt({ min: 1 }).withMessage("page must be a positive integer"),
+
+        query("limit")
+          .optional()
+          .isInt({ min: 1, max: 200 }).withMessage("limit must be between 1 and 200"),
+      ];
+    }
+
+    case "auditEventId": {
+      return [
+        param("id")
+          .isInt({ min: 1 }).withMessage("id must be a positive integer"),
+      ];
+    }
+
+    default:
+      return [];
+  }
+};
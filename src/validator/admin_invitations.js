@@ -0,0 +1,41 @@
+const { body, query, param } = require("express-validator");
+
+exports.validate = (method) => {
+  switch (method) {
+    case "listInvitations": {
+      return [
+        query("status")
+          .optional()
+          .isIn(["pending", "accepted", "revoked", "expired", "all"])
+          .withMessage("status must be one of: pending, accepted, revoked, expired, all"),
+      ];
+    }
+
+    case "createInvitation": {
+      return [
+        body("email")
+          .exists().withMessage("email is required")
+          .bail()
+          .isEmail().withMessage("email must be valid")
+          .trim(),
+
+        body("role")
+          .exists().withMessage("role is required")
+          .bail()
+          .isString().withMessage("role must be a string")
+          .trim()
+          .notEmpty().withMessage("role cannot be empty"),
+      ];
+    }
+
+    case "invitationId": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+      ];
+    }
+
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,81 @@
+const { body, query, param } = require("express-validator");
+
+exports.validate = (method) => {
+  switch (method) {
+    case "listUsers": {
+      return [
+        query("q")
+          .optional()
+          .isString().withMessage("q must be a string")
+          .trim(),
+
+        query("role")
+          .optional()
+          .isString().withMessage("role must be a string")
+          .trim(),
+
+        query("status")
+          .optional()
+          .isIn(["active", "disabled"]).withMessage("status must be one of: active, disabled"),
+
+        query("page")
+          .optional()
+          .isInt({ min: 1 }).withMessage("page must be >= 1"),
+
+        query("limit")
+          .optional()
+          .isInt({ min: 1, max: 100 }).withMessage("limit must be between 1 and 100"),
+      ];
+    }
+
+    case "userId": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+      ];
+    }
+
+    case "assignRole": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+
+        body("role")
+          .exists().withMessage("role is required")
+          .bail()
+          .isString().withMessage("role must be a string")
+          .trim()
+          .notEmpty().withMessage("role cannot be empty"),
+      ];
+    }
+
+    case "removeRole": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+
+        param("role")
+          .isString().withMessage("role must be a string")
+          .trim()
+          .notEmpty().withMessage("role cannot be empty"),
+      ];
+    }
+
+    case "impersonate": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+
+        body("reason")
+          .exists().withMessage("reason is required")
+          .bail()
+          .isString().withMessage("reason must be a string")
+          .trim()
+          .isLength({ min: 1, max: 500 }).withMessage("reason must be between 1 and 500 characters"),
+      ];
+    }
+
+    default:
+      return [];
+  }
+};
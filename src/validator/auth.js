@@ -1,4 +1,11 @@
-const { body } = require("express-validator");
+const { body, param } = require("express-validator");
+const {
+  LANGUAGES,
+  UNITS,
+  ACCESSIBILITY_NEEDS,
+  ROUTING_PROFILES,
+  NOTIFICATION_TOPICS,
+} = require("../services/preferences_services");
 
 exports.validate = (method) => {
   switch (method) {
@@ -19,6 +26,10 @@ exports.validate = (method) => {
           .exists().withMessage("Password is required")
           .bail()
           .isLength({ min: 8 }).withMessage("Password must be at least 8 characters"),
+
+        body("guest_token")
+          .optional()
+          .isJWT().withMessage("guest_token must be a JWT"),
       ];
     }
 
@@ -30,7 +41,13 @@ exports.validate = (method) => {
           .isEmail().withMessage("Email must be valid"),
 
         body("password")
-          .exists().withMessage("Password is required")
+          .exists().withMessage("Password is required"),
+
+        body("device_name")
+          .optional()
+          .isString().withMessage("Device name must be a string")
+          .trim()
+          .isLength({ max: 100 }).withMessage("Device name must not exceed 100 characters"),
       ];
     }
 
@@ -66,6 +83,45 @@ exports.validate = (method) => {
       ];
     }
 
+    case "passwordless-start": {
+      return [
+        body("email")
+          .exists().withMessage("Email is required")
+          .bail()
+          .isEmail().withMessage("Email must be valid"),
+
+        body("mode")
+          .optional()
+          .isIn(["code", "link"]).withMessage("Mode must be either code or link"),
+      ];
+    }
+
+    case "passwordless-verify": {
+      return [
+        body("token")
+          .optional()
+          .isString().withMessage("Token must be a string"),
+
+        body("email")
+          .if(body("token").not().exists())
+          .exists().withMessage("Email is required")
+          .bail()
+          .isEmail().withMessage("Email must be valid"),
+
+        body("code")
+          .if(body("token").not().exists())
+          .exists().withMessage("Code is required")
+          .bail()
+          .isLength({ min: 6, max: 6 }).withMessage("Code must be 6 characters"),
+
+        body("device_name")
+          .optional()
+          .isString().withMessage("Device name must be a string")
+          .trim()
+          .isLength({ max: 100 }).withMessage("Device name must not exceed 100 characters"),
+      ];
+    }
+
     case "reset-password": {
       return [
         body("email")
@@ -85,6 +141,188 @@ exports.validate = (method) => {
       ];
     }
 
+    case "revoke-session": {
+      return [
+        param("id")
+          .exists().withMessage("Session id is required")
+          .bail()
+          .isUUID().withMessage("id must be a valid UUID"),
+      ];
+    }
+
+    case "get-user": {
+      return [
+        param("id")
+          .isUUID().withMessage("id must be a valid UUID"),
+      ];
+    }
+
+    case "update-profile": {
+      return [
+        body("name")
+          .optional()
+          .isString().withMessage("Name must be a string")
+          .trim()
+          .isLength({ min: 1, max: 100 }).withMessage("Name must be between 1 and 100 characters"),
+
+        body("avatar_url")
+          .optional({ nullable: true })
+          .isString().withMessage("Avatar URL must be a string")
+          .trim()
+          .isURL().withMessage("Avatar URL must be a valid URL"),
+      ];
+    }
+
+    case "change-password": {
+      return [
+        body("currentPassword")
+          .exists().withMessage("Current password is required"),
+
+        body("newPassword")
+          .exists().withMessage("New password is required")
+          .bail()
+          .isLength({ min: 8 }).withMessage("New password must be at least 8 characters"),
+      ];
+    }
+
+    case "change-email": {
+      return [
+        body("new_email")
+          .exists().withMessage("New email is required")
+          .bail()
+          .isEmail().withMessage("New email must be valid"),
+
+        body("password")
+          .optional()
+          .isString().withMessage("Password must be a string"),
+      ];
+    }
+
+    case "confirm-email-change": {
+      return [
+        body("code")
+          .exists().withMessage("Code is required")
+          .bail()
+          .isLength({ min: 6, max: 6 }).withMessage("Code must be 6 characters"),
+      ];
+    }
+
+    case "delete-account": {
+      return [
+        body("password")
+          .optional()
+          .isString().withMessage("Password must be a string"),
+      ];
+    }
+
+    case "mfa-verify": {
+      return [
+        body("mfa_token")
+          .exists().withMessage("mfa_token is required")
+          .bail()
+          .isString().withMessage("mfa_token must be a string"),
+
+        body("code")
+          .exists().withMessage("Code is required")
+          .bail()
+          .isString().withMessage("Code must be a string")
+          .trim()
+          .notEmpty().withMessage("Code cannot be empty"),
+
+        body("guest_token")
+          .optional()
+          .isJWT().withMessage("guest_token must be a JWT"),
+      ];
+    }
+
+    case "mfa-code": {
+      return [
+        body("code")
+          .exists().withMessage("Code is required")
+          .bail()
+          .isString().withMessage("Code must be a string")
+          .trim()
+          .notEmpty().withMessage("Code cannot be empty"),
+      ];
+    }
+
+    case "update-preferences": {
+      return [
+        body("language")
+          .optional({ nullable: true })
+          .isIn(LANGUAGES).withMessage(`language must be one of: ${LANGUAGES.join(", ")}`),
+
+        body("units")
+          .optional({ nullable: true })
+          .isIn(UNITS).withMessage(`units must be one of: ${UNITS.join(", ")}`),
+
+        body("accessibility")
+          .optional()
+          .isArray().withMessage("accessibility must be an array"),
+
+        body("accessibility.*")
+          .isIn(ACCESSIBILITY_NEEDS).withMessage(`accessibility must be among: ${ACCESSIBILITY_NEEDS.join(", ")}`),
+
+        body("routing_profile")
+          .optional({ nullable: true })
+          .isIn(ROUTING_PROFILES).withMessage(`routing_profile must be one of: ${ROUTING_PROFILES.join(", ")}`),
+
+        body("notifications")
+          .optional()
+          .isObject().withMessage("notifications must be an object")
+          .bail()
+          .custom((value) =>
+            Object.entries(value).every(
+              ([topic, enabled]) => NOTIFICATION_TOPICS.includes(topic) && typeof enabled === "boolean"
+            )
+          )
+          .withMessage(`notifications must map ${NOTIFICATION_TOPICS.join(", ")} to true or false`),
+      ];
+    }
+
+    case "invitation-token": {
+      return [
+        param("token")
+          .isString().withMessage("Invitation token must be a string")
+          .isLength({ min: 16, max: 128 }).withMessage("Invitation token is invalid"),
+      ];
+    }
+
+    case "accept-invitation": {
+      return [
+        body("token")
+          .exists().withMessage("Invitation token is required")
+          .bail()
+          .isString().withMessage("Invitation token must be a string"),
+
+        body("name")
+          .optional()
+          .isString().withMessage("Name must be a string")
+          .trim(),
+
+        body("password")
+          .optional()
+          .isLength({ min: 8 }).withMessage("Password must be at least 8 characters"),
+
+        body("provider")
+          .optional()
+          .isString().withMessage("provider must be a string")
+          .trim(),
+
+        body("id_token")
+          .optional()
+          .isJWT().withMessage("id_token must be a JWT"),
+
+        body("code")
+          .optional()
+          .isString().withMessage("code must be a string"),
+
+        body("redirect_uri")
+          .optional()
+          .isString().withMessage("redirect_uri must be a string"),
+      ];
+    }
+
     default:
       return [];
   }
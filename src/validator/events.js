@@ -1,4 +1,5 @@
 const { body } = require("express-validator");
+const { LANGUAGES } = require("../services/preferences_services");
 
 exports.validate = (method) => {
   switch (method) {
@@ -79,6 +80,10 @@ exports.validate = (method) => {
           .bail()
           .isIn(["upcoming", "in_progress", "completed", "canceled"]).withMessage("Status must be one of: upcoming, in_progress, completed, canceled"),
 
+        body("default_locale")
+          .optional()
+          .isIn(LANGUAGES).withMessage(`Default locale must be one of: ${LANGUAGES.join(", ")}`),
+
         body("seo_metadata")
           .optional()
           .isObject().withMessage("SEO metadata must be an object"),
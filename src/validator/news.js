@@ -1,4 +1,5 @@
 const { body } = require("express-validator");
+const { LANGUAGES } = require("../services/preferences_services");
 
 exports.validate = (method) => {
   switch (method) {
@@ -53,9 +54,15 @@ exports.validate = (method) => {
           .isLength({ min: 1, max: 100 }).withMessage("Author must be between 1 and 100 characters"),
 
         body("status")
-          .exists().withMessage("Status is required")
-          .bail()
-          .isIn(["draft", "published", "archived"]).withMessage("Status must be one of: draft, published, archived"),
+          .not().exists().withMessage("status changes through the workflow: POST /v1/news/:id/workflow"),
+
+        body("unpublish_at")
+          .optional({ values: "falsy" })
+          .isISO8601().withMessage("Unpublish date must be a valid date-time (ISO 8601)"),
+
+        body("default_locale")
+          .optional()
+          .isIn(LANGUAGES).withMessage(`Default locale must be one of: ${LANGUAGES.join(", ")}`),
 
         body("seo_metadata")
           .optional()
@@ -132,8 +139,11 @@ exports.validate = (method) => {
           .isLength({ min: 1, max: 100 }).withMessage("Author must be between 1 and 100 characters"),
 
         body("status")
-          .optional()
-          .isIn(["draft", "published", "archived"]).withMessage("Status must be one of: draft, published, archived"),
+          .not().exists().withMessage("status changes through the workflow: POST /v1/news/:id/workflow"),
+
+        body("unpublish_at")
+          .optional({ values: "falsy" })
+          .isISO8601().withMessage("Unpublish date must be a valid date-time (ISO 8601)"),
 
         body("seo_metadata")
           .optional()
@@ -0,0 +1,97 @@
+const { body, param } = require("express-validator");
+
+const providerParam = () =>
+  param("provider")
+    .isString().withMessage("provider must be a string")
+    .trim()
+    .notEmpty().withMessage("provider cannot be empty");
+
+exports.validate = (method) => {
+  switch (method) {
+    case "provider-login": {
+      return [
+        providerParam(),
+
+        body("code")
+          .exists().withMessage("Authorization code is required")
+          .bail()
+          .isString().withMessage("code must be a string"),
+
+        body("redirect_uri")
+          .exists().withMessage("Redirect URI is required in the request body.")
+          .bail()
+          .isString().withMessage("redirect_uri must be a string"),
+
+        body("code_verifier")
+          .optional()
+          .isString().withMessage("code_verifier must be a string"),
+
+        body("client_id")
+          .optional()
+          .isString().withMessage("client_id must be a string"),
+
+        body("device_name")
+          .optional()
+          .isString().withMessage("device_name must be a string")
+          .isLength({ max: 100 }).withMessage("device_name must be at most 100 characters"),
+
+        body("guest_token")
+          .optional()
+          .isJWT().withMessage("guest_token must be a JWT"),
+      ];
+    }
+
+    case "id-token": {
+      return [
+        providerParam(),
+
+        body("id_token")
+          .exists().withMessage("id_token is required")
+          .bail()
+          .isJWT().withMessage("id_token must be a JWT"),
+
+        body("nonce")
+          .optional()
+          .isString().withMessage("nonce must be a string"),
+
+        body("device_name")
+          .optional()
+          .isString().withMessage("device_name must be a string")
+          .isLength({ max: 100 }).withMessage("device_name must be at most 100 characters"),
+
+        body("guest_token")
+          .optional()
+          .isJWT().withMessage("guest_token must be a JWT"),
+      ];
+    }
+
+    case "link-provider": {
+      return [
+        providerParam(),
+
+        body("id_token")
+          .optional()
+          .isJWT().withMessage("id_token must be a JWT"),
+
+        body("code")
+          .optional()
+          .isString().withMessage("code must be a string"),
+
+        body("redirect_uri")
+          .optional()
+          .isString().withMessage("redirect_uri must be a string"),
+
+        body("nonce")
+          .optional()
+          .isString().withMessage("nonce must be a string"),
+      ];
+    }
+
+    case "unlink-provider": {
+      return [providerParam()];
+    }
+
+    default:
+      return [];
+  }
+};
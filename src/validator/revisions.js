@@ -0,0 +1,51 @@
+const { query, param } = require("express-validator");
+
+// shared by the /:id/revisions endpoints of news, articles and events
+exports.validate = (method) => {
+  switch (method) {
+    case "listRevisions": {
+      return [
+        param("id")
+          .isInt({ min: 1 }).withMessage("id must be a positive integer"),
+
+        query("page")
+          .optional()
+          .isInt({ min: 1 }).withMessage("page must be a positive integer"),
+
+        query("limit")
+          .optional()
+          .isInt({ min: 1, max: 100 }).withMessage("limit must be between 1 and 100"),
+      ];
+    }
+
+    case "revision": {
+      return [
+        param("id")
+          .isInt({ min: 1 }).withMessage("id must be a positive integer"),
+
+        param("revision")
+          .isInt({ min: 1 }).withMessage("revision must be a positive integer"),
+      ];
+    }
+
+    case "diffRevisions": {
+      return [
+        param("id")
+          .isInt({ min: 1 }).withMessage("id must be a positive integer"),
+
+        query("from")
+          .exists().withMessage("from is required")
+          .bail()
+          .isInt({ min: 1 }).withMessage("from must be a positive integer"),
+
+        query("to")
+          .exists().withMessage("to is required")
+          .bail()
+          .isInt({ min: 1 }).withMessage("to must be a positive integer"),
+      ];
+    }
+
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,42 @@
+const { query } = require("express-validator");
+const { SEARCH_TYPES } = require("../repositories/search.repository");
+
+exports.validate = (method) => {
+  switch (method) {
+    case "search": {
+      return [
+        query("q")
+          .exists().withMessage("q is required")
+          .bail()
+          .isString().withMessage("q must be a string")
+          .trim()
+          .isLength({ min: 1, max: 200 }).withMessage("q must be between 1 and 200 characters"),
+
+        query("type")
+          .optional()
+          .isString().withMessage("type must be a string")
+          .custom((value) => value.split(",").every((type) => SEARCH_TYPES.includes(type)))
+          .withMessage(`type must be a comma-separated list of: ${SEARCH_TYPES.join(", ")}`),
+
+        query("date_from")
+          .optional()
+          .isISO8601().withMessage("date_from must be a valid date"),
+
+        query("date_to")
+          .optional()
+          .isISO8601().withMessage("date_to must be a valid date"),
+
+        query("page")
+          .optional()
+          .isInt({ min: 1 }).withMessage("page must be >= 1"),
+
+        query("limit")
+          .optional()
+          .isInt({ min: 1, max: 50 }).withMessage("limit must be between 1 and 50"),
+      ];
+    }
+
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,58 @@
+const { body, param, query } = require("express-validator");
+const { ACTIONS, STATUSES, CONTENT_TYPES } = require("../services/workflow_services");
+
+exports.validate = (method) => {
+  switch (method) {
+    case "transition": {
+      return [
+        param("id")
+          .isInt({ min: 1 }).withMessage("id must be a positive integer"),
+
+        body("action")
+          .exists().withMessage("action is required")
+          .bail()
+          .isIn(ACTIONS).withMessage(`action must be one of: ${ACTIONS.join(", ")}`),
+
+        body("comment")
+          .optional({ nullable: true })
+          .isString().withMessage("comment must be a string")
+          .trim()
+          .isLength({ max: 2000 }).withMessage("comment must be at most 2000 characters"),
+      ];
+    }
+
+    case "workflowHistory": {
+      return [
+        param("id")
+          .isInt({ min: 1 }).withMessage("id must be a positive integer"),
+      ];
+    }
+
+    case "queue": {
+      return [
+        query("type")
+          .optional()
+          .isString().withMessage("type must be a string")
+          .custom((value) => value.split(",").every((type) => CONTENT_TYPES.includes(type)))
+          .withMessage(`type must be a comma-separated list of: ${CONTENT_TYPES.join(", ")}`),
+
+        query("status")
+          .optional()
+          .isString().withMessage("status must be a string")
+          .custom((value) => value.split(",").every((status) => STATUSES.includes(status)))
+          .withMessage(`status must be a comma-separated list of: ${STATUSES.join(", ")}`),
+
+        query("page")
+          .optional()
+          .isInt({ min: 1 }).withMessage("page must be >= 1"),
+
+        query("limit")
+          .optional()
+          .isInt({ min: 1, max: 100 }).withMessage("limit must be between 1 and 100"),
+      ];
+    }
+
+    default:
+      return [];
+  }
+};
@@ -0,0 +1,26 @@
+const authAttemptsRepository = require('../repositories/auth_attempts.repository');
+const logger = require('../config/logger');
+
+// Default: every hour, dropping counters idle for a day
+const CLEANUP_INTERVAL_MS =
+  Number(process.env.AUTH_ATTEMPTS_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+const STALE_AFTER_SECONDS = 24 * 60 * 60;
+
+async function cleanupStaleAttempts() {
+  try {
+    const deleted = await authAttemptsRepository.deleteStale(STALE_AFTER_SECONDS);
+    logger.info(`🧹 Deleted ${deleted} stale auth attempt counters`);
+  } catch (err) {
+    logger.error(`❌ Auth attempts cleanup failed: ${err.message}`);
+  }
+}
+
+function startAuthAttemptsCleanup() {
+  cleanupStaleAttempts();
+  const timer = setInterval(cleanupStaleAttempts, CLEANUP_INTERVAL_MS);
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startAuthAttemptsCleanup, cleanupStaleAttempts };
@@ -0,0 +1,29 @@
+const guestService = require('../services/guest_services');
+const { withTransaction } = require('../utils/db_transactions');
+const logger = require('../config/logger');
+
+// Default: every 6 hours, dropping guests idle for 30 days
+const CLEANUP_INTERVAL_MS =
+  Number(process.env.GUEST_CLEANUP_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.GUEST_RETENTION_DAYS) || 30;
+
+async function cleanupStaleGuests() {
+  try {
+    const deleted = await withTransaction((client) =>
+      guestService.deleteStaleGuests(RETENTION_DAYS, client)
+    );
+    logger.info(`🧹 Deleted ${deleted} stale guest accounts`);
+  } catch (err) {
+    logger.error(`❌ Guest cleanup failed: ${err.message}`);
+  }
+}
+
+function startGuestCleanup() {
+  cleanupStaleGuests();
+  const timer = setInterval(cleanupStaleGuests, CLEANUP_INTERVAL_MS);
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startGuestCleanup, cleanupStaleGuests };
@@ -0,0 +1,31 @@
+const publishingService = require('../services/publishing_services');
+const { withTransaction } = require('../utils/db_transactions');
+const logger = require('../config/logger');
+
+// Default: every minute, so scheduled content goes live within a minute
+const SCHEDULER_INTERVAL_MS =
+  Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+async function runPublishingSchedule() {
+  try {
+    const { published, unpublished } = await withTransaction((client) =>
+      publishingService.runDue(client)
+    );
+    // Runs every minute; only worth a line when something moved
+    if (published || unpublished) {
+      logger.info(`🗓️ Published ${published} and unpublished ${unpublished} scheduled items`);
+    }
+  } catch (err) {
+    logger.error(`❌ Publishing scheduler failed: ${err.message}`);
+  }
+}
+
+function startPublishingScheduler() {
+  runPublishingSchedule();
+  const timer = setInterval(runPublishingSchedule, SCHEDULER_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startPublishingScheduler, runPublishingSchedule };
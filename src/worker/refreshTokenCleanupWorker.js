@@ -0,0 +1,25 @@
+const refreshTokensRepository = require('../repositories/refresh_tokens.repository');
+const logger = require('../config/logger');
+
+// Default: every 6 hours
+const CLEANUP_INTERVAL_MS =
+  Number(process.env.REFRESH_TOKEN_CLEANUP_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+async function cleanupExpiredTokens() {
+  try {
+    const deleted = await refreshTokensRepository.deleteExpiredTokens();
+    logger.info(`🧹 Deleted ${deleted} expired refresh tokens`);
+  } catch (err) {
+    logger.error(`❌ Refresh token cleanup failed: ${err.message}`);
+  }
+}
+
+function startRefreshTokenCleanup() {
+  cleanupExpiredTokens();
+  const timer = setInterval(cleanupExpiredTokens, CLEANUP_INTERVAL_MS);
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startRefreshTokenCleanup, cleanupExpiredTokens };